@@ -0,0 +1,137 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const {
+  getStrategy,
+  loadConfig,
+  ConfigError,
+  FILTER_SCHEMA,
+  checkValue,
+  loadRecordings,
+  runBacktest,
+  formatBacktestReport
+} = require('./lib');
+
+// ==============================
+// BACKTEST COMMAND
+// ==============================
+// Replays responses recorded with `recording.enabled` (or RECORD_DIR) through
+// a bot's strategy with alternative filter sets:
+//
+//   npm run backtest -- backtest.example.yaml [--dir recordings]
+//     [--since 2025-10-01] [--until 2025-10-08] [--json] [--verbose]
+//
+// The variants file names the bot (strategy + baseline filters from
+// bots.config.yaml) and the variants as filter overrides; see
+// backtest.example.yaml. The baseline always runs first as "current".
+const USAGE = 'Usage: node backtest.js <variants.yaml|json> [--dir <recordings>] [--since <date>] [--until <date>] [--json] [--verbose]';
+
+function parseArgs(argv) {
+  const args = { flags: {}, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json' || arg === '--verbose') {
+      args.flags[arg.slice(2)] = true;
+    } else if (['--dir', '--since', '--until'].includes(arg)) {
+      args.flags[arg.slice(2)] = argv[++i];
+    } else {
+      args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+function parseDate(label, value) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new ConfigError([`--${label} must be a date (got ${JSON.stringify(value)})`]);
+  }
+  return time;
+}
+
+function readVariantsFile(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  try {
+    return path.extname(file).toLowerCase() === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (error) {
+    throw new ConfigError([`${file} could not be parsed: ${error.message}`]);
+  }
+}
+
+// Variant overrides are checked like bot filters
+function validateVariants(variants) {
+  const errors = [];
+  if (!variants || typeof variants !== 'object' || Object.keys(variants).length === 0) {
+    return ['variants must map at least one variant name to filter overrides'];
+  }
+  for (const [name, overrides] of Object.entries(variants)) {
+    for (const [key, value] of Object.entries(overrides || {})) {
+      if (!FILTER_SCHEMA[key]) {
+        errors.push(`variants.${name}.${key} is not a known filter (expected one of: ${Object.keys(FILTER_SCHEMA).join(', ')})`);
+        continue;
+      }
+      checkValue(errors, `variants.${name}.${key}`, value, FILTER_SCHEMA[key]);
+    }
+  }
+  return errors;
+}
+
+async function main() {
+  const { flags, files } = parseArgs(process.argv.slice(2));
+  if (files.length !== 1) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  
+  const spec = readVariantsFile(files[0]) || {};
+  const { bots } = loadConfig();
+  const botConfig = bots[spec.bot];
+  if (!botConfig) {
+    throw new ConfigError([`bot must be one of: ${Object.keys(bots).join(', ')} (got ${JSON.stringify(spec.bot)})`]);
+  }
+  const errors = validateVariants(spec.variants);
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  
+  const dir = flags.dir || botConfig.recording.dir;
+  const recordings = loadRecordings(dir, { since: parseDate('since', flags.since), until: parseDate('until', flags.until) });
+  // Progress goes to stderr so --json output stays parseable
+  console.error(`📂 Loaded ${recordings.geckoEntries.length} GeckoTerminal and ${recordings.dexscreenerEntries.length} DexScreener responses from ${path.resolve(dir)}`);
+  if (recordings.skipped > 0) {
+    console.error(`⚠️  Skipped ${recordings.skipped} unreadable line${recordings.skipped === 1 ? '' : 's'}`);
+  }
+
+  // Stage checks log every lookup; keep the report readable unless asked
+  const log = console.log;
+  if (!flags.verbose) console.log = () => {};
+  let report;
+  try {
+    report = await runBacktest({
+      strategy: getStrategy(botConfig.strategy),
+      baseFilters: botConfig.filters,
+      variants: { current: {}, ...spec.variants },
+      recordings,
+      endpoint: botConfig.source.endpoint
+    });
+  } finally {
+    console.log = log;
+  }
+  
+  if (flags.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`\n${formatBacktestReport(report, { baseFilters: botConfig.filters })}`);
+  }
+}
+
+main().catch(error => {
+  if (error instanceof ConfigError) {
+    console.error(`❌ ${error.message}`);
+  } else {
+    console.error('❌ Backtest failed:', error.message);
+  }
+  process.exit(1);
+});
@@ -1,776 +1,465 @@
 require('dotenv').config();
 const TelegramBot = require('node-telegram-bot-api');
-const axios = require('axios');
-const redis = require('redis');
+const {
+  createPoolScanner,
+  createRedisClient,
+  createProcessedStore,
+  createDexScreenerClient,
+  getStrategy,
+  createPipeline,
+  selfCheckPipeline,
+  createSolanaConnection,
+  formatTokenSafety,
+  formatHolderConcentration,
+  processPools,
+  runLogMonitor,
+  sendWithTimeout,
+  registerAdminCommands,
+  registerCheckCommand,
+  createSubscriptionStore,
+  deliverToSubscribers,
+  unsubscribeBlockedUsers,
+  registerSubscriptionCommands,
+  createTelegramQueue,
+  createPerformanceTracker,
+  createDigestScheduler,
+  formatPerformanceStats,
+  formatQueueStats,
+  createSignalRouter,
+  createSignalButtons,
+  buildSignalKeyboard,
+  formatCompactSignal,
+  MARKDOWN_V2,
+  toHashtag,
+  logChannelError,
+  createMonitorState,
+  addCounts,
+  runMonitorLoop,
+  connectStore,
+  installProcessHandlers,
+  startHeartbeat,
+  validateEnvironment,
+  configureRateLimits,
+  configureRecorder,
+  getStoreKeys
+} = require('./lib');
 
 // ==============================
-// VALIDATE ENVIRONMENT VARIABLES
+// CONFIGURATION
 // ==============================
-function validateEnvironment() {
-  const requiredEnvVars = {
-    TELEGRAM_BOT_TOKEN_BOT1: process.env.TELEGRAM_BOT_TOKEN_BOT1,
-  };
-
-  const missingVars = [];
-  for (const [key, value] of Object.entries(requiredEnvVars)) {
-    if (!value || value.trim() === '') {
-      missingVars.push(key);
-    }
-  }
-
-  if (missingVars.length > 0) {
-    console.error('❌ Missing required environment variables:');
-    missingVars.forEach(varName => {
-      console.error(`   - ${varName}`);
-    });
-    console.error('\n📝 Please create a .env file in the project root with the following:');
-    console.error('TELEGRAM_BOT_TOKEN_BOT1=your_new_telegram_bot_token_here');
-    console.error('');
-    console.error('🤖 To get your bot token:');
-    console.error('1. Message @BotFather on Telegram');
-    console.error('2. Use /newbot command to create a new bot');
-    console.error('3. Copy the token and paste it in the .env file');
-    process.exit(1);
-  }
-
-  console.log('✅ Environment variables validated successfully');
-  return true;
-}
-
-// Validate environment before proceeding
-validateEnvironment();
+// Loads bots.config.yaml (or CONFIG_PATH) and exits with a clear error on invalid settings.
+// Runs pumpswap-fresh by default; pass another bot id to run e.g. raydium-graduates.
+const botConfig = validateEnvironment(process.argv[2] || 'pumpswap-fresh');
+configureRateLimits(botConfig.rateLimits);
+configureRecorder(botConfig.recording);
+
+// A shadow run (see bots.config.yaml) shares the live bot's token, so it
+// leaves polling (commands and buttons) to the live bot. Its channel is the
+// shadow test chat, or none. A bot with polling: false leaves them to the
+// bot it shares its token with, as Telegram allows one poller per token.
+const SHADOW = botConfig.shadow.enabled;
+const POLLING = botConfig.polling && !SHADOW;
+const bot = new TelegramBot(botConfig.telegramToken, { polling: POLLING });
+const CHANNEL_USERNAME = botConfig.channel;
+
+const GECKOTERMINAL_ENDPOINT = botConfig.source.endpoint;
+const GECKOTERMINAL_PARAMS = botConfig.source.params;
+const MAX_PAGES = botConfig.source.maxPages;
+const REQUEST_DELAY = botConfig.timing.requestDelay; // Extra pause between page requests
+const CYCLE_DELAY = botConfig.timing.cycleDelay; // Delay between monitoring cycles
+const SOURCE_LABEL = botConfig.source.type === 'logs'
+  ? 'Solana program logs (WebSocket)'
+  : `GeckoTerminal ${GECKOTERMINAL_ENDPOINT} API (${MAX_PAGES} pages)`;
+
+const config = botConfig.filters;
 
 // ==============================
-// CONFIGURATION
+// STRATEGY
 // ==============================
-const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN_BOT1, { polling: true });
-const CHANNEL_USERNAME = '@solmemebot2'; // New channel username for bot1
+const strategy = getStrategy(botConfig.strategy);
+const pipeline = createPipeline(strategy.stages, config);
 
-const GECKOTERMINAL_API_BASE = 'https://api.geckoterminal.com/api/v2/networks/solana/trending_pools';
-const MAX_PAGES = 10; // Monitor 100 pages
-const REQUEST_DELAY = 1000; // 1 second delay between requests
-const CYCLE_DELAY = 60000; // 60 seconds between monitoring cycles
+// Refuse to start if a configured filter is not what the pipeline applies
+selfCheckPipeline(pipeline, config);
 
-const config = {
-  minLiquidity: parseInt(process.env.MIN_LIQUIDITY) || 50000, // Minimum $50k liquidity
-};
+// On-chain checks (mint/freeze authority) and log subscriptions use this connection
+const solanaConnection = createSolanaConnection(botConfig.solana.rpcUrl, 'confirmed', botConfig.solana.wsUrl);
 
 // ==============================
 // REDIS CONFIGURATION
 // ==============================
-const redisClient = redis.createClient({
-  socket: {
-    host: 'localhost',
-    port: 6379,
-    reconnectStrategy: (retries) => {
-      if (retries > 10) {
-        console.error('❌ Redis max retry attempts reached (Bot1)');
-        return new Error('Max retry attempts reached');
-      }
-      return Math.min(retries * 100, 3000);
-    }
-  },
-  database: 1 // Use database 1 for bot1 independence
-});
+// Bot1 uses its own database and key prefix for independence
+const redisClient = createRedisClient({ ...botConfig.redis, label: botConfig.id });
 
-// Redis connection events
-redisClient.on('connect', () => {
-  console.log('✅ Connected to Redis server (Bot1 - Database 1)');
+const tokenStore = createProcessedStore(redisClient, {
+  keys: getStoreKeys(botConfig.redis, strategy.dedupBy),
+  itemLabel: 'token'
 });
 
-redisClient.on('error', (err) => {
-  console.error('❌ Redis error (Bot1):', err.message);
-});
+// DexScreener lookups are cached (here and in Redis) and batched per page
+const dexscreener = createDexScreenerClient({ redisClient, keyPrefix: botConfig.redis.keyPrefix });
 
-redisClient.on('ready', () => {
-  console.log('🚀 Redis client ready (Bot1 - Database 1)');
-});
+// Users who DM'd /subscribe, with their personal filter profiles
+const subscriptions = createSubscriptionStore(redisClient, { keyPrefix: botConfig.redis.keyPrefix });
 
-redisClient.on('end', () => {
-  console.log('📴 Redis connection closed (Bot1)');
+// Signals and subscriber DMs are queued in Redis and sent at Telegram's pace
+const telegramQueue = createTelegramQueue({
+  bot,
+  redisClient,
+  keyPrefix: botConfig.redis.keyPrefix,
+  botId: botConfig.id,
+  onDeadLetter: unsubscribeBlockedUsers(subscriptions),
+  onSent: (job, message) => performanceTracker && performanceTracker.recordMessage(job, message)
 });
 
+// Entry price, FDV and liquidity of every signal, re-sampled at 15m/1h/6h/24h
+// and replied under the posted signal
+const performanceTracker = botConfig.performance.enabled ? createPerformanceTracker({
+  redisClient,
+  keyPrefix: botConfig.redis.keyPrefix,
+  botId: botConfig.id,
+  strategy,
+  queue: telegramQueue,
+  dexscreener,
+  replies: botConfig.performance.replies
+}) : null;
+
+// Daily and weekly digests of the tracked signals, posted to the channel
+const digestScheduler = performanceTracker && CHANNEL_USERNAME ? createDigestScheduler({
+  redisClient,
+  keyPrefix: botConfig.redis.keyPrefix,
+  botId: botConfig.id,
+  queue: telegramQueue,
+  chat: CHANNEL_USERNAME,
+  schedule: botConfig.digest
+}) : null;
+
 // ==============================
-// REDIS HELPER FUNCTIONS
+// TELEGRAM SIGNAL FUNCTIONS
 // ==============================
-const REDIS_KEYS = {
-  PROCESSED_TOKENS: 'raydium_bot1:processed_tokens', // Independent keys for bot1
-  TOKEN_METADATA: 'raydium_bot1:token_metadata',     // Independent keys for bot1
-  SIGNAL_LOCKS: 'raydium_bot1:signal_locks'         // Independent signal locks for bot1
-};
-
-async function isTokenProcessed(tokenAddress) {
-  try {
-    if (!redisClient.isReady) {
-      console.log('⚠️  Redis not ready, treating as unprocessed token');
-      return false;
-    }
-    
-    // Use async/await instead of callbacks for better reliability
-    const result = await redisClient.sIsMember(REDIS_KEYS.PROCESSED_TOKENS, tokenAddress);
-    console.log(`🔍 Redis check for token ${tokenAddress}: ${result} (${result === true ? 'EXISTS' : 'NOT FOUND'})`);
-    return result === true;
-    
-  } catch (error) {
-    console.error('❌ Redis error checking token:', error.message);
-    return false; // Fallback to processing if Redis fails
-  }
+function buildPumpSwapTokenMessage(poolData, context, format = MARKDOWN_V2) {
+  const { text, join, bold, code } = format;
+  const { baseToken, pricing, ageData, poolAddress } = poolData;
+  const symbol = baseToken.symbol;
+  const name = baseToken.name;
+  const price = pricing.baseTokenPriceUsd;
+  const liquidity = pricing.reserveUsd;
+  const volume24h = pricing.volume24h;
+  const tokenAddress = baseToken.address;
+  const marketCap = pricing.fdvUsd;
+
+  return join([
+    text`🚀 ${bold('NEW PUMPSWAP TOKEN')} 🚀\n\n`,
+    text`📊 ${bold('Token:')} ${name} (${symbol})\n`,
+    text`⏰ ${bold('Pool Age:')} ${ageData.ageString}\n`,
+    text`💰 ${bold('Price:')} $${price.toFixed(8)}\n`,
+    text`📈 ${bold('Market Cap:')} $${marketCap.toLocaleString()}\n`,
+    text`💧 ${bold('Liquidity:')} $${liquidity.toLocaleString()}\n`,
+    text`📊 ${bold('24h Volume:')} $${volume24h.toLocaleString()}\n`,
+    text`🔗 ${bold('Token Address:')} ${code(tokenAddress)}\n`,
+    text`🔗 ${bold('Pool Address:')} ${code(poolAddress)}\n\n`,
+    text`⚡ ${bold('Signal:')} NEW TOKEN FROM PUMPSWAP!\n`,
+    text`🎯 ${bold('Strategy:')} Fresh token under 6 hours old\n`,
+    text`📡 ${bold('Source:')} GeckoTerminal API filtering PumpSwap\n\n`,
+    text`#PumpSwap #NewToken #Solana #DeFi #${toHashtag(symbol)} #Fresh`
+  ]);
 }
 
-// Atomic operation to check and mark token in one step to prevent race conditions
-async function checkAndMarkTokenAsProcessed(tokenAddress, metadata = {}) {
-  try {
-    if (!redisClient.isReady) {
-      console.log('⚠️  Redis not ready, treating as unprocessed');
-      return false; // Return false = not processed yet (safe to proceed)
-    }
-    
-    // Use SETNX (set if not exists) for atomic check-and-set operation
-    const lockKey = `${REDIS_KEYS.SIGNAL_LOCKS}:${tokenAddress}`;
-    const lockValue = `${Date.now()}-${Math.random()}`;
-    
-    // Try to acquire lock with expiration (10 minutes max)
-    const lockAcquired = await redisClient.set(lockKey, lockValue, {
-      NX: true, // Only set if doesn't exist
-      EX: 600   // Expire in 10 minutes
-    });
-    
-    if (!lockAcquired) {
-      console.log(`🔒 Token ${tokenAddress} is locked by another process - skipping`);
-      return true; // Return true = already being processed (skip)
-    }
-    
-    // Check if token was already processed (double-check after acquiring lock)
-    const alreadyProcessed = await redisClient.sIsMember(REDIS_KEYS.PROCESSED_TOKENS, tokenAddress);
-    if (alreadyProcessed) {
-      console.log(`✅ Token ${tokenAddress} already in processed set - releasing lock`);
-      await redisClient.del(lockKey); // Release lock
-      return true; // Return true = already processed (skip)
-    }
-    
-    // Token is not processed and we have the lock - mark it as processed immediately
-    await redisClient.sAdd(REDIS_KEYS.PROCESSED_TOKENS, tokenAddress);
-    console.log(`✅ Atomically marked token ${tokenAddress} as processed`);
-    
-    // Store metadata with timestamp
-    const tokenData = {
-      tokenAddress: tokenAddress,
-      processedAt: new Date().toISOString(),
-      lockAcquiredAt: new Date().toISOString(),
-      lockValue: lockValue,
-      ...metadata
-    };
-    
-    // Convert all values to strings for Redis
-    const stringifiedData = {};
-    for (const [key, value] of Object.entries(tokenData)) {
-      if (value !== null && value !== undefined) {
-        stringifiedData[key] = String(value);
-      }
-    }
-    
-    // Store metadata
-    await redisClient.hSet(
-      `${REDIS_KEYS.TOKEN_METADATA}:${tokenAddress}`,
-      stringifiedData
-    );
-    
-    // Set expiration for metadata (30 days)
-    await redisClient.expire(`${REDIS_KEYS.TOKEN_METADATA}:${tokenAddress}`, 30 * 24 * 60 * 60);
-    
-    console.log(`✅ Stored metadata for token ${tokenAddress}`);
-    
-    // Keep the lock until signal is sent (don't release it here)
-    // We'll release it in releaseTokenLock()
-    
-    return false; // Return false = not processed before (safe to proceed with signal)
-    
-  } catch (error) {
-    console.error('❌ Redis error in atomic check-and-mark:', error.message);
-    return false; // Fallback to processing if Redis fails
-  }
+// `context` is the pipeline context: raydiumPools plus the on-chain safety results
+function buildRaydiumGraduateMessage(poolData, context, format = MARKDOWN_V2) {
+  const { text, join, bold, code } = format;
+  const { baseToken, pricing, ageData, poolAddress, transactions } = poolData;
+  const { raydiumPools, tokenSafety, holderConcentration } = context;
+  const symbol = baseToken.symbol;
+  const name = baseToken.name;
+  const price = pricing.baseTokenPriceUsd;
+  const liquidity = pricing.reserveUsd;
+  const volume24h = pricing.volume24h;
+  const priceChange24h = pricing.priceChange24h;
+  const tokenAddress = baseToken.address;
+  const marketCap = pricing.fdvUsd;
+  const cpmmLiquidity = raydiumPools.cpmmPairs
+    .reduce((total, pair) => total + (pair.liquidity?.usd || 0), 0);
+
+  return join([
+    text`🚀 ${bold('RAYDIUM LAUNCHLAB GRADUATE')} 🚀\n\n`,
+    text`📊 ${bold('Token:')} ${name} (${symbol})\n`,
+    text`⏰ ${bold('Pool Age:')} ${ageData.ageString}\n`,
+    text`💰 ${bold('Price:')} $${price.toFixed(8)}\n`,
+    text`📈 ${bold('Market Cap:')} $${marketCap.toLocaleString()}\n`,
+    text`💧 ${bold('Liquidity:')} $${liquidity.toLocaleString()}\n`,
+    text`📊 ${bold('24h Volume:')} $${volume24h.toLocaleString()}\n`,
+    text`📈 ${bold('24h Change:')} ${priceChange24h.toFixed(2)}%\n`,
+    text`\n📱 ${bold('24h Trading Activity:')}\n`,
+    text`   • Buys: ${transactions.buys24h} (${transactions.buyers24h} buyers)\n`,
+    text`   • Sells: ${transactions.sells24h} (${transactions.sellers24h} sellers)\n\n`,
+    formatTokenSafety(tokenSafety, format),
+    formatHolderConcentration(holderConcentration, format),
+    text`🎓 ${bold('Graduation Path:')} Raydium LaunchLab → Raydium CPMM → Meteora DAMM v2\n`,
+    text`🏊 ${bold('Raydium CPMM Pools:')} ${raydiumPools.cpmmPairs.length} ($${Math.round(cpmmLiquidity).toLocaleString()} liquidity)\n`,
+    text`🔗 ${bold('Token Address:')} ${code(tokenAddress)}\n`,
+    text`🔗 ${bold('Pool Address:')} ${code(poolAddress)}\n\n`,
+    text`⚡ ${bold('Signal:')} TOKEN GRADUATED FROM RAYDIUM LAUNCHLAB TO METEORA DAMM V2!\n`,
+    text`🎯 ${bold('Strategy:')} Proven on LaunchLab and Raydium CPMM before Meteora\n`,
+    text`📡 ${bold('Source:')} GeckoTerminal API + DexScreener verification\n\n`,
+    text`#Meteora #RaydiumGraduate #LaunchLab #Solana #DeFi #${toHashtag(symbol)} #NewListing`
+  ]);
 }
 
-async function releaseTokenLock(tokenAddress) {
-  try {
-    if (!redisClient.isReady) {
-      return;
-    }
-    
-    const lockKey = `${REDIS_KEYS.SIGNAL_LOCKS}:${tokenAddress}`;
-    await redisClient.del(lockKey);
-    console.log(`🔓 Released lock for token ${tokenAddress}`);
-    
-  } catch (error) {
-    console.error('❌ Redis error releasing lock:', error.message);
-  }
-}
+// Signal template per strategy this entry point can run
+const SIGNAL_TEMPLATES = {
+  meteoraRaydiumGraduate: buildRaydiumGraduateMessage,
+  pumpswapFresh: buildPumpSwapTokenMessage
+};
 
-async function markTokenAsProcessed(tokenAddress, metadata = {}) {
-  try {
-    if (!redisClient.isReady) {
-      console.log('⚠️  Redis not ready, skipping token marking');
-      return false;
-    }
-    
-    // Add to processed tokens set
-    await redisClient.sAdd(REDIS_KEYS.PROCESSED_TOKENS, tokenAddress);
-    console.log(`✅ Added token ${tokenAddress} to Redis set`);
-    
-    // Store metadata with timestamp
-    const tokenData = {
-      tokenAddress: tokenAddress,
-      processedAt: new Date().toISOString(),
-      ...metadata
-    };
-    
-    // Convert all values to strings for Redis
-    const stringifiedData = {};
-    for (const [key, value] of Object.entries(tokenData)) {
-      if (value !== null && value !== undefined) {
-        stringifiedData[key] = String(value);
-      }
-    }
-    
-    // Store metadata
-    await redisClient.hSet(
-      `${REDIS_KEYS.TOKEN_METADATA}:${tokenAddress}`,
-      stringifiedData
-    );
-    
-    // Set expiration for metadata (30 days)
-    await redisClient.expire(`${REDIS_KEYS.TOKEN_METADATA}:${tokenAddress}`, 30 * 24 * 60 * 60);
-    
-    console.log(`✅ Stored metadata for token ${tokenAddress}`);
-    return true;
-    
-  } catch (error) {
-    console.error('❌ Redis error marking token:', error.message);
-    return false;
-  }
-}
+const STARTUP_TITLES = {
+  meteoraRaydiumGraduate: 'Raydium Graduate Bot1 Started!',
+  pumpswapFresh: 'PumpSwap Token Bot1 Started!'
+};
 
-async function getProcessedTokensCount() {
-  try {
-    if (!redisClient.isReady) {
-      return 0;
-    }
-    
-    const count = await redisClient.sCard(REDIS_KEYS.PROCESSED_TOKENS);
-    console.log(`📊 Redis token count: ${count}`);
-    return count || 0;
-    
-  } catch (error) {
-    console.error('❌ Redis error getting count:', error.message);
-    return 0;
-  }
+const buildSignalMessage = SIGNAL_TEMPLATES[strategy.name];
+if (!buildSignalMessage) {
+  console.error(`❌ bot1.js has no signal template for strategy "${strategy.name}"`);
+  console.error(`   Supported strategies: ${Object.keys(SIGNAL_TEMPLATES).join(', ')}`);
+  process.exit(1);
 }
 
-// ==============================
-// UTILITY FUNCTIONS
-// ==============================
-const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
-
-function parsePoolAge(createdAt) {
-  try {
-    const createdTime = new Date(createdAt);
-    const now = new Date();
-    const ageInMs = now - createdTime;
-    const ageInMinutes = ageInMs / (1000 * 60);
-    const ageInHours = ageInMinutes / 60;
-    
-    let ageString;
-    if (ageInMinutes < 60) {
-      ageString = `${Math.floor(ageInMinutes)}m`;
-    } else if (ageInHours < 24) {
-      const hours = Math.floor(ageInHours);
-      const minutes = Math.floor(ageInMinutes % 60);
-      ageString = minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
-    } else {
-      const days = Math.floor(ageInHours / 24);
-      ageString = `${days}d`;
-    }
-    
-    return {
-      ageString,
-      ageInMinutes,
-      ageInHours
-    };
-  } catch (error) {
-    console.error('❌ Error parsing pool age:', error.message);
-    return {
-      ageString: 'Unknown',
-      ageInMinutes: Infinity,
-      ageInHours: Infinity
-    };
-  }
-}
+// Telegram destinations get the full message unless their config asks for
+// "compact"; Discord and webhook destinations build their own payloads
+const signalTemplates = {
+  full: buildSignalMessage,
+  compact: (poolData, context, format) => formatCompactSignal(poolData, strategy.title, format)
+};
 
-function isTokenNewEnough(ageInMinutes) {
-  const maxAgeMinutes = 360; // 30 minutes max
-  return ageInMinutes <= maxAgeMinutes;
-}
+// Link buttons plus "Refresh stats" (and "Mute token" in subscriber DMs)
+const signalButtons = createSignalButtons({
+  bot,
+  redisClient,
+  keyPrefix: botConfig.redis.keyPrefix,
+  strategy,
+  templates: signalTemplates,
+  destinations: botConfig.destinations,
+  subscriptions
+});
 
-// Axios with timeout wrapper
-async function axiosWithTimeout(config, timeoutMs = 15000) {
-  const source = axios.CancelToken.source();
+// Nobody here answers "Refresh stats" without polling, so those signals get
+// only their links (and "Mute token", which the polling bot handles)
+const signalKeyboard = POLLING
+  ? signalButtons.keyboard
+  : (poolData, options) => buildSignalKeyboard(poolData, strategy.links, options);
+
+const signalRouter = createSignalRouter({
+  queue: telegramQueue,
+  destinations: botConfig.destinations,
+  botId: botConfig.id,
+  strategy,
+  templates: signalTemplates,
+  keyboard: signalKeyboard
+});
+
+// `context` is the pipeline context the strategy's stages filled in
+async function sendSignal(poolData, context) {
+  // Saved for the refresh button
+  await signalButtons.remember(poolData, context);
   
-  const timeout = setTimeout(() => {
-    source.cancel(`Request timeout after ${timeoutMs}ms`);
-  }, timeoutMs);
+  // Throws when no destination took the signal, so the token is retried later
+  await signalRouter.route(poolData, context);
+  if (performanceTracker) await performanceTracker.track(poolData);
   
-  try {
-    const response = await axios({
-      ...config,
-      cancelToken: source.token,
-      timeout: timeoutMs
-    });
-    clearTimeout(timeout);
-    return response;
-  } catch (error) {
-    clearTimeout(timeout);
-    if (axios.isCancel(error)) {
-      throw new Error(`Request timeout after ${timeoutMs}ms`);
+  // Then DM the full signal to subscribers whose personal filters it matches
+  await deliverToSubscribers({
+    queue: telegramQueue,
+    store: subscriptions,
+    botId: botConfig.id,
+    poolData,
+    message: buildSignalMessage(poolData, context).toString(),
+    options: {
+      parse_mode: MARKDOWN_V2.parseMode,
+      disable_web_page_preview: true,
+      reply_markup: signalKeyboard(poolData, { mute: true })
     }
-    throw error;
-  }
+  });
 }
 
 // ==============================
-// GECKOTERMINAL API FUNCTIONS
+// MAIN MONITORING LOOP
 // ==============================
-async function fetchNewPoolsFromPage(page) {
-  try {
-    console.log(`📄 Fetching page ${page} from GeckoTerminal...`);
-    
-    const response = await axiosWithTimeout({
-      method: 'get',
-      url: `${GECKOTERMINAL_API_BASE}?page=${page}&duration=6h&include=dex`,
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    }, 15000);
-    
-    if (!response.data || !response.data.data) {
-      console.log(`❌ No data found on page ${page}`);
-      return [];
-    }
-    
-    const pools = response.data.data;
-    console.log(`📊 Found ${pools.length} trending pools on page ${page}`);
-    
-    return pools;
-    
-  } catch (error) {
-    console.error(`❌ Error fetching page ${page}:`, error.message);
-    return [];
-  }
+// Shared by the GeckoTerminal cycle and the program log monitor
+const processOptions = {
+  strategy,
+  pipeline,
+  store: tokenStore,
+  notify: sendSignal,
+  context: { connection: solanaConnection, dexscreener },
+  poolDelay: botConfig.timing.poolDelay
+};
+
+// Remembers where the last scan ended so most cycles read only the first page(s)
+const poolScanner = createPoolScanner({
+  endpoint: GECKOTERMINAL_ENDPOINT,
+  params: GECKOTERMINAL_PARAMS,
+  maxPages: MAX_PAGES,
+  requestDelay: REQUEST_DELAY,
+  dexIds: strategy.dexIds,
+  incremental: botConfig.source.incremental,
+  fullSweepInterval: botConfig.source.fullSweepInterval
+});
+
+async function processTokensFromPage(matchingPoolsOnPage, page, tokensFoundCounter) {
+  // Process each pool immediately
+  const counts = await processPools(matchingPoolsOnPage, {
+    ...processOptions,
+    label: `Page ${page}/${MAX_PAGES}, Pool `
+  });
+  
+  addCounts(monitorState, counts);
+  tokensFoundCounter.count += counts.signaled;
 }
 
-async function processTokensFromPage(page, tokensFoundCounter) {
-  try {
-    const pools = await fetchNewPoolsFromPage(page);
-    
-    // Filter for PumpSwap pools on this page
-    const pumpSwapPoolsOnPage = pools.filter(pool => {
-      const dexId = pool.relationships?.dex?.data?.id;
-      return dexId === 'pumpswap';
-    });
-    
-    console.log(`🚀 PumpSwap pools on page ${page}: ${pumpSwapPoolsOnPage.length}`);
-    
-    // Process each pool immediately
-    for (let i = 0; i < pumpSwapPoolsOnPage.length; i++) {
-      const pool = pumpSwapPoolsOnPage[i];
-      
-      try {
-        const poolData = extractPoolData(pool);
-        if (!poolData) {
-          console.log(`❌ Failed to extract data for pool ${i + 1} on page ${page}`);
-          continue;
-        }
-        
-        const { baseTokenAddress, baseToken, ageData, pricing, poolAddress } = poolData;
-        const symbol = baseToken.symbol;
-        
-        console.log(`\n[Page ${page}/${MAX_PAGES}, Pool ${i + 1}/${pumpSwapPoolsOnPage.length}] Processing: ${symbol} (${baseTokenAddress})`);
-        console.log(`📍 Pool: ${poolAddress}`);
-        console.log(`⏰ Age: ${ageData.ageString}`);
-        
-        // ATOMIC CHECK: Use token address for deduplication to prevent duplicate signals for same token
-        const wasAlreadyProcessed = await checkAndMarkTokenAsProcessed(baseTokenAddress, {
-          reason: 'pumpswap_processing',
-          symbol,
-          poolAddress,
-          age: ageData.ageString,
-          liquidity: pricing.reserveUsd
-        });
-        
-        if (wasAlreadyProcessed) {
-          console.log(`⏭️  Token ${baseTokenAddress} already processed/locked - skipping to prevent duplicate signal`);
-          continue;
-        }
-        
-        console.log(`🔒 Acquired exclusive lock for token ${baseTokenAddress} (pool: ${poolAddress}) - proceeding with filters...`);
-        
-        try {
-          // Filter: Check pool age (30 minutes or newer)
-          if (!isTokenNewEnough(ageData.ageInMinutes)) {
-            console.log(`⏰ Token is too old (${ageData.ageString}) - releasing lock`);
-            await releaseTokenLock(baseTokenAddress);
-            continue;
-          }
-          
-          // Filter: Check liquidity (minimum $1k)
-          if (pricing.reserveUsd < config.minLiquidity) {
-            console.log(`💧 Liquidity too low ($${pricing.reserveUsd.toLocaleString()} < $${config.minLiquidity.toLocaleString()}) - releasing lock`);
-            await releaseTokenLock(baseTokenAddress);
-            continue;
-          }
-          
-          console.log(`✅ ${symbol} passed all filters - sending signal immediately!`);
-          
-          // Send the signal immediately (token is already marked as processed from checkAndMarkTokenAsProcessed)
-          await sendPumpSwapTokenSignal(poolData);
-          tokensFoundCounter.count++;
-          
-          console.log(`🎯 Token ${baseTokenAddress} signal sent successfully! (Total found: ${tokensFoundCounter.count})`);
-          
-          // Release the lock after successful signal
-          await releaseTokenLock(baseTokenAddress);
-            
-        } catch (filterError) {
-          console.error(`❌ Error during filtering for ${symbol}:`, filterError.message);
-          // Always release lock on error
-          await releaseTokenLock(baseTokenAddress);
-        }
-        
-        // Rate limiting between tokens
-        await sleep(1000); // Reduced to 1 second for faster processing
-        
-      } catch (tokenError) {
-        console.error(`❌ Error processing pool ${i + 1} on page ${page}:`, tokenError.message);
-        continue;
-      }
-    }
-    
-  } catch (error) {
-    console.error(`❌ Error processing page ${page}:`, error.message);
-  }
+// Cycle counters and the pause flag, shared with the admin commands
+const monitorState = createMonitorState();
+
+function formatDexScreenerStats() {
+  const { requests, cacheHits, coalesced } = dexscreener.getStats();
+  return `🗃️ DexScreener so far: ${requests} requests, ${cacheHits} cache hits, ${coalesced} coalesced lookups`;
 }
 
+function logDexScreenerStats() {
+  console.log(formatDexScreenerStats());
+}
 
-// ==============================
-// DATA PROCESSING FUNCTIONS
-// ==============================
-function extractPoolData(pool) {
-  try {
-    const attributes = pool.attributes;
-    const relationships = pool.relationships;
-    
-    const poolAddress = attributes.address;
-    const poolName = attributes.name;
-    const createdAt = attributes.pool_created_at;
-    const baseTokenId = relationships.base_token?.data?.id;
-    const quoteTokenId = relationships.quote_token?.data?.id;
-    const dexId = relationships.dex?.data?.id;
-    
-    // Extract base token address from ID (format: "solana_TOKENADDRESS")
-    const baseTokenAddress = baseTokenId ? baseTokenId.replace('solana_', '') : null;
-    const quoteTokenAddress = quoteTokenId ? quoteTokenId.replace('solana_', '') : null;
-    
-    // Parse age
-    const ageData = parsePoolAge(createdAt);
-    
-    // Extract pricing and volume data
-    const baseTokenPriceUsd = parseFloat(attributes.base_token_price_usd) || 0;
-    const fdvUsd = parseFloat(attributes.fdv_usd) || 0;
-    const marketCapUsd = parseFloat(attributes.market_cap_usd) || null;
-    const reserveUsd = parseFloat(attributes.reserve_in_usd) || 0;
-    
-    // Extract volume data
-    const volumeUsd = attributes.volume_usd || {};
-    const volume24h = parseFloat(volumeUsd.h24) || 0;
-    
-    return {
-      poolAddress,
-      poolName,
-      poolId: pool.id,
-      createdAt,
-      ageData,
-      baseTokenAddress,
-      quoteTokenAddress,
-      dexId,
-      baseToken: {
-        address: baseTokenAddress,
-        symbol: poolName.split(' / ')[0] || 'Unknown',
-        name: poolName.split(' / ')[0] || 'Unknown Token'
-      },
-      pricing: {
-        baseTokenPriceUsd,
-        fdvUsd,
-        marketCapUsd,
-        reserveUsd,
-        volume24h
-      }
-    };
-  } catch (error) {
-    console.error('❌ Error extracting pool data:', error);
-    return null;
+async function runBot1Cycle() {
+  const tokensFoundCounter = { count: 0 };
+  
+  // Process each page immediately as it's fetched
+  const { pagesFetched } = await poolScanner.scan((matchingPoolsOnPage, page) =>
+    processTokensFromPage(matchingPoolsOnPage, page, tokensFoundCounter)
+  );
+  const hasProcessedAnyPage = pagesFetched > 0;
+  
+  if (!hasProcessedAnyPage) {
+    console.log('⏳ No pages processed successfully');
+  } else {
+    console.log(`\n🎯 Total ${strategy.title} tokens found and signaled: ${tokensFoundCounter.count}`);
   }
+  logDexScreenerStats();
+  return hasProcessedAnyPage;
 }
 
-// ==============================
-// TELEGRAM SIGNAL FUNCTIONS
-// ==============================
-async function sendPumpSwapTokenSignal(poolData) {
-  try {
-    const { baseToken, pricing, ageData, poolAddress } = poolData;
-    const symbol = baseToken.symbol;
-    const name = baseToken.name;
-    const price = pricing.baseTokenPriceUsd;
-    const liquidity = pricing.reserveUsd;
-    const volume24h = pricing.volume24h;
-    const tokenAddress = baseToken.address;
-    const marketCap = pricing.fdvUsd;
-
-    const message = `🚀 **NEW PUMPSWAP TOKEN** 🚀\n\n` +
-      `📊 **Token:** ${name} (${symbol})\n` +
-      `⏰ **Pool Age:** ${ageData.ageString}\n` +
-      `💰 **Price:** $${price.toFixed(8)}\n` +
-      `📈 **Market Cap:** $${marketCap.toLocaleString()}\n` +
-      `💧 **Liquidity:** $${liquidity.toLocaleString()}\n` +
-      `📊 **24h Volume:** $${volume24h.toLocaleString()}\n` +
-      `🔗 **Token Address:** \`${tokenAddress}\`\n` +
-      `🔗 **Pool Address:** \`${poolAddress}\`\n\n` +
-      `📊 **DexScreener:** https://dexscreener.com/solana/${tokenAddress}\n` +
-      `🌐 **PumpSwap:** https://pump.fun/${tokenAddress}\n` +
-      `📈 **GeckoTerminal:** https://www.geckoterminal.com/solana/pools/${poolAddress}\n\n` +
-      `⚡ **Signal:** NEW TOKEN FROM PUMPSWAP!\n` +
-      `🎯 **Strategy:** Fresh token under 6 hours old\n` +
-      `📡 **Source:** GeckoTerminal API filtering PumpSwap\n\n` +
-      `#PumpSwap #NewToken #Solana #DeFi #${symbol} #Fresh`;
-
-    // Send to channel
-    try {
-      const messagePromise = bot.sendMessage(CHANNEL_USERNAME, message, {
-        parse_mode: 'Markdown',
-        disable_web_page_preview: true
-      });
-      
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Message timeout')), 10000)
-      );
-      
-      await Promise.race([messagePromise, timeoutPromise]);
-      console.log(`✅ Sent PumpSwap token signal for ${symbol} to ${CHANNEL_USERNAME}`);
-    } catch (messageError) {
-      console.error(`❌ Failed to send signal for ${symbol}:`, messageError.message);
-      if (messageError.message.includes('timeout')) {
-        console.error('Signal sending timed out - continuing with monitoring...');
-      }
-    }
-  } catch (error) {
-    console.error('Error preparing Telegram signal:', error);
-    if (error.response) {
-      console.error('Telegram API response:', error.response.body);
-    }
-  }
+function monitorBot1Tokens() {
+  return runMonitorLoop({
+    name: strategy.title,
+    runCycle: runBot1Cycle,
+    getProcessedCount: tokenStore.getProcessedCount,
+    state: monitorState,
+    ...botConfig.timing
+  });
+}
+
+function watchProgramLogs() {
+  return runLogMonitor({
+    name: strategy.title,
+    connection: solanaConnection,
+    dexIds: strategy.dexIds,
+    processOptions,
+    state: monitorState
+  });
 }
 
 // ==============================
-// MAIN MONITORING LOOP
+// ADMIN COMMANDS
 // ==============================
-async function monitorPumpSwapTokens() {
-  console.log('🔍 Starting PumpSwap token monitoring...');
-  let cycleCount = 0;
-  let errorCount = 0;
-  
-  while (true) {
-    const cycleStartTime = Date.now();
-    cycleCount++;
-    
-    try {
-      console.log(`\n🔄 Starting monitoring cycle #${cycleCount} at ${new Date().toLocaleTimeString()}`);
-      console.log(`🔍 Fetching and processing pools from GeckoTerminal (pages 1-${MAX_PAGES})...`);
-      
-      const tokensFoundCounter = { count: 0 };
-      let hasProcessedAnyPage = false;
-      
-      // Process each page immediately as it's fetched
-      for (let page = 1; page <= MAX_PAGES; page++) {
-        try {
-          await processTokensFromPage(page, tokensFoundCounter);
-          hasProcessedAnyPage = true;
-          
-          // Add delay between page requests to avoid rate limiting
-          if (page < MAX_PAGES) {
-            await sleep(REQUEST_DELAY);
-          }
-          
-        } catch (pageError) {
-          console.error(`❌ Error processing page ${page}:`, pageError.message);
-          continue;
-        }
-      }
-      
-      if (!hasProcessedAnyPage) {
-        console.log('⏳ No pages processed successfully');
-        errorCount++;
-      } else {
-        errorCount = 0; // Reset error count on success
-        console.log(`\n🎯 Total valid PumpSwap tokens found and signaled: ${tokensFoundCounter.count}`);
-      }
-      
-      const cycleTime = ((Date.now() - cycleStartTime) / 1000).toFixed(1);
-      console.log(`✅ Completed monitoring cycle #${cycleCount} in ${cycleTime}s`);
-      
-      // Get processed tokens count from Redis
-      const processedCount = await getProcessedTokensCount();
-      console.log(`💾 Total processed tokens in Redis: ${processedCount}`);
-      
-      // Dynamic wait time based on error count
-      let waitTime = CYCLE_DELAY; // Default 60 seconds
-      
-      if (errorCount > 0) {
-        waitTime = Math.min(CYCLE_DELAY + (errorCount * 30000), 300000); // Max 5 minutes
-        console.log(`⚠️  ${errorCount} consecutive errors, waiting ${waitTime/1000}s...`);
-      } else {
-        console.log(`⏳ Waiting ${waitTime/1000} seconds before next cycle...`);
-      }
-      
-      console.log(''); // Empty line for readability
-      await sleep(waitTime);
-      
-    } catch (error) {
-      console.error('❌ Critical error in monitoring loop:', error.message);
-      errorCount += 5;
-      
-      let recoveryTime = 120000; // 2 minutes default
-      if (error.response?.status === 429) {
-        recoveryTime = 300000; // 5 minutes for rate limiting
-        console.log('🔄 Rate limiting detected, waiting 5 minutes...');
-      } else {
-        console.log('🔄 Critical error, attempting recovery in 2 minutes...');
-      }
-      
-      await sleep(recoveryTime);
-    }
-  }
-}
+// /status, /stats, /pause, /resume, /filters, /set for the configured admins
+registerAdminCommands(bot, {
+  botConfig,
+  strategy,
+  pipeline,
+  store: tokenStore,
+  state: monitorState,
+  extraStats: async () => [
+    formatDexScreenerStats(),
+    formatQueueStats(await telegramQueue.getStats()),
+    ...(performanceTracker ? [formatPerformanceStats(await performanceTracker.getStats())] : [])
+  ]
+});
+
+// /check <mint> (or a bare mint address) runs the pipeline without marking the token
+registerCheckCommand(bot, {
+  botConfig,
+  strategy,
+  pipeline,
+  store: tokenStore,
+  context: processOptions.context
+});
+
+// /subscribe, /unsubscribe, /subscriptions, /profile in private chats, for
+// every bot sharing this token and Redis database
+registerSubscriptionCommands(bot, { store: subscriptions, linkedBots: botConfig.linkedBots });
+
+// Refresh and mute buttons under signals
+if (POLLING) signalButtons.register();
 
 // ==============================
 // MAIN APPLICATION
 // ==============================
 async function main() {
-  console.log('🤖 Starting Raydium Graduate Signal Bot1 (GeckoTerminal API)...');
-  console.log(`📢 Sending signals to: ${CHANNEL_USERNAME}`);
-  console.log(`📡 Source: GeckoTerminal API (${MAX_PAGES} pages)`);
-  console.log(`🌊 Primary Filter: Meteora + Meteora DAMM v2 pools only`);
-  console.log(`🎓 Graduate Filter: Must exist on Raydium Launchlab + Raydium CPMM + Meteora DAMMv2`);
-  console.log(`⏰ Age Filter: Only tokens ≤ 6 hours old`);
-  console.log(`📈 Price Filter: ${config.requirePositivePriceChange ? 'Positive 24h change only' : 'Disabled'}`);
-  console.log(`💰 Market Cap Filter: Only tokens < $${(config.maxMarketCap / 1000000).toFixed(1)}M`);
-  console.log(`💧 Liquidity Filter: Minimum $${config.minLiquidity.toLocaleString()} USD`);
-  console.log(`⏰ Pool Age Filter: No pools older than 24 hours`);
-  console.log(`🗄️  Storage: Redis (localhost:6379/db1) - Independent Bot1 database`);
+  console.log(`🤖 Starting ${strategy.title} Signal Bot1 (GeckoTerminal API)...`);
+  console.log(`📢 Sending signals to: ${signalRouter.describe()}`);
+  console.log(`📡 Source: ${SOURCE_LABEL}`);
+  console.log(`🌊 Primary Filter: ${strategy.dexIds.join(' + ')} pools only`);
+  pipeline.stages.forEach(stage => {
+    console.log(`${stage.emoji} ${stage.label}: ${stage.describe()}`);
+  });
+  console.log(`🗄️  Storage: Redis (${botConfig.redis.host}:${botConfig.redis.port}/db${botConfig.redis.database}) - Independent Bot1 database`);
   console.log(`🔒 Bulletproof Deduplication: One signal per token address guaranteed`);
   console.log(`⏱️  Cycle Interval: ${CYCLE_DELAY/1000} seconds`);
+  console.log(`🧩 Pipeline (${strategy.title}): ${pipeline.stages.map(stage => stage.name).join(' → ')}`);
   
-  // Connect to Redis
-  try {
-    if (!redisClient.isOpen) {
-      await redisClient.connect();
-    }
-    const processedCount = await getProcessedTokensCount();
-    console.log(`💾 Found ${processedCount} previously processed tokens in Redis Bot1 database`);
-    
-    // Clean up any orphaned locks from previous runs (older than 10 minutes)
-    try {
-      const lockPattern = `${REDIS_KEYS.SIGNAL_LOCKS}:*`;
-      const lockKeys = await redisClient.keys(lockPattern);
-      if (lockKeys.length > 0) {
-        console.log(`🧹 Found ${lockKeys.length} existing locks, cleaning up...`);
-        await redisClient.del(lockKeys);
-        console.log(`✅ Cleaned up ${lockKeys.length} orphaned locks`);
-      }
-    } catch (cleanupError) {
-      console.error('⚠️  Error cleaning up locks:', cleanupError.message);
-    }
-    
-  } catch (redisError) {
-    console.error('❌ Failed to connect to Redis:', redisError.message);
-    console.log('⚠️  Bot will continue but processed tokens won\'t persist across restarts');
-    console.log('🔧 Make sure Redis server is running on localhost:6379 (Bot1 uses database 1)');
+  await connectStore(redisClient, tokenStore, { label: `${botConfig.redis.host}:${botConfig.redis.port} (Bot1 uses database ${botConfig.redis.database})` });
+  telegramQueue.start();
+  if (performanceTracker) performanceTracker.start();
+  if (digestScheduler) digestScheduler.start();
+  
+  if (SHADOW) {
+    console.log(`🕶️  Shadow run: Redis prefix ${botConfig.redis.keyPrefix}, live channel ${botConfig.shadow.live.channel} untouched`);
   }
   
-  // Test channel access
-  console.log('🔍 Testing channel connection...');
-  try {
-    const messagePromise = bot.sendMessage(CHANNEL_USERNAME, 
-      '🤖 **PumpSwap Token Bot1 Started!**\n\n' +
-      '📊 **API Source:** PumpSwap API\n' +
-      '⏰ **Age Filter:** ≤ 6 hours old\n' +
-      '💧 **Liquidity Filter:** Min $50K USD\n' +
-      '🔒 **Token-based Deduplication:** One signal per token\n' +
-      '🚫 **Zero Duplicates:** Each token signaled exactly once\n\n' +
-      '#BotStarted #PumpSwap #NewTokens #FreshSignals',
-      { parse_mode: 'Markdown' }
-    );
-    
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Connection timeout')), 10000)
-    );
-    
-    await Promise.race([messagePromise, timeoutPromise]);
-    console.log('✅ Successfully connected to channel');
-  } catch (error) {
-    console.error('❌ Failed to send message to channel:', error);
-    if (error.message.includes('timeout')) {
-      console.error('Connection timed out. Check your internet connection and bot token.');
-    } else if (error.message.includes('chat not found')) {
-      console.error('Channel not found. Make sure the channel username is correct.');
-    } else if (error.message.includes('Forbidden')) {
-      console.error('Bot not authorized. Make sure the bot is added to the channel as an admin.');
+  // Test channel access (a shadow run may have no channel)
+  if (CHANNEL_USERNAME) {
+    console.log('🔍 Testing channel connection...');
+    try {
+      const { text, join, bold } = MARKDOWN_V2;
+      await sendWithTimeout(bot, CHANNEL_USERNAME, 
+        join([
+          text`🤖 ${bold(STARTUP_TITLES[strategy.name])}\n\n`,
+          SHADOW ? text`🕶️ ${bold('Shadow run:')} signals go only to this chat and ${botConfig.shadow.file}\n\n` : null,
+          text`📊 ${bold('API Source:')} ${SOURCE_LABEL}\n`,
+          text`🌊 ${bold('Primary Filter:')} ${strategy.dexIds.join(' + ')} pools\n`,
+          // Filter lines come from the running pipeline so they cannot drift
+          join(pipeline.describeFormatted(MARKDOWN_V2), '\n'),
+          text`\n🔒 ${bold('Token-based Deduplication:')} One signal per token\n`,
+          text`🚫 ${bold('Zero Duplicates:')} Each token signaled exactly once\n\n`,
+          text`#BotStarted #NewTokens #FreshSignals`
+        ]).toString(),
+        { parse_mode: MARKDOWN_V2.parseMode }
+      );
+      console.log('✅ Successfully connected to channel');
+    } catch (error) {
+      logChannelError(error);
+      console.log('⚠️  Bot will continue running without channel notifications...');
     }
-    console.log('⚠️  Bot will continue running without channel notifications...');
   }
   
   // Start monitoring
-  await monitorPumpSwapTokens();
-}
-
-// Handle process termination
-process.on('SIGINT', async () => {
-  console.log('\n🛑 Shutting down signal bot...');
-  try {
-    bot.stopPolling();
-    await redisClient.quit();
-    console.log('✅ Redis connection closed');
-  } catch (error) {
-    console.error('❌ Error during shutdown:', error.message);
+  if (botConfig.source.type === 'logs') {
+    watchProgramLogs();
+  } else {
+    await monitorBot1Tokens();
   }
-  process.exit(0);
-});
-
-process.on('unhandledRejection', (error) => {
-  console.error('❌ Unhandled promise rejection:', error);
-  console.log('🔄 Bot will continue running...');
-});
-
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught exception:', error);
-  console.log('🔄 Bot will continue running...');
-});
+}
 
-// Heartbeat to show bot is alive
-setInterval(() => {
-  const uptime = process.uptime();
-  const hours = Math.floor(uptime / 3600);
-  const minutes = Math.floor((uptime % 3600) / 60);
-  console.log(`💓 Bot heartbeat - Uptime: ${hours}h ${minutes}m | Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
-}, 5 * 60 * 1000); // Every 5 minutes
+installProcessHandlers({ name: 'signal bot', bot, redisClient });
+startHeartbeat();
 
 main().catch((error) => {
   console.error('❌ Critical error in main:', error);
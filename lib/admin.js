@@ -0,0 +1,137 @@
+const { FILTER_SCHEMA, parseEnvValue, checkValue } = require('./config');
+const { sendWithTimeout } = require('./telegram');
+
+// ==============================
+// ADMIN COMMANDS
+// ==============================
+// /status, /stats, /pause, /resume, /filters and /set for the user ids in the
+// bot's `admins` config. Replies are plain text so token names and filter
+// values need no escaping.
+const formatUptime = ms => {
+  const minutes = Math.floor(ms / 60000);
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+function formatStatus({ botConfig, strategy, state }) {
+  const source = botConfig.source.type === 'logs'
+    ? 'Solana program logs'
+    : `GeckoTerminal ${botConfig.source.endpoint} (${botConfig.source.maxPages} pages)`;
+  const lastCycle = state.lastCycleAt
+    ? `${Math.round((Date.now() - state.lastCycleAt) / 1000)}s ago${state.lastCycleSeconds !== null ? `, took ${state.lastCycleSeconds}s` : ''}`
+    : 'none yet';
+  
+  return [
+    `📊 ${strategy.title} (${botConfig.id})`,
+    `State: ${state.paused ? '⏸️ paused' : '▶️ running'}`,
+    `Source: ${source}`,
+    `Channel: ${botConfig.channel}`,
+    `Uptime: ${formatUptime(Date.now() - state.startedAt)}`,
+    `Cycles: ${state.cycleCount} (last: ${lastCycle})`,
+    `Consecutive errors: ${state.errorCount}`
+  ].join('\n');
+}
+
+async function formatStats({ store, state, extraStats }) {
+  const { signaled, rejected, skipped, failed } = state.totals;
+  const lines = [
+    `💾 Processed in Redis: ${await store.getProcessedCount()}`,
+    `🎯 Since start: ${signaled} signaled, ${rejected} rejected, ${skipped} skipped, ${failed} failed`
+  ];
+  return lines.concat(extraStats ? await extraStats() : []).join('\n');
+}
+
+function formatFilters(pipeline) {
+  const settable = Object.keys(pipeline.getAppliedFilters()).filter(key => FILTER_SCHEMA[key]);
+  return [
+    '🧩 Active filters:',
+    ...pipeline.stages.map(stage => `${stage.emoji} ${stage.label}: ${stage.describe()}`),
+    '',
+    `Change with /set <filter> <value>, one of: ${settable.join(', ')}`
+  ].join('\n');
+}
+
+// Validates like the config file does, then changes the running pipeline.
+// The change is not written back and is lost on restart.
+function setFilter({ botConfig, pipeline }, args) {
+  const [key, rawValue] = args.split(/\s+/);
+  if (!key || rawValue === undefined) {
+    throw new Error('Usage: /set <filter> <value>');
+  }
+  
+  const schema = FILTER_SCHEMA[key];
+  const applied = pipeline.getAppliedFilters();
+  if (!schema || !(key in applied)) {
+    throw new Error(`${key} is not a filter of this bot. Use /filters to list them.`);
+  }
+  
+  const value = parseEnvValue(rawValue, schema.type);
+  const errors = [];
+  checkValue(errors, key, value, schema);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+  
+  const stages = pipeline.setFilter(key, value);
+  botConfig.filters[key] = value;
+  console.log(`🛠️  Admin changed ${key}: ${JSON.stringify(applied[key])} -> ${JSON.stringify(value)}`);
+  
+  return `✅ ${key}: ${JSON.stringify(applied[key])} → ${JSON.stringify(value)} (${stages.join(', ')})\n` +
+    'Applies from the next pool on; not saved, so update the config file to keep it after a restart.';
+}
+
+// `options`: { botConfig, strategy, pipeline, store, state, extraStats }, where
+// state is the createMonitorState() the monitor loop updates and extraStats
+// an optional (async) function returning more /stats lines. Returns false (and
+// registers nothing) when no admins are configured.
+function registerAdminCommands(bot, options) {
+  const { botConfig, pipeline, state } = options;
+  const admins = botConfig.admins || [];
+  
+  if (admins.length === 0) {
+    console.log('⚠️  No admins configured, Telegram admin commands are disabled');
+    return false;
+  }
+  
+  const reply = (msg, text) => sendWithTimeout(bot, msg.chat.id, text)
+    .catch(error => console.error('❌ Failed to answer admin command:', error.message));
+  
+  const command = (name, handler) => {
+    bot.onText(new RegExp(`^/${name}(?:@\\w+)?(?:\\s+([\\s\\S]*))?$`), async (msg, match) => {
+      if (!msg.from || !admins.includes(msg.from.id)) {
+        console.log(`⛔ /${name} from non-admin user ${msg.from ? msg.from.id : 'unknown'}`);
+        await reply(msg, '⛔ This command is restricted to bot admins.');
+        return;
+      }
+      
+      try {
+        await reply(msg, await handler((match[1] || '').trim()));
+      } catch (error) {
+        await reply(msg, `❌ ${error.message}`);
+      }
+    });
+  };
+  
+  command('status', () => formatStatus(options));
+  command('stats', () => formatStats(options));
+  command('filters', () => formatFilters(pipeline));
+  command('set', args => setFilter(options, args));
+  
+  command('pause', () => {
+    state.paused = true;
+    console.log('⏸️  Paused by admin command');
+    return '⏸️ Paused. The current cycle finishes, then no new pools are processed until /resume.';
+  });
+  
+  command('resume', () => {
+    state.paused = false;
+    console.log('▶️  Resumed by admin command');
+    return '▶️ Resumed.';
+  });
+  
+  console.log(`🛠️  Admin commands enabled for ${admins.length} user(s)`);
+  return true;
+}
+
+module.exports = {
+  registerAdminCommands
+};
@@ -0,0 +1,324 @@
+const { extractPoolData } = require('./pools');
+const { filterPoolsByDex } = require('./geckoterminal');
+const { DEXSCREENER_PAIRS_CAP, splitTokenPairs } = require('./dexscreener');
+const { STAGES } = require('./stages');
+const { createPipeline } = require('./pipeline');
+const { getDedupAddress } = require('./processor');
+const { PERFORMANCE_CHECKPOINTS, PERFORMANCE_CHECKPOINT_WINDOW, addSample } = require('./performance');
+const { summarizeSignals, HIT_MULTIPLES } = require('./digest');
+const { readRecordings } = require('./recorder');
+
+// ==============================
+// BACKTEST
+// ==============================
+// Replays recorded new_pools pages (lib/recorder.js) through a strategy's
+// pipeline once per filter variant, the way the live bot would have seen
+// them: every pool is judged the first time it shows up, aged at the time the
+// page was fetched, with DexScreener stages answered from the recorded
+// response closest to that time. On-chain stages cannot be replayed and are
+// left out, so variants only differ in the API-based filters.
+//
+// Outcomes come from later recordings of the same pool (pages, single pool
+// lookups and DexScreener pairs), sampled at the performance checkpoints.
+const BACKTEST_DEFAULTS = {
+  // How far from a page a DexScreener response may be recorded to be used for it
+  dexscreenerWindow: 10 * 60 * 1000
+};
+
+// Recorded DexScreener responses as a client for the pipeline, pinned to a
+// replay time with `at(time)`
+function createReplayDexScreener(entries, { window = BACKTEST_DEFAULTS.dexscreenerWindow } = {}) {
+  const responses = new Map(); // address -> [{ time, pairs }]
+  const stats = { hits: 0, misses: 0 };
+  
+  for (const entry of entries) {
+    const pairs = (entry.response && entry.response.pairs) || [];
+    // The live client asked for each token again when a batch hit the cap
+    if (entry.addresses.length > 1 && pairs.length >= DEXSCREENER_PAIRS_CAP) continue;
+    for (const [address, tokenPairs] of splitTokenPairs(entry.addresses, pairs)) {
+      if (!responses.has(address)) responses.set(address, []);
+      responses.get(address).push({ time: entry.time, pairs: tokenPairs });
+    }
+  }
+  
+  function at(time) {
+    return {
+      async getTokenPairs(tokenAddress) {
+        const nearest = (responses.get(tokenAddress) || [])
+          .filter(response => Math.abs(response.time - time) <= window)
+          .reduce((best, response) =>
+            (!best || Math.abs(response.time - time) < Math.abs(best.time - time) ? response : best), null);
+        if (!nearest) {
+          stats.misses++;
+          return null;
+        }
+        stats.hits++;
+        return nearest.pairs;
+      },
+      async prefetch() {}
+    };
+  }
+  
+  return {
+    at,
+    getStats: () => ({ ...stats })
+  };
+}
+
+// ==============================
+// RECORDED DATA
+// ==============================
+const asList = data => (Array.isArray(data) ? data : data ? [data] : []);
+
+// Pool pages of `endpoint` in the order they were fetched
+function collectSnapshots(geckoEntries, { endpoint = 'new_pools', dexIds } = {}) {
+  return geckoEntries
+    .filter(entry => entry.endpoint === endpoint && entry.response)
+    .map(entry => ({ time: entry.time, pools: filterPoolsByDex(asList(entry.response.data), dexIds) }));
+}
+
+// pool address -> price observations, oldest first
+function buildPriceHistory(geckoEntries, dexscreenerEntries) {
+  const history = new Map();
+  const observe = (poolAddress, observation) => {
+    if (!poolAddress || !(observation.price > 0)) return;
+    if (!history.has(poolAddress)) history.set(poolAddress, []);
+    history.get(poolAddress).push(observation);
+  };
+  
+  for (const entry of geckoEntries) {
+    for (const pool of asList(entry.response && entry.response.data)) {
+      const attributes = pool.attributes || {};
+      observe(attributes.address, {
+        time: entry.time,
+        price: parseFloat(attributes.base_token_price_usd) || 0,
+        fdv: parseFloat(attributes.fdv_usd) || 0,
+        liquidity: parseFloat(attributes.reserve_in_usd) || 0,
+        source: 'geckoterminal'
+      });
+    }
+  }
+  for (const entry of dexscreenerEntries) {
+    for (const pair of (entry.response && entry.response.pairs) || []) {
+      observe(pair.pairAddress, {
+        time: entry.time,
+        price: parseFloat(pair.priceUsd) || 0,
+        fdv: pair.fdv || 0,
+        liquidity: (pair.liquidity && pair.liquidity.usd) || 0,
+        source: 'dexscreener'
+      });
+    }
+  }
+  
+  for (const observations of history.values()) {
+    observations.sort((a, b) => a.time - b.time);
+  }
+  return history;
+}
+
+function loadRecordings(dir, { since, until } = {}) {
+  const gecko = readRecordings(dir, 'geckoterminal', { since, until });
+  const dexscreener = readRecordings(dir, 'dexscreener', { since, until });
+  return {
+    geckoEntries: gecko.entries,
+    dexscreenerEntries: dexscreener.entries,
+    skipped: gecko.skipped + dexscreener.skipped
+  };
+}
+
+// ==============================
+// OUTCOMES
+// ==============================
+// A performance record (see lib/performance.js) built from recordings: each
+// checkpoint takes the first observation within its window after the signal,
+// and the peak is the highest price seen within the last checkpoint
+function measureOutcome(signal, observations = []) {
+  const { poolData, time } = signal;
+  const { pricing, baseToken, poolAddress } = poolData;
+  const signaledAt = new Date(time).toISOString();
+  let record = {
+    strategy: signal.strategy,
+    poolAddress,
+    tokenAddress: baseToken.address,
+    symbol: baseToken.symbol,
+    signaledAt,
+    entry: { price: pricing.baseTokenPriceUsd, fdv: pricing.fdvUsd, liquidity: pricing.reserveUsd },
+    samples: {},
+    missed: [],
+    peak: { multiple: 1, price: pricing.baseTokenPriceUsd, at: signaledAt }
+  };
+  
+  for (const { label, delay } of PERFORMANCE_CHECKPOINTS) {
+    const observation = observations.find(candidate =>
+      candidate.time >= time + delay && candidate.time < time + delay * PERFORMANCE_CHECKPOINT_WINDOW);
+    if (observation) {
+      const { price, fdv, liquidity, source } = observation;
+      record = addSample(record, label, { price, fdv, liquidity, source }, observation.time);
+    } else {
+      record.missed.push(label);
+    }
+  }
+  
+  const horizon = time + PERFORMANCE_CHECKPOINTS[PERFORMANCE_CHECKPOINTS.length - 1].delay;
+  for (const observation of observations) {
+    if (observation.time <= time || observation.time > horizon || !(record.entry.price > 0)) continue;
+    const multiple = observation.price / record.entry.price;
+    if (multiple > record.peak.multiple) {
+      record.peak = { multiple, price: observation.price, at: new Date(observation.time).toISOString() };
+    }
+  }
+  return record;
+}
+
+// ==============================
+// REPLAY
+// ==============================
+const getStageName = spec => (typeof spec === 'string' ? spec : spec.stage);
+const isOnChain = spec => Boolean(STAGES[getStageName(spec)] && STAGES[getStageName(spec)].usesRpc);
+
+async function runVariant(snapshots, { strategy, filters, dexscreener }) {
+  const pipeline = createPipeline(strategy.stages.filter(spec => !isOnChain(spec)), filters);
+  const seen = new Set();
+  const signals = [];
+  const rejections = {};
+  let evaluated = 0;
+  
+  for (const snapshot of snapshots) {
+    for (const pool of snapshot.pools) {
+      const poolData = extractPoolData(pool, { now: snapshot.time });
+      if (!poolData) continue;
+
+      // Like the live dedup set, a pool or token is judged once
+      const address = getDedupAddress(strategy, poolData);
+      if (seen.has(address)) continue;
+      seen.add(address);
+      evaluated++;
+      
+      const result = await pipeline.run(poolData, {
+        strategy: strategy.name,
+        dexscreener: dexscreener.at(snapshot.time),
+        now: snapshot.time
+      });
+      if (result.passed) {
+        signals.push({ strategy: strategy.name, poolData, time: snapshot.time });
+      } else {
+        rejections[result.failedStage] = (rejections[result.failedStage] || 0) + 1;
+      }
+    }
+  }
+  
+  return { evaluated, signals, rejections, filters: pipeline.getAppliedFilters() };
+}
+
+// `variants` maps a name to filter overrides on top of `baseFilters`
+async function runBacktest({ strategy, baseFilters = {}, variants, recordings, endpoint = 'new_pools', ...options }) {
+  const settings = { ...BACKTEST_DEFAULTS, ...options };
+  const snapshots = collectSnapshots(recordings.geckoEntries, { endpoint, dexIds: strategy.dexIds });
+  const history = buildPriceHistory(recordings.geckoEntries, recordings.dexscreenerEntries);
+  const dexscreener = createReplayDexScreener(recordings.dexscreenerEntries, { window: settings.dexscreenerWindow });
+  
+  const results = {};
+  for (const [name, overrides] of Object.entries(variants)) {
+    const { evaluated, signals, rejections, filters } = await runVariant(snapshots, {
+      strategy,
+      filters: { ...baseFilters, ...overrides },
+      dexscreener
+    });
+    const records = signals.map(signal => measureOutcome(signal, history.get(signal.poolData.poolAddress)));
+    results[name] = {
+      filters,
+      // Overrides no replayed stage applies, e.g. on-chain filters
+      ignored: Object.keys(overrides).filter(key => !(key in filters)),
+      evaluated,
+      rejections,
+      records,
+      withOutcome: records.filter(record => Object.keys(record.samples).length > 0).length,
+      summary: summarizeSignals(records)
+    };
+  }
+  
+  return {
+    strategy: strategy.name,
+    skippedStages: strategy.stages.filter(isOnChain).map(getStageName),
+    snapshots: snapshots.length,
+    from: snapshots.length > 0 ? snapshots[0].time : null,
+    to: snapshots.length > 0 ? snapshots[snapshots.length - 1].time : null,
+    dexscreener: dexscreener.getStats(),
+    variants: results
+  };
+}
+
+// ==============================
+// REPORT
+// ==============================
+const formatPercent = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+const formatTime = ms => new Date(ms).toISOString().slice(0, 16).replace('T', ' ');
+
+// Indented console lines for a summarizeSignals() result (lib/digest.js)
+function formatOutcomeLines(summary) {
+  const lines = [
+    `   Hit ${HIT_MULTIPLES.map(multiple => `${multiple}x: ${summary.hits[multiple]}`).join(' | ')}`,
+    `   Median 24h return: ${summary.median24h === null ? 'n/a' : formatPercent(summary.median24h)} (${summary.with24h} with 24h data)`
+  ];
+  if (summary.best) lines.push(`   Best: ${summary.best.symbol} (${summary.best.peak.toFixed(2)}x peak)`);
+  if (summary.worst) lines.push(`   Worst: ${summary.worst.symbol} (${formatPercent((summary.worst.multiple - 1) * 100)} at last sample)`);
+  lines.push(`   Rugs: ${summary.rugs.length}${summary.rugs.length > 0 ? ` (${summary.rugs.join(', ')})` : ''}`);
+  return lines;
+}
+
+// Plain-text report for the console; changed filters are shown per variant
+// and signal sets are compared with the first variant
+function formatBacktestReport(report, { baseFilters = {} } = {}) {
+  const lines = [
+    `📼 Backtest of ${report.strategy}: ${report.snapshots} recorded page${report.snapshots === 1 ? '' : 's'}` +
+      (report.from === null ? '' : ` (${formatTime(report.from)} → ${formatTime(report.to)} UTC)`),
+    `📊 DexScreener lookups answered from recordings: ${report.dexscreener.hits}, missing: ${report.dexscreener.misses}`
+  ];
+  if (report.skippedStages.length > 0) {
+    lines.push(`⚠️  On-chain stages not replayed: ${report.skippedStages.join(', ')}`);
+  }
+  
+  const [baseline] = Object.values(report.variants);
+  const baselinePools = new Set(baseline ? baseline.records.map(record => record.poolAddress) : []);
+  
+  for (const [name, variant] of Object.entries(report.variants)) {
+    const { summary } = variant;
+    const changed = Object.entries(variant.filters)
+      .filter(([key, value]) => baseFilters[key] !== value)
+      .map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+    const pools = new Set(variant.records.map(record => record.poolAddress));
+    const added = [...pools].filter(pool => !baselinePools.has(pool)).length;
+    const dropped = [...baselinePools].filter(pool => !pools.has(pool)).length;
+    
+    lines.push('');
+    lines.push(`🧪 ${name}${changed.length > 0 ? ` (${changed.join(', ')})` : ''}`);
+    lines.push(`   Signals: ${summary.count} of ${variant.evaluated} evaluated` +
+      (variant === baseline ? '' : ` (+${added} / -${dropped} vs ${Object.keys(report.variants)[0]})`));
+    if (variant.ignored.length > 0) {
+      lines.push(`   ⚠️  Not replayed, no effect: ${variant.ignored.join(', ')}`);
+    }
+    const rejections = Object.entries(variant.rejections).map(([stage, count]) => `${stage} ${count}`);
+    if (rejections.length > 0) {
+      lines.push(`   Rejected: ${rejections.join(', ')}`);
+    }
+    if (summary.count === 0) continue;
+    
+    lines.push(`   Outcome data: ${variant.withOutcome} of ${summary.count} signals`);
+    lines.push(...formatOutcomeLines(summary));
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  BACKTEST_DEFAULTS,
+  createReplayDexScreener,
+  collectSnapshots,
+  buildPriceHistory,
+  loadRecordings,
+  measureOutcome,
+  runVariant,
+  runBacktest,
+  formatOutcomeLines,
+  formatBacktestReport
+};
@@ -0,0 +1,610 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { STRATEGIES } = require('./strategies');
+const { resolveStage } = require('./pipeline');
+const { DEFAULT_RPC_URL } = require('./solana');
+const { DEFAULT_RATE_LIMITS } = require('./rateLimit');
+const { MESSAGE_FORMATS } = require('./messageFormat');
+
+// ==============================
+// CONFIG FILE
+// ==============================
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'bots.config.yaml');
+
+const GECKOTERMINAL_ENDPOINTS = ['new_pools', 'trending_pools'];
+
+// geckoterminal polls the API every cycle; logs follows pool-creation
+// instructions over the RPC WebSocket (see lib/programLogs.js)
+const SOURCE_TYPES = ['geckoterminal', 'logs'];
+
+// Filter keys a bot may set, with their value constraints
+const FILTER_SCHEMA = {
+  maxAgeHours: { type: 'number', min: 0 },
+  maxMarketCap: { type: 'number', min: 0 },
+  minLiquidity: { type: 'number', min: 0 },
+  maxPairAgeHours: { type: 'number', min: 0 },
+  requirePositivePriceChange: { type: 'boolean' },
+  rejectMintAuthority: { type: 'boolean' },
+  rejectFreezeAuthority: { type: 'boolean' },
+  maxTop10HolderPercent: { type: 'number', min: 0, max: 100 },
+  minLpBurnedPercent: { type: 'number', min: 0, max: 100 }
+};
+
+const TIMING_SCHEMA = {
+  requestDelay: { type: 'integer', min: 0 },
+  cycleDelay: { type: 'integer', min: 1000 },
+  poolDelay: { type: 'integer', min: 0 },
+  signalDelay: { type: 'integer', min: 0 },
+  errorDelayStep: { type: 'integer', min: 0 },
+  maxErrorDelay: { type: 'integer', min: 0 },
+  recoveryDelay: { type: 'integer', min: 0 },
+  rateLimitDelay: { type: 'integer', min: 0 }
+};
+
+// Follow-up checkpoints on sent signals (see lib/performance.js)
+const PERFORMANCE_SCHEMA = {
+  enabled: { type: 'boolean' },
+  replies: { type: 'boolean' }
+};
+
+// Daily/weekly digests posted to the channel (see lib/digest.js)
+const DIGEST_SCHEMA = {
+  daily: { type: 'boolean' },
+  weekly: { type: 'boolean' },
+  hourUtc: { type: 'integer', min: 0, max: 23 },
+  weekday: { type: 'integer', min: 0, max: 6 }
+};
+
+// Raw API responses saved for backtests (see lib/recorder.js)
+const RECORDING_SCHEMA = {
+  enabled: { type: 'boolean' },
+  dir: { type: 'string' }
+};
+
+// Shadow runs (see applyShadowMode); `chat` is checked like a chat id
+const SHADOW_SCHEMA = {
+  enabled: { type: 'boolean' },
+  keyPrefix: { type: 'string' },
+  chat: { type: 'string' },
+  file: { type: 'string' }
+};
+
+// Per-provider budget (see lib/rateLimit.js)
+const RATE_LIMIT_SCHEMA = {
+  requestsPerMinute: { type: 'number', min: 1 },
+  burst: { type: 'integer', min: 1 }
+};
+
+// Signal destinations (see lib/routing.js): which signals a chat, Discord
+// channel, JSON consumer or JSON lines file gets and how
+const DESTINATION_TYPES = ['telegram', 'discord', 'webhook', 'file'];
+const DESTINATION_TEMPLATES = ['full', 'compact'];
+
+const ROUTE_SCHEMA = {
+  minMarketCap: { type: 'number', min: 0 },
+  maxMarketCap: { type: 'number', min: 0 },
+  minLiquidity: { type: 'number', min: 0 },
+  maxAgeHours: { type: 'number', min: 0 },
+  minPriceChange24h: { type: 'number' }
+};
+
+// Telegram allows about 20 messages a minute into one group or channel
+const DESTINATION_RATE_LIMIT = { requestsPerMinute: 20, burst: 3 };
+
+const TIMING_DEFAULTS = {
+  requestDelay: 0, // Extra pause between pages; the rate limiter already paces them
+  cycleDelay: 60000,
+  poolDelay: 0,
+  signalDelay: 0,
+  errorDelayStep: 30000,
+  maxErrorDelay: 300000,
+  recoveryDelay: 120000,
+  rateLimitDelay: 300000
+};
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `   - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function readConfigFile(configPath) {
+  const raw = fs.readFileSync(configPath, 'utf8');
+  const extension = path.extname(configPath).toLowerCase();
+  
+  try {
+    return extension === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (error) {
+    throw new ConfigError([`${configPath} could not be parsed: ${error.message}`]);
+  }
+}
+
+// ==============================
+// ENVIRONMENT OVERRIDES
+// ==============================
+// "pump-graduates" + "minLiquidity" -> PUMP_GRADUATES_MIN_LIQUIDITY
+function toEnvName(...parts) {
+  return parts
+    .map(part => part.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^a-zA-Z0-9]+/g, '_'))
+    .join('_')
+    .toUpperCase();
+}
+
+function parseEnvValue(value, type) {
+  if (type === 'boolean') {
+    if (/^(true|1|yes)$/i.test(value)) return true;
+    if (/^(false|0|no)$/i.test(value)) return false;
+    return value;
+  }
+  if (type === 'number' || type === 'integer') {
+    const number = Number(value);
+    return value.trim() === '' || Number.isNaN(number) ? value : number;
+  }
+  return value;
+}
+
+function applyEnvOverrides(botId, bot, env) {
+  const override = (target, key, type, globalName) => {
+    const names = [toEnvName(botId, key), globalName].filter(Boolean);
+    for (const name of names) {
+      if (env[name] !== undefined && env[name] !== '') {
+        target[key] = parseEnvValue(env[name], type);
+        return;
+      }
+    }
+  };
+  
+  override(bot, 'channel', 'string');
+  override(bot, 'polling', 'boolean');
+  if (env[toEnvName(botId, 'admins')]) {
+    // Comma-separated Telegram user ids, e.g. PUMP_GRADUATES_ADMINS=123,456
+    bot.admins = env[toEnvName(botId, 'admins')].split(',').map(id => parseEnvValue(id.trim(), 'integer'));
+  }
+  if (env[toEnvName(botId, 'sourceType')]) bot.source.type = env[toEnvName(botId, 'sourceType')];
+  override(bot.source, 'maxPages', 'integer');
+  override(bot.source, 'incremental', 'boolean');
+  override(bot.source, 'fullSweepInterval', 'integer');
+  for (const [key, { type }] of Object.entries(TIMING_SCHEMA)) {
+    override(bot.timing, key, type);
+  }
+  // PUMP_GRADUATES_SHADOW=true (or SHADOW=true for every bot) starts a shadow run
+  const shadow = env[toEnvName(botId, 'shadow')] || env.SHADOW;
+  if (shadow) bot.shadow.enabled = parseEnvValue(shadow, 'boolean');
+  if (env[toEnvName(botId, 'shadowChat')]) bot.shadow.chat = env[toEnvName(botId, 'shadowChat')];
+  // MIN_LIQUIDITY predates the config file and still applies to every bot
+  // whose pipeline has a liquidity filter (a filter no stage applies would
+  // fail the startup self-check)
+  const applied = getStrategyFilterKeys(bot.strategy);
+  for (const [key, { type }] of Object.entries(FILTER_SCHEMA)) {
+    override(bot.filters, key, type, key === 'minLiquidity' && applied.includes(key) ? 'MIN_LIQUIDITY' : null);
+  }
+}
+
+// Filter keys the stages of a strategy apply; none for an unknown strategy
+function getStrategyFilterKeys(strategyName) {
+  const strategy = STRATEGIES[strategyName];
+  if (!strategy) return [];
+  return strategy.stages.flatMap(spec => Object.keys(resolveStage(spec).params));
+}
+
+// ==============================
+// VALIDATION
+// ==============================
+function checkValue(errors, label, value, { type, min, max }) {
+  if (type === 'boolean') {
+    if (typeof value !== 'boolean') errors.push(`${label} must be true or false (got ${JSON.stringify(value)})`);
+    return;
+  }
+  if (type === 'string') {
+    if (typeof value !== 'string' || value.trim() === '') errors.push(`${label} must be a non-empty string`);
+    return;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${label} must be a number (got ${JSON.stringify(value)})`);
+  } else if (type === 'integer' && !Number.isInteger(value)) {
+    errors.push(`${label} must be a whole number (got ${value})`);
+  } else if (min !== undefined && value < min) {
+    errors.push(`${label} must be ≥ ${min} (got ${value})`);
+  } else if (max !== undefined && value > max) {
+    errors.push(`${label} must be ≤ ${max} (got ${value})`);
+  }
+}
+
+function checkSection(errors, label, section, schema) {
+  for (const [key, value] of Object.entries(section)) {
+    if (!schema[key]) {
+      errors.push(`${label}.${key} is not a known setting (expected one of: ${Object.keys(schema).join(', ')})`);
+      continue;
+    }
+    checkValue(errors, `${label}.${key}`, value, schema[key]);
+  }
+}
+
+const isChatId = chat => typeof chat === 'string' && /^(@\w{5,}|-?\d+)$/.test(chat);
+
+function validateDestinations(errors, label, destinations) {
+  if (!Array.isArray(destinations) || destinations.length === 0) {
+    errors.push(`${label}.destinations must be a non-empty list (got ${JSON.stringify(destinations)})`);
+    return;
+  }
+  
+  const names = new Set();
+  destinations.forEach((destination, index) => {
+    const entry = `${label}.destinations[${index}]`;
+    if (!destination || typeof destination !== 'object') {
+      errors.push(`${entry} must be a mapping with at least a name and a chat (or type and url)`);
+      return;
+    }
+    checkValue(errors, `${entry}.name`, destination.name, { type: 'string' });
+    if (names.has(destination.name)) {
+      errors.push(`${entry}.name "${destination.name}" is used twice`);
+    }
+    names.add(destination.name);
+    
+    if (!DESTINATION_TYPES.includes(destination.type)) {
+      errors.push(`${entry}.type must be one of: ${DESTINATION_TYPES.join(', ')} (got ${JSON.stringify(destination.type)})`);
+    } else if (destination.type === 'telegram') {
+      if (!isChatId(destination.chat)) {
+        errors.push(`${entry}.chat must be a @username or numeric chat id (got ${JSON.stringify(destination.chat)})`);
+      }
+      if (destination.topic !== undefined) {
+        checkValue(errors, `${entry}.topic`, destination.topic, { type: 'integer', min: 1 });
+      }
+      if (!DESTINATION_TEMPLATES.includes(destination.template)) {
+        errors.push(`${entry}.template must be one of: ${DESTINATION_TEMPLATES.join(', ')} (got ${JSON.stringify(destination.template)})`);
+      }
+      if (!Object.keys(MESSAGE_FORMATS).includes(destination.parseMode)) {
+        errors.push(`${entry}.parseMode must be one of: ${Object.keys(MESSAGE_FORMATS).join(', ')} (got ${JSON.stringify(destination.parseMode)})`);
+      }
+    } else if (destination.type === 'file') {
+      checkValue(errors, `${entry}.path`, destination.path, { type: 'string' });
+    } else {
+      // Webhook URLs and secrets usually come from the environment; never echo them
+      const urlSource = destination.urlEnv ? `${entry}.urlEnv (${destination.urlEnv})` : `${entry}.url`;
+      if (!/^https?:\/\/\S+$/.test(destination.url || '')) {
+        errors.push(`${urlSource} must be an http(s) URL`);
+      }
+      if (destination.type === 'webhook' && !destination.secret) {
+        errors.push(`${entry}.secretEnv must name a set environment variable holding the signing secret`);
+      }
+    }
+    
+    checkSection(errors, `${entry}.when`, destination.when, ROUTE_SCHEMA);
+    checkSection(errors, `${entry}.rateLimit`, destination.rateLimit, RATE_LIMIT_SCHEMA);
+  });
+}
+
+function validateBot(errors, botId, bot) {
+  const label = `bots.${botId}`;
+  
+  if (!STRATEGIES[bot.strategy]) {
+    errors.push(`${label}.strategy must be one of: ${Object.keys(STRATEGIES).join(', ')} (got ${JSON.stringify(bot.strategy)})`);
+  }
+  if (!isChatId(bot.channel)) {
+    errors.push(`${label}.channel must be a @username or numeric chat id (got ${JSON.stringify(bot.channel)})`);
+  }
+  checkValue(errors, `${label}.tokenEnv`, bot.tokenEnv, { type: 'string' });
+  if (!Array.isArray(bot.admins)) {
+    errors.push(`${label}.admins must be a list of Telegram user ids (got ${JSON.stringify(bot.admins)})`);
+  } else {
+    bot.admins.forEach((id, index) => checkValue(errors, `${label}.admins[${index}]`, id, { type: 'integer', min: 1 }));
+  }
+  checkValue(errors, `${label}.publicCheck`, bot.publicCheck, { type: 'boolean' });
+  checkValue(errors, `${label}.polling`, bot.polling, { type: 'boolean' });
+  validateDestinations(errors, label, bot.destinations);
+  
+  if (!SOURCE_TYPES.includes(bot.source.type)) {
+    errors.push(`${label}.source.type must be one of: ${SOURCE_TYPES.join(', ')} (got ${JSON.stringify(bot.source.type)})`);
+  }
+  if (!GECKOTERMINAL_ENDPOINTS.includes(bot.source.endpoint)) {
+    errors.push(`${label}.source.endpoint must be one of: ${GECKOTERMINAL_ENDPOINTS.join(', ')} (got ${JSON.stringify(bot.source.endpoint)})`);
+  }
+  checkValue(errors, `${label}.source.maxPages`, bot.source.maxPages, { type: 'integer', min: 1 });
+  checkValue(errors, `${label}.source.incremental`, bot.source.incremental, { type: 'boolean' });
+  checkValue(errors, `${label}.source.fullSweepInterval`, bot.source.fullSweepInterval, { type: 'integer', min: 0 });
+  
+  if (!/^https?:\/\/\S+$/.test(bot.solana.rpcUrl || '')) {
+    errors.push(`${label}.solana.rpcUrl must be an http(s) URL (got ${JSON.stringify(bot.solana.rpcUrl)})`);
+  }
+  if (bot.solana.wsUrl && !/^wss?:\/\/\S+$/.test(bot.solana.wsUrl)) {
+    errors.push(`${label}.solana.wsUrl must be a ws(s) URL (got ${JSON.stringify(bot.solana.wsUrl)})`);
+  }
+  
+  checkValue(errors, `${label}.redis.database`, bot.redis.database, { type: 'integer', min: 0 });
+  checkValue(errors, `${label}.redis.keyPrefix`, bot.redis.keyPrefix, { type: 'string' });
+  
+  checkSection(errors, `${label}.timing`, bot.timing, TIMING_SCHEMA);
+  checkSection(errors, `${label}.performance`, bot.performance, PERFORMANCE_SCHEMA);
+  checkSection(errors, `${label}.digest`, bot.digest, DIGEST_SCHEMA);
+  checkSection(errors, `${label}.recording`, bot.recording, RECORDING_SCHEMA);
+  checkSection(errors, `${label}.shadow`, bot.shadow, SHADOW_SCHEMA);
+  if (bot.shadow.chat !== undefined && !isChatId(bot.shadow.chat)) {
+    errors.push(`${label}.shadow.chat must be a @username or numeric chat id (got ${JSON.stringify(bot.shadow.chat)})`);
+  }
+  if (bot.shadow.keyPrefix === bot.redis.keyPrefix) {
+    errors.push(`${label}.shadow.keyPrefix must differ from redis.keyPrefix, or shadow runs would share the live dedup set`);
+  }
+  for (const [provider, budget] of Object.entries(bot.rateLimits)) {
+    if (!DEFAULT_RATE_LIMITS[provider]) {
+      errors.push(`${label}.rateLimits.${provider} is not a known provider (expected one of: ${Object.keys(DEFAULT_RATE_LIMITS).join(', ')})`);
+      continue;
+    }
+    checkSection(errors, `${label}.rateLimits.${provider}`, budget || {}, RATE_LIMIT_SCHEMA);
+  }
+  checkSection(errors, `${label}.filters`, bot.filters, FILTER_SCHEMA);
+}
+
+// Telegram answers a second getUpdates poller on the same token with 409
+// Conflict, so bots sharing a token must leave polling to one of them
+function checkPollers(errors, bots) {
+  const pollers = {};
+  for (const bot of Object.values(bots)) {
+    if (bot.polling === true) (pollers[bot.tokenEnv] = pollers[bot.tokenEnv] || []).push(bot.id);
+  }
+  for (const [tokenEnv, botIds] of Object.entries(pollers)) {
+    if (botIds.length > 1) {
+      errors.push(`bots ${botIds.join(', ')} all poll ${tokenEnv}; set polling: false on all but one of them`);
+    }
+  }
+}
+
+// Digests cover only the posting bot's own signals, so a channel fed by
+// several bots turns them on for one of them
+function checkDigestChannels(errors, bots) {
+  const posters = {};
+  for (const bot of Object.values(bots)) {
+    const posts = bot.performance.enabled && (bot.digest.daily || bot.digest.weekly);
+    if (posts && bot.channel) (posters[bot.channel] = posters[bot.channel] || []).push(bot.id);
+  }
+  for (const [channel, botIds] of Object.entries(posters)) {
+    if (botIds.length > 1) {
+      errors.push(`bots ${botIds.join(', ')} all post digests to ${channel}; turn digest off on all but one of them`);
+    }
+  }
+}
+
+// ==============================
+// LOADING
+// ==============================
+function normalizeBot(botId, rawBot, rawConfig) {
+  const bot = rawBot || {};
+  return {
+    id: botId,
+    strategy: bot.strategy,
+    tokenEnv: bot.tokenEnv || 'TELEGRAM_BOT_TOKEN',
+    requireToken: bot.requireToken !== false,
+    channel: bot.channel,
+    admins: bot.admins || [],
+    publicCheck: bot.publicCheck !== undefined ? bot.publicCheck : false,
+    polling: bot.polling !== undefined ? bot.polling : true,
+    redis: {
+      host: 'localhost',
+      port: 6379,
+      database: 0,
+      ...rawConfig.redis,
+      ...bot.redis
+    },
+    solana: {
+      rpcUrl: DEFAULT_RPC_URL,
+      ...rawConfig.solana,
+      ...bot.solana
+    },
+    source: {
+      type: 'geckoterminal',
+      endpoint: 'new_pools',
+      maxPages: 10,
+      incremental: true,
+      fullSweepInterval: 30 * 60 * 1000,
+      params: {},
+      ...bot.source
+    },
+    timing: { ...TIMING_DEFAULTS, ...bot.timing },
+    performance: { enabled: true, replies: true, ...bot.performance },
+    digest: { daily: false, weekly: false, hourUtc: 0, weekday: 1, ...bot.digest },
+    recording: { enabled: false, dir: 'recordings', ...bot.recording },
+    shadow: { enabled: false, file: `shadow/${botId}.jsonl`, ...bot.shadow },
+    rateLimits: mergeRateLimits(rawConfig.rateLimits, bot.rateLimits),
+    filters: { ...bot.filters },
+    destinations: bot.destinations
+  };
+}
+
+// Without a destinations list every signal goes to the bot's channel, as
+// before routing existed. Runs after env overrides so <BOT>_CHANNEL applies.
+function normalizeDestinations(bot, env) {
+  // Unquoted chat ids in YAML parse as numbers
+  if (typeof bot.shadow.chat === 'number') bot.shadow.chat = String(bot.shadow.chat);
+  if (bot.destinations === undefined) {
+    bot.destinations = [{ name: 'channel', chat: bot.channel }];
+  }
+  if (!Array.isArray(bot.destinations)) return;
+  
+  bot.destinations = bot.destinations.map(destination => {
+    if (!destination || typeof destination !== 'object') return destination;
+    const normalized = {
+      ...destination,
+      type: destination.type || 'telegram',
+      when: destination.when || {},
+      rateLimit: { ...DESTINATION_RATE_LIMIT, ...destination.rateLimit }
+    };
+    
+    if (normalized.type === 'telegram') {
+      // Unquoted chat ids in YAML parse as numbers
+      if (typeof normalized.chat === 'number') normalized.chat = String(normalized.chat);
+      normalized.template = normalized.template || 'full';
+      normalized.parseMode = normalized.parseMode || 'MarkdownV2';
+    }
+    if (normalized.urlEnv) normalized.url = env[normalized.urlEnv];
+    if (normalized.secretEnv) normalized.secret = env[normalized.secretEnv];
+    return normalized;
+  });
+}
+
+// A shadow run executes the bot's full pipeline without touching the live
+// run: its own Redis namespace (dedup set, queue, subscribers, performance
+// records) and signals only to a JSON lines file and an optional test chat,
+// which also gets the startup message and digests. Runs after validation;
+// the live prefix and channel are kept for comparisons.
+function applyShadowMode(bot) {
+  const { shadow } = bot;
+  shadow.keyPrefix = shadow.keyPrefix || `${bot.redis.keyPrefix}:shadow`;
+  if (!shadow.enabled) return;
+  
+  shadow.live = { keyPrefix: bot.redis.keyPrefix, channel: bot.channel };
+  bot.redis.keyPrefix = shadow.keyPrefix;
+  bot.channel = shadow.chat || null;
+  bot.destinations = [
+    { name: 'shadow-file', type: 'file', path: shadow.file, when: {}, rateLimit: { ...DESTINATION_RATE_LIMIT } }
+  ];
+  if (shadow.chat) {
+    bot.destinations.push({
+      name: 'shadow-chat',
+      type: 'telegram',
+      chat: shadow.chat,
+      template: 'full',
+      parseMode: 'MarkdownV2',
+      when: {},
+      rateLimit: { ...DESTINATION_RATE_LIMIT }
+    });
+  }
+}
+
+// Per provider, so a bot can change one value of a global budget
+function mergeRateLimits(globalLimits = {}, botLimits = {}) {
+  const merged = {};
+  for (const provider of new Set([...Object.keys(globalLimits), ...Object.keys(botLimits)])) {
+    merged[provider] = { ...globalLimits[provider], ...botLimits[provider] };
+  }
+  return merged;
+}
+
+// Loads, env-overrides and validates every bot in the config file.
+// Throws a ConfigError listing every problem found.
+function loadConfig({ configPath = process.env.CONFIG_PATH || DEFAULT_CONFIG_PATH, env = process.env } = {}) {
+  if (!fs.existsSync(configPath)) {
+    throw new ConfigError([`Config file not found: ${configPath}`]);
+  }
+  
+  const rawConfig = readConfigFile(configPath) || {};
+  if (!rawConfig.bots || typeof rawConfig.bots !== 'object' || Object.keys(rawConfig.bots).length === 0) {
+    throw new ConfigError([`${configPath} must define at least one bot under "bots"`]);
+  }
+  
+  const errors = [];
+  const bots = {};
+  
+  for (const [botId, rawBot] of Object.entries(rawConfig.bots)) {
+    const bot = normalizeBot(botId, rawBot, rawConfig);
+    if (env.REDIS_HOST) bot.redis.host = env.REDIS_HOST;
+    if (env.REDIS_PORT) bot.redis.port = Number(env.REDIS_PORT);
+    if (env.SOLANA_RPC_URL) bot.solana.rpcUrl = env.SOLANA_RPC_URL;
+    if (env.SOLANA_WS_URL) bot.solana.wsUrl = env.SOLANA_WS_URL;
+    if (env.RECORD_DIR) bot.recording = { enabled: true, dir: env.RECORD_DIR };
+    applyEnvOverrides(botId, bot, env);
+    normalizeDestinations(bot, env);
+    validateBot(errors, botId, bot);
+    applyShadowMode(bot);
+    bots[botId] = bot;
+  }
+  checkPollers(errors, bots);
+  checkDigestChannels(errors, bots);
+  
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+  
+  return { configPath, bots };
+}
+
+// ==============================
+// VALIDATE ENVIRONMENT VARIABLES
+// ==============================
+function printConfigErrors(errors, configPath) {
+  console.error('❌ Invalid bot configuration:');
+  errors.forEach(error => {
+    console.error(`   - ${error}`);
+  });
+  console.error(`\n📝 Fix ${configPath || DEFAULT_CONFIG_PATH} (or the matching environment override) and restart.`);
+}
+
+function printMissingToken(tokenEnv) {
+  console.error('❌ Missing required environment variables:');
+  console.error(`   - ${tokenEnv}`);
+  console.error('\n📝 Please create a .env file in the project root with the following:');
+  console.error(`${tokenEnv}=your_telegram_bot_token_here`);
+  console.error('');
+  console.error('🤖 To get your bot token:');
+  console.error('1. Message @BotFather on Telegram');
+  console.error('2. Use /newbot command to create a new bot');
+  console.error('3. Copy the token and paste it in the .env file');
+}
+
+// Loads the config for one bot and checks its environment. Prints every
+// problem and exits on failure, so entry points can use the result directly.
+function validateEnvironment(botId, options = {}) {
+  const env = options.env || process.env;
+  let config;
+  
+  try {
+    config = loadConfig(options);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    printConfigErrors(error.errors, options.configPath || env.CONFIG_PATH);
+    process.exit(1);
+  }
+  
+  const bot = config.bots[botId];
+  if (!bot) {
+    printConfigErrors([`No bot "${botId}" defined (available: ${Object.keys(config.bots).join(', ')})`], config.configPath);
+    process.exit(1);
+  }
+  
+  const token = env[bot.tokenEnv];
+  bot.telegramToken = token && token.trim() !== '' ? token : null;
+  if (!bot.telegramToken && bot.requireToken) {
+    printMissingToken(bot.tokenEnv);
+    process.exit(1);
+  }
+  
+  // Bots on the same Telegram token and Redis database share one set of
+  // subscribers, so users can follow any of them from a single chat
+  const sameRedis = other => ['host', 'port', 'database', 'keyPrefix'].every(key => other.redis[key] === bot.redis[key]);
+  bot.linkedBots = Object.values(config.bots)
+    .filter(other => other.tokenEnv === bot.tokenEnv && sameRedis(other))
+    .map(other => ({ id: other.id, strategy: other.strategy }));
+  
+  console.log(`✅ Configuration validated successfully (${botId} from ${config.configPath})`);
+  return bot;
+}
+
+function getStoreKeys({ keyPrefix }, dedupBy) {
+  return dedupBy === 'pool'
+    ? {
+      PROCESSED: `${keyPrefix}:processed_pools`,
+      METADATA: `${keyPrefix}:pool_metadata`,
+      LOCKS: `${keyPrefix}:pool_locks`
+    }
+    : {
+      PROCESSED: `${keyPrefix}:processed_tokens`,
+      METADATA: `${keyPrefix}:token_metadata`,
+      LOCKS: `${keyPrefix}:signal_locks`
+    };
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  FILTER_SCHEMA,
+  TIMING_SCHEMA,
+  DESTINATION_TYPES,
+  DESTINATION_TEMPLATES,
+  ConfigError,
+  toEnvName,
+  parseEnvValue,
+  checkValue,
+  loadConfig,
+  validateEnvironment,
+  getStoreKeys
+};
@@ -0,0 +1,331 @@
+const { DEFAULT_HEADERS } = require('./http');
+const { requestWithRetry } = require('./rateLimit');
+const { recordResponse } = require('./recorder');
+
+// ==============================
+// DEXSCREENER API FUNCTIONS
+// ==============================
+// DEXSCREENER_API_URL points the bots (and tests) at another server
+const DEXSCREENER_TOKENS_API = `${process.env.DEXSCREENER_API_URL || 'https://api.dexscreener.com'}/latest/dex/tokens`;
+// The tokens endpoint takes up to 30 addresses but returns at most 30 pairs,
+// so batches stay small enough that fresh tokens rarely hit the pair cap
+const DEXSCREENER_BATCH_SIZE = 10;
+const DEXSCREENER_PAIRS_CAP = 30;
+
+// Splits a tokens response into Map(address -> pairs or null when
+// DexScreener has none)
+function splitTokenPairs(tokenAddresses, pairs) {
+  const result = new Map();
+  
+  for (const address of tokenAddresses) {
+    const tokenPairs = tokenAddresses.length === 1
+      ? pairs
+      : pairs.filter(pair => pair.baseToken?.address === address || pair.quoteToken?.address === address);
+    result.set(address, tokenPairs.length > 0 ? tokenPairs : null);
+  }
+  
+  return result;
+}
+
+// One GET for up to DEXSCREENER_BATCH_SIZE comma-separated addresses
+async function requestTokenPairs(tokenAddresses) {
+  const response = await requestWithRetry({
+    method: 'get',
+    url: `${DEXSCREENER_TOKENS_API}/${tokenAddresses.join(',')}`,
+    headers: DEFAULT_HEADERS
+  }, { timeoutMs: 10000 });
+  recordResponse('dexscreener', { addresses: tokenAddresses, response: response.data });
+  
+  const pairs = (response.data && response.data.pairs) || [];
+  return { result: splitTokenPairs(tokenAddresses, pairs), truncated: pairs.length >= DEXSCREENER_PAIRS_CAP };
+}
+
+// ==============================
+// CACHING CLIENT
+// ==============================
+// Shared lookups for every DexScreener stage: answers are cached for `ttlMs`
+// (in memory, and in Redis when a client is given), concurrent lookups of one
+// token share a request, and lookups made within `batchWindowMs` of each other
+// go out as one comma-separated request.
+function createDexScreenerClient({ ttlMs = 60000, redisClient = null, keyPrefix = 'dexscreener', batchWindowMs = 25 } = {}) {
+  const cache = new Map(); // address -> { pairs, expiresAt }
+  const inFlight = new Map(); // address -> Promise
+  let pending = new Map(); // address -> { resolve, reject } for the next batch
+  let batchTimer = null;
+  const stats = { requests: 0, cacheHits: 0, coalesced: 0 };
+  
+  const redisKey = address => `${keyPrefix}:dexscreener:${address}`;
+  const redisReady = () => redisClient && redisClient.isReady;
+  
+  function remember(address, pairs) {
+    const now = Date.now();
+    if (cache.size > 2000) {
+      for (const [key, entry] of cache) {
+        if (entry.expiresAt <= now) cache.delete(key);
+      }
+    }
+    cache.set(address, { pairs, expiresAt: now + ttlMs });
+  }
+  
+  async function readRedis(address) {
+    if (!redisReady()) return undefined;
+    try {
+      const value = await redisClient.get(redisKey(address));
+      return value === null ? undefined : JSON.parse(value);
+    } catch (error) {
+      return undefined;
+    }
+  }
+  
+  async function writeRedis(address, pairs) {
+    if (!redisReady()) return;
+    try {
+      await redisClient.setEx(redisKey(address), Math.max(1, Math.ceil(ttlMs / 1000)), JSON.stringify(pairs));
+    } catch (error) {
+      console.error('❌ Error caching DexScreener response:', error.message);
+    }
+  }
+  
+  async function fetchBatch(addresses) {
+    stats.requests++;
+    const { result, truncated } = await requestTokenPairs(addresses);
+    if (!truncated || addresses.length === 1) {
+      return result;
+    }
+    
+    // A capped response may be missing pairs, so ask for each token on its own
+    for (const address of addresses) {
+      stats.requests++;
+      const single = await requestTokenPairs([address]);
+      result.set(address, single.result.get(address));
+    }
+    return result;
+  }
+  
+  async function flush() {
+    const batch = pending;
+    pending = new Map();
+    batchTimer = null;
+    
+    const addresses = [...batch.keys()];
+    for (let i = 0; i < addresses.length; i += DEXSCREENER_BATCH_SIZE) {
+      const chunk = addresses.slice(i, i + DEXSCREENER_BATCH_SIZE);
+      try {
+        const result = await fetchBatch(chunk);
+        for (const address of chunk) {
+          const pairs = result.get(address);
+          remember(address, pairs);
+          await writeRedis(address, pairs);
+          batch.get(address).resolve(pairs);
+        }
+      } catch (error) {
+        chunk.forEach(address => batch.get(address).reject(error));
+      }
+    }
+  }
+  
+  function enqueue(address) {
+    return new Promise((resolve, reject) => {
+      pending.set(address, { resolve, reject });
+      if (!batchTimer) {
+        batchTimer = setTimeout(flush, batchWindowMs);
+      }
+    });
+  }
+  
+  // Returns the token's pairs, or null when DexScreener has no pairs for it
+  function getTokenPairs(tokenAddress) {
+    const cached = cache.get(tokenAddress);
+    if (cached && cached.expiresAt > Date.now()) {
+      stats.cacheHits++;
+      return Promise.resolve(cached.pairs);
+    }
+    if (inFlight.has(tokenAddress)) {
+      stats.coalesced++;
+      return inFlight.get(tokenAddress);
+    }
+    
+    const lookup = (async () => {
+      const stored = await readRedis(tokenAddress);
+      if (stored !== undefined) {
+        stats.cacheHits++;
+        remember(tokenAddress, stored);
+        return stored;
+      }
+      return enqueue(tokenAddress);
+    })().finally(() => inFlight.delete(tokenAddress));
+    
+    inFlight.set(tokenAddress, lookup);
+    return lookup;
+  }
+  
+  // Warms the cache for a whole page of tokens with as few requests as possible
+  async function prefetch(tokenAddresses) {
+    await Promise.allSettled([...new Set(tokenAddresses)].map(getTokenPairs));
+  }
+  
+  return {
+    getTokenPairs,
+    prefetch,
+    getStats: () => ({ ...stats }),
+    clear: () => cache.clear()
+  };
+}
+
+// Used by the check functions when no client is passed in
+const sharedClient = createDexScreenerClient();
+
+// Rejects when DexScreener could not be asked. The check functions below pass
+// that on, so their stage fails with an error (and a later cycle retries the
+// token) instead of judging the token as if it had no pairs.
+async function fetchTokenPairs(tokenAddress, client = sharedClient) {
+  return client.getTokenPairs(tokenAddress);
+}
+
+// ==============================
+// TOKEN POOL AGE VERIFICATION
+// ==============================
+// Ages are taken at `now` (a backtest passes the time a response was recorded)
+async function checkTokenPoolAge(tokenAddress, client = sharedClient, now = Date.now()) {
+  try {
+    console.log(`⏰ Checking oldest pool age for ${tokenAddress}...`);
+    
+    const pairs = await fetchTokenPairs(tokenAddress, client);
+    if (!pairs) {
+      console.log(`❌ No pairs data found for ${tokenAddress}`);
+      return { oldestPoolAgeHours: 0, hasValidPools: false };
+    }
+    
+    let oldestPoolAge = 0;
+    let hasValidPools = false;
+    
+    for (const pair of pairs) {
+      if (pair.pairCreatedAt) {
+        const ageInMs = now - new Date(pair.pairCreatedAt).getTime();
+        const ageInHours = ageInMs / (1000 * 60 * 60);
+        
+        if (ageInHours > oldestPoolAge) {
+          oldestPoolAge = ageInHours;
+        }
+        hasValidPools = true;
+      }
+    }
+    
+    console.log(`✅ Oldest pool age: ${oldestPoolAge.toFixed(2)} hours`);
+    
+    return {
+      oldestPoolAgeHours: oldestPoolAge,
+      hasValidPools: hasValidPools,
+      totalPairs: pairs.length
+    };
+    
+  } catch (error) {
+    console.error(`❌ Error checking pool age for ${tokenAddress}:`, error.message);
+    throw error;
+  }
+}
+
+// ==============================
+// PUMPFUN/PUMPSWAP VERIFICATION
+// ==============================
+async function checkPumpPools(tokenAddress, client = sharedClient) {
+  try {
+    console.log(`🔍 Checking PumpFun/PumpSwap pools for ${tokenAddress}...`);
+    
+    const pairs = await fetchTokenPairs(tokenAddress, client);
+    if (!pairs) {
+      console.log(`❌ No pairs data found for ${tokenAddress}`);
+      return { hasPumpFun: false, hasPumpSwap: false, pairs: [] };
+    }
+    
+    const pumpFunPairs = pairs.filter(pair => 
+      pair.dexId === 'pumpfun' || 
+      pair.dexId === 'pump.fun' ||
+      pair.url?.includes('pump.fun')
+    );
+    
+    const pumpSwapPairs = pairs.filter(pair => 
+      pair.dexId === 'pumpswap' || 
+      pair.dexId === 'pump.swap' ||
+      pair.url?.includes('pumpswap')
+    );
+    
+    const hasPumpFun = pumpFunPairs.length > 0;
+    const hasPumpSwap = pumpSwapPairs.length > 0;
+    
+    console.log(`✅ PumpFun pools: ${pumpFunPairs.length}, PumpSwap pools: ${pumpSwapPairs.length}`);
+    
+    return {
+      hasPumpFun,
+      hasPumpSwap,
+      pumpFunPairs,
+      pumpSwapPairs,
+      allPairs: pairs
+    };
+    
+  } catch (error) {
+    console.error(`❌ Error checking pump pools for ${tokenAddress}:`, error.message);
+    throw error;
+  }
+}
+
+// ==============================
+// RAYDIUM LAUNCHLAB/CPMM VERIFICATION
+// ==============================
+// DexScreener lists LaunchLab bonding curves either under their own dexId or
+// as "raydium" pairs labelled LaunchLab; CPMM pools are "raydium" + "CPMM".
+const hasLabel = (pair, label) => (pair.labels || []).some(value => value.toLowerCase() === label.toLowerCase());
+
+function isLaunchLabPair(pair) {
+  return pair.dexId === 'launchlab' ||
+    pair.dexId === 'raydium-launchlab' ||
+    (pair.dexId === 'raydium' && hasLabel(pair, 'LaunchLab')) ||
+    Boolean(pair.url?.includes('launchlab'));
+}
+
+function isRaydiumCpmmPair(pair) {
+  return pair.dexId === 'raydium' && hasLabel(pair, 'CPMM');
+}
+
+async function checkRaydiumPools(tokenAddress, client = sharedClient) {
+  try {
+    console.log(`🔍 Checking Raydium LaunchLab/CPMM pools for ${tokenAddress}...`);
+    
+    const pairs = await fetchTokenPairs(tokenAddress, client);
+    if (!pairs) {
+      console.log(`❌ No pairs data found for ${tokenAddress}`);
+      return { hasLaunchLab: false, hasCpmm: false, launchLabPairs: [], cpmmPairs: [], allPairs: [] };
+    }
+    
+    const launchLabPairs = pairs.filter(isLaunchLabPair);
+    const cpmmPairs = pairs.filter(isRaydiumCpmmPair);
+    
+    console.log(`✅ LaunchLab pools: ${launchLabPairs.length}, Raydium CPMM pools: ${cpmmPairs.length}`);
+    
+    return {
+      hasLaunchLab: launchLabPairs.length > 0,
+      hasCpmm: cpmmPairs.length > 0,
+      launchLabPairs,
+      cpmmPairs,
+      allPairs: pairs
+    };
+    
+  } catch (error) {
+    console.error(`❌ Error checking Raydium pools for ${tokenAddress}:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  DEXSCREENER_TOKENS_API,
+  DEXSCREENER_PAIRS_CAP,
+  splitTokenPairs,
+  requestTokenPairs,
+  createDexScreenerClient,
+  fetchTokenPairs,
+  checkTokenPoolAge,
+  checkPumpPools,
+  isLaunchLabPair,
+  isRaydiumCpmmPair,
+  checkRaydiumPools
+};
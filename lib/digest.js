@@ -0,0 +1,216 @@
+const { sleep } = require('./http');
+const { PERFORMANCE_CHECKPOINTS, PERFORMANCE_CHECKPOINT_WINDOW, readPerformanceRecords } = require('./performance');
+const { STRATEGIES } = require('./strategies');
+const { MARKDOWN_V2 } = require('./messageFormat');
+
+// ==============================
+// PERFORMANCE DIGEST
+// ==============================
+// Daily and weekly summaries of the signals a bot sent, built only from the
+// performance records in Redis (lib/performance.js) so the numbers can be
+// reproduced from stored history and tested with fixtures.
+const DIGEST_PERIODS = {
+  daily: { title: 'Daily digest', length: 24 * 60 * 60 * 1000 },
+  weekly: { title: 'Weekly digest', length: 7 * 24 * 60 * 60 * 1000 }
+};
+
+// A period's digest covers the signals whose last checkpoint window had
+// closed by its end, so every checkpoint is sampled or missed: the daily
+// digest posted at 00:00 covers signals sent 60h to 36h before
+const DIGEST_SETTLE_TIME = PERFORMANCE_CHECKPOINTS[PERFORMANCE_CHECKPOINTS.length - 1].delay * PERFORMANCE_CHECKPOINT_WINDOW;
+
+const HIT_MULTIPLES = [2, 5];
+
+// A signal counts as rugged when its latest sample lost this share of the
+// entry liquidity or price
+const RUG_DROP = 0.9;
+
+const DIGEST_DEFAULTS = {
+  checkInterval: 60000
+};
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function getLatestSample(record) {
+  const samples = PERFORMANCE_CHECKPOINTS.map(({ label }) => record.samples[label]).filter(Boolean);
+  return samples.length > 0 ? samples[samples.length - 1] : null;
+}
+
+function isRug(record) {
+  const latest = getLatestSample(record);
+  if (!latest) return false;
+  const liquidityGone = record.entry.liquidity > 0 && latest.liquidity <= record.entry.liquidity * (1 - RUG_DROP);
+  const priceGone = latest.multiple !== null && latest.multiple <= 1 - RUG_DROP;
+  return liquidityGone || priceGone;
+}
+
+// Hit rates use the peak seen at any checkpoint; best is the highest peak,
+// worst the lowest latest multiple
+function summarizeSignals(records) {
+  const returns24h = records
+    .map(record => record.samples['24h'])
+    .filter(sample => sample && sample.changePercent !== null)
+    .map(sample => sample.changePercent);
+  const sampled = records.filter(record => {
+    const latest = getLatestSample(record);
+    return latest && latest.multiple !== null;
+  });
+  
+  const best = sampled.reduce((top, record) => (!top || record.peak.multiple > top.peak.multiple ? record : top), null);
+  const worst = sampled.reduce((bottom, record) =>
+    (!bottom || getLatestSample(record).multiple < getLatestSample(bottom).multiple ? record : bottom), null);
+  
+  return {
+    count: records.length,
+    hits: Object.fromEntries(HIT_MULTIPLES.map(multiple =>
+      [multiple, records.filter(record => record.peak.multiple >= multiple).length])),
+    median24h: median(returns24h),
+    with24h: returns24h.length,
+    best: best && { symbol: best.symbol, tokenAddress: best.tokenAddress, peak: best.peak.multiple },
+    worst: worst && { symbol: worst.symbol, tokenAddress: worst.tokenAddress, multiple: getLatestSample(worst).multiple },
+    rugs: records.filter(isRug).map(record => record.symbol)
+  };
+}
+
+// `records` are performance records of signals sent in [since, until)
+function buildDigest(records, { since, until }) {
+  const byStrategy = {};
+  for (const record of records) {
+    (byStrategy[record.strategy] = byStrategy[record.strategy] || []).push(record);
+  }
+  
+  return {
+    since,
+    until,
+    total: summarizeSignals(records),
+    strategies: Object.fromEntries(
+      Object.entries(byStrategy).map(([strategy, strategyRecords]) => [strategy, summarizeSignals(strategyRecords)])
+    )
+  };
+}
+
+const formatPercent = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+const formatShare = (count, total) => `${count} (${total > 0 ? Math.round((count / total) * 100) : 0}%)`;
+const formatDay = ms => new Date(ms).toISOString().slice(0, 16).replace('T', ' ');
+
+function formatSummary(summary, format) {
+  const { text, join } = format;
+  return join([
+    text`🎯 Hit ${HIT_MULTIPLES.map(multiple => `${multiple}x: ${formatShare(summary.hits[multiple], summary.count)}`).join(' | ')}\n`,
+    text`📈 Median 24h return: ${summary.median24h === null ? 'n/a' : formatPercent(summary.median24h)} (${summary.with24h} with 24h data)\n`,
+    summary.best ? text`🏆 Best: ${summary.best.symbol} (${summary.best.peak.toFixed(2)}x peak)\n` : null,
+    summary.worst ? text`💀 Worst: ${summary.worst.symbol} (${formatPercent((summary.worst.multiple - 1) * 100)} now)\n` : null,
+    text`🚨 Rugs detected: ${summary.rugs.length}${summary.rugs.length > 0 ? ` (${summary.rugs.join(', ')})` : ''}\n`
+  ]);
+}
+
+function formatDigest(digest, { title, format = MARKDOWN_V2 }) {
+  const { text, join, bold } = format;
+  const header = text`📅 ${bold(title)}\n${formatDay(digest.since)} → ${formatDay(digest.until)} UTC\n\n`;
+  if (digest.total.count === 0) {
+    return join([header, text`No signals in this period.`]);
+  }
+  
+  const strategies = Object.entries(digest.strategies).map(([name, summary]) => join([
+    text`🧩 ${bold(STRATEGIES[name] ? STRATEGIES[name].title : name)}: ${summary.count} signal${summary.count === 1 ? '' : 's'}\n`,
+    formatSummary(summary, format)
+  ]));
+  return join([header, join(strategies, '\n')]);
+}
+
+// ==============================
+// SCHEDULE
+// ==============================
+// Most recent period end at or before `now`: every day at hourUtc, and for
+// weekly digests only on `weekday` (0 = Sunday)
+function getPeriodEnd(period, now, { hourUtc, weekday }) {
+  const date = new Date(now);
+  let end = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hourUtc);
+  if (end > now) end -= DIGEST_PERIODS.daily.length;
+  if (period === 'weekly') {
+    while (new Date(end).getUTCDay() !== weekday) end -= DIGEST_PERIODS.daily.length;
+  }
+  return end;
+}
+
+// Posts each enabled period's digest to `chat` once per period, through the
+// outbound queue. The last period posted is kept in Redis
+// (<prefix>:digest_last:<botId>:<period>) so restarts neither skip nor repeat
+// one; the very first run only records where it starts.
+function createDigestScheduler({ redisClient, keyPrefix, botId, queue, chat, schedule, ...options }) {
+  const settings = { ...DIGEST_DEFAULTS, ...options };
+  const lastKey = period => `${keyPrefix}:digest_last:${botId}:${period}`;
+  let running = false;
+  
+  // Signals sent in the period that ends DIGEST_SETTLE_TIME before `end`
+  async function buildPeriodDigest(period, end) {
+    const until = end - DIGEST_SETTLE_TIME;
+    const since = until - DIGEST_PERIODS[period].length;
+    const records = await readPerformanceRecords(redisClient, { keyPrefix, botId, since, until });
+    return buildDigest(records, { since, until });
+  }
+  
+  async function postDue(now = Date.now()) {
+    for (const period of Object.keys(DIGEST_PERIODS)) {
+      if (!schedule[period]) continue;
+      
+      const end = getPeriodEnd(period, now, schedule);
+      const last = await redisClient.get(lastKey(period));
+      if (last !== null && Number(last) >= end) continue;
+      if (last === null) {
+        await redisClient.set(lastKey(period), String(end));
+        continue;
+      }
+      
+      const digest = await buildPeriodDigest(period, end);
+      const message = formatDigest(digest, { title: DIGEST_PERIODS[period].title });
+      await queue.enqueue(chat, String(message), { parse_mode: MARKDOWN_V2.parseMode, disable_web_page_preview: true });
+      await redisClient.set(lastKey(period), String(end));
+      console.log(`📅 Queued ${period} digest for ${chat} (${digest.total.count} signals)`);
+    }
+  }
+  
+  async function run() {
+    while (running) {
+      try {
+        if (redisClient.isReady) {
+          await postDue();
+        }
+      } catch (error) {
+        console.error('❌ Digest error:', error.message);
+      }
+      await sleep(settings.checkInterval);
+    }
+  }
+  
+  return {
+    buildPeriodDigest,
+    postDue,
+    start() {
+      if (running) return;
+      running = true;
+      run();
+    },
+    stop() {
+      running = false;
+    }
+  };
+}
+
+module.exports = {
+  DIGEST_PERIODS,
+  DIGEST_SETTLE_TIME,
+  HIT_MULTIPLES,
+  RUG_DROP,
+  isRug,
+  summarizeSignals,
+  buildDigest,
+  formatDigest,
+  getPeriodEnd,
+  createDigestScheduler
+};
@@ -0,0 +1,202 @@
+const { DEFAULT_HEADERS, sleep } = require('./http');
+const { requestWithRetry } = require('./rateLimit');
+const { getPoolDexId } = require('./pools');
+const { recordResponse } = require('./recorder');
+
+// ==============================
+// GECKOTERMINAL API FUNCTIONS
+// ==============================
+// GECKOTERMINAL_API_URL points the bots (and tests) at another server
+const GECKOTERMINAL_API_BASE = process.env.GECKOTERMINAL_API_URL || 'https://api.geckoterminal.com/api/v2/networks/solana';
+
+function buildPoolsUrl(endpoint, page, params = {}) {
+  const query = new URLSearchParams({ include: 'dex', page: String(page), ...params });
+  return `${GECKOTERMINAL_API_BASE}/${endpoint}?${query.toString()}`;
+}
+
+// Throws once the rate limiter's retries are used up, so callers can tell a
+// failed page from an empty one
+async function fetchNewPoolsFromPage(page, { endpoint = 'new_pools', params = {} } = {}) {
+  console.log(`📄 Fetching page ${page} from GeckoTerminal...`);
+  
+  const response = await requestWithRetry({
+    method: 'get',
+    url: buildPoolsUrl(endpoint, page, params),
+    headers: DEFAULT_HEADERS
+  }, { timeoutMs: 15000 });
+  recordResponse('geckoterminal', { endpoint, page, params, response: response.data });
+  
+  if (!response.data || !response.data.data) {
+    console.log(`❌ No data found on page ${page}`);
+    return [];
+  }
+  
+  const pools = response.data.data;
+  console.log(`📊 Found ${pools.length} pools on page ${page}`);
+  
+  return pools;
+}
+
+// Looks up a single pool (e.g. one just seen on-chain). Returns null while
+// GeckoTerminal has not indexed it yet.
+async function fetchPoolByAddress(poolAddress) {
+  try {
+    const response = await requestWithRetry({
+      method: 'get',
+      url: `${GECKOTERMINAL_API_BASE}/pools/${poolAddress}?include=dex`,
+      headers: DEFAULT_HEADERS
+    }, { timeoutMs: 15000 });
+    recordResponse('geckoterminal', { pool: poolAddress, response: response.data });
+    
+    return (response.data && response.data.data) || null;
+    
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error(`❌ Error fetching pool ${poolAddress}:`, error.message);
+    }
+    return null;
+  }
+}
+
+// A token's pools (first page), or [] when GeckoTerminal does not know it
+async function fetchTokenPools(tokenAddress) {
+  try {
+    const response = await requestWithRetry({
+      method: 'get',
+      url: `${GECKOTERMINAL_API_BASE}/tokens/${tokenAddress}/pools?include=dex`,
+      headers: DEFAULT_HEADERS
+    }, { timeoutMs: 15000 });
+    
+    return (response.data && response.data.data) || [];
+    
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+function filterPoolsByDex(pools, dexIds) {
+  if (!dexIds || dexIds.length === 0) {
+    return pools;
+  }
+  return pools.filter(pool => dexIds.includes(getPoolDexId(pool)));
+}
+
+// ==============================
+// POOL SCANNER
+// ==============================
+// new_pools lists pools newest first. An incremental scan remembers the
+// newest pool_created_at of the last completed scan and stops paging at the
+// first page holding no newer pool (one late-indexed old pool among new ones
+// does not stop it). Every `fullSweepInterval` ms (and on the first scan) all
+// `maxPages` are read again to catch late-indexed pools.
+// Other endpoints are not time-ordered and are always swept in full.
+const getPoolCreatedAt = pool => Date.parse(pool.attributes && pool.attributes.pool_created_at);
+
+function createPoolScanner({
+  endpoint = 'new_pools',
+  params = {},
+  maxPages,
+  requestDelay = 0,
+  dexIds,
+  incremental = true,
+  fullSweepInterval = 30 * 60 * 1000
+}) {
+  const canStopEarly = incremental && endpoint === 'new_pools';
+  let watermark = null;
+  let lastFullSweep = 0;
+  
+  // `onPage(matchingPools, page)` runs after every fetched page. Resolves to
+  // { pools, pagesFetched, fullSweep } where pools are all matching pools.
+  async function scan(onPage) {
+    const fullSweep = !canStopEarly || watermark === null || Date.now() - lastFullSweep >= fullSweepInterval;
+    if (fullSweep) {
+      console.log(`🔍 Fetching pools from GeckoTerminal ${endpoint} (full sweep, pages 1-${maxPages})...`);
+    } else {
+      console.log(`🔍 Fetching pools from GeckoTerminal ${endpoint} (incremental, back to ${new Date(watermark).toISOString()})...`);
+    }
+    
+    let allPools = [];
+    let newest = watermark;
+    let pagesFetched = 0;
+    let completed = true;
+    
+    for (let page = 1; page <= maxPages; page++) {
+      let pools;
+      try {
+        pools = await fetchNewPoolsFromPage(page, { endpoint, params });
+      } catch (pageError) {
+        // Later pages would hit the same limit or outage; use what we have
+        console.error(`❌ Error fetching page ${page}, stopping this scan:`, pageError.message);
+        completed = false;
+        break;
+      }
+      pagesFetched++;
+      
+      const createdTimes = pools.map(getPoolCreatedAt).filter(Number.isFinite);
+      if (createdTimes.length > 0) {
+        newest = Math.max(newest === null ? 0 : newest, ...createdTimes);
+      }
+      
+      const matchingPools = filterPoolsByDex(pools, dexIds);
+      console.log(`🌊 Matching pools on page ${page}: ${matchingPools.length}`);
+      allPools = allPools.concat(matchingPools);
+      
+      if (onPage) {
+        await onPage(matchingPools, page);
+      }
+      
+      if (pools.length === 0) {
+        break;
+      }
+      const known = createdTimes.length === pools.length && createdTimes.every(createdAt => createdAt <= watermark);
+      if (!fullSweep && known) {
+        console.log(`⏹️  Reached already-seen pools on page ${page}, skipping pages ${page + 1}-${maxPages}`);
+        break;
+      }
+      
+      // The rate limiter paces requests; requestDelay is an optional extra pause
+      if (page < maxPages && requestDelay > 0) {
+        await sleep(requestDelay);
+      }
+    }
+    
+    // A scan cut short may have left new pools on unread pages, so only a
+    // completed scan moves the watermark (or counts as the full sweep)
+    if (completed) {
+      watermark = newest;
+      if (fullSweep) lastFullSweep = Date.now();
+    }
+    
+    console.log(`📊 Total matching pools found: ${allPools.length} (${pagesFetched} page${pagesFetched === 1 ? '' : 's'})`);
+    return { pools: allPools, pagesFetched, fullSweep };
+  }
+  
+  return { scan };
+}
+
+// One-off full scan of `maxPages` pages
+async function fetchAllNewPools(options) {
+  try {
+    const { pools } = await createPoolScanner({ ...options, incremental: false }).scan();
+    return pools;
+    
+  } catch (error) {
+    console.error('❌ Error fetching pools:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  GECKOTERMINAL_API_BASE,
+  buildPoolsUrl,
+  fetchNewPoolsFromPage,
+  fetchPoolByAddress,
+  fetchTokenPools,
+  filterPoolsByDex,
+  getPoolCreatedAt,
+  createPoolScanner,
+  fetchAllNewPools
+};
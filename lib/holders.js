@@ -0,0 +1,107 @@
+const { PublicKey } = require('@solana/web3.js');
+const { MARKDOWN_V2 } = require('./messageFormat');
+
+// ==============================
+// HOLDER CONCENTRATION
+// ==============================
+// Owners whose balances are not "holders": burn sinks and the shared vault
+// authorities of the AMMs tokens graduate to. Pools whose vaults are owned
+// by the pool account itself are excluded via `excludeOwners`.
+const BURN_ADDRESSES = [
+  '1nc1nerator11111111111111111111111111111111',
+  '11111111111111111111111111111111'
+];
+
+const KNOWN_POOL_AUTHORITIES = [
+  'HLnpSz9h2S4hiLQ43rnSD9XkcUThA7B8hQMKmDaiTLcC', // Meteora DAMM v2 pool authority
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL', // Raydium CPMM authority
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium AMM v4 authority
+  'WLHv2UAZm6z4KyaaELi5pjdbJh6RESMva1Rnn8pJVVh'   // Raydium LaunchLab authority
+];
+
+const TOP_HOLDER_COUNT = 10;
+
+// Returns the top-10 share of supply held by regular wallets. Needs a
+// connection with getTokenLargestAccounts, getMultipleParsedAccounts and
+// getTokenSupply (web3.js Connection or a mock).
+async function analyzeHolderConcentration(connection, mintAddress, { excludeOwners = [] } = {}) {
+  const mint = new PublicKey(mintAddress);
+  const [largest, supply] = await Promise.all([
+    connection.getTokenLargestAccounts(mint),
+    connection.getTokenSupply(mint)
+  ]);
+  
+  const accounts = largest.value || [];
+  const parsedAccounts = accounts.length > 0
+    ? (await connection.getMultipleParsedAccounts(accounts.map(account => new PublicKey(account.address)))).value
+    : [];
+  
+  const excluded = new Set([...BURN_ADDRESSES, ...KNOWN_POOL_AUTHORITIES, ...excludeOwners]);
+  const totalSupply = BigInt(supply.value.amount);
+  
+  const holders = [];
+  let excludedAmount = 0n;
+  
+  accounts.forEach((account, index) => {
+    const address = account.address.toString();
+    const owner = parsedAccounts[index]?.data?.parsed?.info?.owner || null;
+    const amount = BigInt(account.amount);
+    
+    if (excluded.has(address) || (owner && excluded.has(owner))) {
+      excludedAmount += amount;
+      return;
+    }
+    holders.push({ address, owner, amount });
+  });
+  
+  const topHolders = holders.slice(0, TOP_HOLDER_COUNT);
+  const share = amount => totalSupply > 0n ? Number((amount * 1000000n) / totalSupply) / 10000 : 0;
+  const topAmount = topHolders.reduce((total, holder) => total + holder.amount, 0n);
+  
+  return {
+    mintAddress,
+    holderCount: topHolders.length,
+    top10Percent: share(topAmount),
+    topHolderPercent: topHolders.length > 0 ? share(topHolders[0].amount) : 0,
+    excludedPercent: share(excludedAmount),
+    topHolders: topHolders.map(holder => ({
+      address: holder.address,
+      owner: holder.owner,
+      percent: share(holder.amount)
+    }))
+  };
+}
+
+// Addresses of every DEX pair found for the token by earlier stages
+function collectPairAddresses(poolData, context) {
+  const pairs = [
+    ...(context.pumpPools?.allPairs || []),
+    ...(context.raydiumPools?.allPairs || [])
+  ];
+  return [poolData.poolAddress, ...pairs.map(pair => pair.pairAddress)].filter(Boolean);
+}
+
+// Signal message line in `format` (lib/messageFormat.js)
+function formatHolderConcentration(holderConcentration, format = MARKDOWN_V2) {
+  const { text, join, bold } = format;
+  if (!holderConcentration) {
+    return text``;
+  }
+  
+  if (holderConcentration.error) {
+    return text`👥 ${bold('Top 10 Holders:')} ⚠️ Unverified (${holderConcentration.error})\n`;
+  }
+  
+  return join([
+    text`👥 ${bold('Top 10 Holders:')} ${holderConcentration.top10Percent.toFixed(2)}% of supply `,
+    text`(largest ${holderConcentration.topHolderPercent.toFixed(2)}%, excl. pools & burn)\n`
+  ]);
+}
+
+module.exports = {
+  BURN_ADDRESSES,
+  KNOWN_POOL_AUTHORITIES,
+  analyzeHolderConcentration,
+  collectPairAddresses,
+  formatHolderConcentration
+};
@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+// ==============================
+// HTTP HELPERS
+// ==============================
+const DEFAULT_HEADERS = {
+  'Accept': 'application/json',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Axios with timeout wrapper
+async function axiosWithTimeout(config, timeoutMs = 15000) {
+  const source = axios.CancelToken.source();
+  
+  const timeout = setTimeout(() => {
+    source.cancel(`Request timeout after ${timeoutMs}ms`);
+  }, timeoutMs);
+  
+  try {
+    const response = await axios({
+      ...config,
+      cancelToken: source.token,
+      timeout: timeoutMs
+    });
+    clearTimeout(timeout);
+    return response;
+  } catch (error) {
+    clearTimeout(timeout);
+    if (axios.isCancel(error)) {
+      throw new Error(`Request timeout after ${timeoutMs}ms`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_HEADERS,
+  sleep,
+  axiosWithTimeout
+};
@@ -0,0 +1,33 @@
+// Shared core for the monitor bots (bot.js, bot1.js, index.js)
+module.exports = {
+  ...require('./http'),
+  ...require('./rateLimit'),
+  ...require('./recorder'),
+  ...require('./pools'),
+  ...require('./geckoterminal'),
+  ...require('./dexscreener'),
+  ...require('./solana'),
+  ...require('./holders'),
+  ...require('./lpSafety'),
+  ...require('./store'),
+  ...require('./stages'),
+  ...require('./pipeline'),
+  ...require('./strategies'),
+  ...require('./config'),
+  ...require('./processor'),
+  ...require('./programLogs'),
+  ...require('./messageFormat'),
+  ...require('./telegram'),
+  ...require('./telegramQueue'),
+  ...require('./admin'),
+  ...require('./tokenCheck'),
+  ...require('./subscriptions'),
+  ...require('./notifiers'),
+  ...require('./routing'),
+  ...require('./signalButtons'),
+  ...require('./performance'),
+  ...require('./digest'),
+  ...require('./backtest'),
+  ...require('./shadow'),
+  ...require('./runtime')
+};
@@ -0,0 +1,103 @@
+const { PublicKey } = require('@solana/web3.js');
+const { BURN_ADDRESSES } = require('./holders');
+const { MARKDOWN_V2 } = require('./messageFormat');
+
+// ==============================
+// LP BURN / LOCK VERIFICATION
+// ==============================
+// Meteora DAMM v1 pools mint an LP token (first field of the pool account,
+// after the 8-byte Anchor discriminator). LP held by burn addresses counts
+// as burned; LP held by accounts owned by the DAMM program (lock escrows)
+// counts as locked; everything else is freely withdrawable. DLMM and DAMM
+// v2 pools are position-based and have no LP mint to inspect.
+const METEORA_DAMM_V1_PROGRAM_ID = 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB';
+const LP_MINT_OFFSET = 8;
+
+async function analyzeLpSafety(connection, poolAddress) {
+  const pool = new PublicKey(poolAddress);
+  const poolAccount = await connection.getAccountInfo(pool);
+  
+  if (!poolAccount) {
+    throw new Error(`Pool account ${poolAddress} not found`);
+  }
+  
+  const poolProgram = poolAccount.owner.toBase58();
+  if (poolProgram !== METEORA_DAMM_V1_PROGRAM_ID) {
+    return { poolAddress, supported: false, poolProgram };
+  }
+  
+  const lpMint = new PublicKey(poolAccount.data.subarray(LP_MINT_OFFSET, LP_MINT_OFFSET + 32));
+  const [largest, supply] = await Promise.all([
+    connection.getTokenLargestAccounts(lpMint),
+    connection.getTokenSupply(lpMint)
+  ]);
+  
+  const accounts = largest.value || [];
+  const parsedAccounts = accounts.length > 0
+    ? (await connection.getMultipleParsedAccounts(accounts.map(account => new PublicKey(account.address)))).value
+    : [];
+  const owners = parsedAccounts.map(account => account?.data?.parsed?.info?.owner || null);
+  
+  // Which program owns each holder's owner account (lock escrows belong to DAMM)
+  const uniqueOwners = [...new Set(owners.filter(Boolean))];
+  const ownerAccounts = uniqueOwners.length > 0
+    ? await connection.getMultipleAccountsInfo(uniqueOwners.map(owner => new PublicKey(owner)))
+    : [];
+  const ownerPrograms = new Map(uniqueOwners.map((owner, index) => [owner, ownerAccounts[index]?.owner?.toBase58() || null]));
+  
+  const totalSupply = BigInt(supply.value.amount);
+  let burnedAmount = 0n;
+  let lockedAmount = 0n;
+  
+  accounts.forEach((account, index) => {
+    const owner = owners[index];
+    const amount = BigInt(account.amount);
+    
+    if (owner && BURN_ADDRESSES.includes(owner)) {
+      burnedAmount += amount;
+    } else if (owner && ownerPrograms.get(owner) === METEORA_DAMM_V1_PROGRAM_ID) {
+      lockedAmount += amount;
+    }
+  });
+  
+  const share = amount => totalSupply > 0n ? Number((amount * 1000000n) / totalSupply) / 10000 : 0;
+  const burnedPercent = share(burnedAmount);
+  const lockedPercent = share(lockedAmount);
+  
+  return {
+    poolAddress,
+    supported: true,
+    poolProgram,
+    lpMint: lpMint.toBase58(),
+    burnedPercent,
+    lockedPercent,
+    freePercent: Math.max(0, 100 - burnedPercent - lockedPercent)
+  };
+}
+
+// Signal message line in `format` (lib/messageFormat.js)
+function formatLpSafety(lpSafety, format = MARKDOWN_V2) {
+  const { text, join, bold } = format;
+  if (!lpSafety) {
+    return text``;
+  }
+  
+  if (lpSafety.error) {
+    return text`🔥 ${bold('LP Burned:')} ⚠️ Unverified (${lpSafety.error})\n`;
+  }
+  
+  if (!lpSafety.supported) {
+    return text`🔥 ${bold('LP Burned:')} n/a (position-based pool)\n`;
+  }
+  
+  return join([
+    text`🔥 ${bold('LP Burned:')} ${lpSafety.burnedPercent.toFixed(2)}% `,
+    text`(locked ${lpSafety.lockedPercent.toFixed(2)}%, withdrawable ${lpSafety.freePercent.toFixed(2)}%)\n`
+  ]);
+}
+
+module.exports = {
+  METEORA_DAMM_V1_PROGRAM_ID,
+  analyzeLpSafety,
+  formatLpSafety
+};
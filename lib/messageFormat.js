@@ -0,0 +1,112 @@
+// ==============================
+// SAFE MESSAGE FORMATTING
+// ==============================
+// Token names and symbols are chosen by whoever launches the token, so they
+// must never be able to open a bold span or a link in our messages. A
+// format's `text` tagged template escapes its literal parts and every value;
+// only fragments made by the format's own helpers (bold, italic, code,
+// link, or another `text`) are inserted as markup:
+//
+//   const { text, bold, code } = format;
+//   text`${bold('Token:')} ${name} (${symbol})\n${code(address)}`
+//
+// Fragments stringify to the finished message, so templates written against
+// a format work for both MarkdownV2 and HTML.
+const FRAGMENT = Symbol('messageFragment');
+
+const fragment = markup => ({ [FRAGMENT]: true, markup, toString: () => markup });
+
+const isFragment = value => Boolean(value && value[FRAGMENT]);
+
+// Every character MarkdownV2 reserves outside of entities
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+function escapeMarkdownV2(value) {
+  return String(value).replace(MARKDOWN_V2_SPECIAL, '\\$&');
+}
+
+// Inside `code` only ` and \ are special; inside a link's (url) only ) and \
+const escapeMarkdownV2Code = value => String(value).replace(/[`\\]/g, '\\$&');
+const escapeMarkdownV2Url = value => String(value).replace(/[)\\]/g, '\\$&');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Optional parts of a message: `cond ? text`...` : null`
+const isBlank = value => value === null || value === undefined || value === false;
+
+function createFormat({ parseMode, escape, wrapBold, wrapItalic, wrapCode, wrapLink }) {
+  // Blanks render as nothing, arrays are joined, fragments pass through
+  const render = value => {
+    if (isBlank(value)) return '';
+    if (isFragment(value)) return value.markup;
+    if (Array.isArray(value)) return value.map(render).join('');
+    return escape(value);
+  };
+
+  const text = (strings, ...values) => fragment(
+    strings.reduce((markup, literal, i) => markup + escape(literal) + (i < values.length ? render(values[i]) : ''), '')
+  );
+
+  return {
+    parseMode,
+    text,
+    // Joins values (fragments or plain text) into one fragment, skipping blanks
+    join: (values, separator = '') => fragment(values.filter(value => !isBlank(value)).map(render).join(escape(separator))),
+    bold: (...values) => fragment(wrapBold(render(values))),
+    italic: (...values) => fragment(wrapItalic(render(values))),
+    code: value => fragment(wrapCode(value)),
+    link: (label, url) => fragment(wrapLink(render(label), url)),
+    escape
+  };
+}
+
+const MARKDOWN_V2 = createFormat({
+  parseMode: 'MarkdownV2',
+  escape: escapeMarkdownV2,
+  wrapBold: markup => `*${markup}*`,
+  wrapItalic: markup => `_${markup}_`,
+  wrapCode: value => `\`${escapeMarkdownV2Code(value)}\``,
+  wrapLink: (markup, url) => `[${markup}](${escapeMarkdownV2Url(url)})`
+});
+
+const HTML = createFormat({
+  parseMode: 'HTML',
+  escape: escapeHtml,
+  wrapBold: markup => `<b>${markup}</b>`,
+  wrapItalic: markup => `<i>${markup}</i>`,
+  wrapCode: value => `<code>${escapeHtml(value)}</code>`,
+  wrapLink: (markup, url) => `<a href="${escapeHtml(url)}">${markup}</a>`
+});
+
+const MESSAGE_FORMATS = {
+  MarkdownV2: MARKDOWN_V2,
+  HTML
+};
+
+function getMessageFormat(parseMode = 'MarkdownV2') {
+  const format = MESSAGE_FORMATS[parseMode];
+  if (!format) {
+    throw new Error(`Unknown parse mode "${parseMode}" (expected one of: ${Object.keys(MESSAGE_FORMATS).join(', ')})`);
+  }
+  return format;
+}
+
+// Hashtags only take letters, digits and underscores
+const toHashtag = value => String(value).replace(/[^a-zA-Z0-9_]/g, '');
+
+module.exports = {
+  MARKDOWN_V2,
+  HTML,
+  MESSAGE_FORMATS,
+  getMessageFormat,
+  escapeMarkdownV2,
+  escapeHtml,
+  isFragment,
+  toHashtag
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { requestWithRetry } = require('./rateLimit');
+const { MARKDOWN_V2 } = require('./messageFormat');
+
+// ==============================
+// NOTIFIER ADAPTERS
+// ==============================
+// One notifier per destination type; each has send(poolData, context) and
+// a describe() for logs. The router decides which signals reach which one.
+const SIGNAL_TIMEOUT = 10000;
+
+// Pipeline context entries that are services rather than check results
+const CONTEXT_SERVICES = ['connection', 'dexscreener', 'strategy'];
+
+// The pipeline context minus its services: what the stages found
+function getCheckResults(context = {}) {
+  return Object.fromEntries(
+    Object.entries(context).filter(([key]) => !CONTEXT_SERVICES.includes(key))
+  );
+}
+
+// On-chain results can hold BigInts, which JSON.stringify rejects
+const toJson = value => JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? item.toString() : item));
+
+// Telegram messages go through the outbound queue (lib/telegramQueue.js);
+// send() resolves once the message is queued, not delivered. `render` gets
+// the destination's message format (lib/messageFormat.js) as third argument;
+// `keyboard(poolData)` adds inline buttons (lib/signalButtons.js). Jobs carry
+// the bot id and pool so the performance tracker can reply to the post.
+function createTelegramNotifier({ queue, chat, topic, render, format = MARKDOWN_V2, keyboard, botId }) {
+  const options = { parse_mode: format.parseMode, disable_web_page_preview: true };
+  if (topic !== undefined) options.message_thread_id = topic;
+  
+  return {
+    describe: () => (topic !== undefined ? `${chat} topic ${topic}` : chat),
+    send: (poolData, context) => queue.enqueue(
+      chat,
+      String(render(poolData, context, format)),
+      keyboard ? { ...options, reply_markup: keyboard(poolData) } : options,
+      { signalOf: botId, poolAddress: poolData.poolAddress }
+    )
+  };
+}
+
+// ==============================
+// DISCORD
+// ==============================
+const EMBED_COLORS = { up: 0x2ecc71, down: 0xe74c3c };
+
+function formatDiscordEmbed(poolData, title) {
+  const { baseToken, pricing, ageData, poolAddress, dexId } = poolData;
+  const tokenAddress = baseToken.address;
+  
+  return {
+    title: `${title}: ${baseToken.name} (${baseToken.symbol})`.slice(0, 256), // Discord's title limit
+    url: `https://dexscreener.com/solana/${tokenAddress}`,
+    color: pricing.priceChange24h >= 0 ? EMBED_COLORS.up : EMBED_COLORS.down,
+    fields: [
+      { name: 'Market Cap', value: `$${pricing.fdvUsd.toLocaleString()}`, inline: true },
+      { name: 'Liquidity', value: `$${pricing.reserveUsd.toLocaleString()}`, inline: true },
+      { name: 'Pool Age', value: ageData.ageString, inline: true },
+      { name: '24h Volume', value: `$${pricing.volume24h.toLocaleString()}`, inline: true },
+      { name: '24h Change', value: `${pricing.priceChange24h.toFixed(2)}%`, inline: true },
+      { name: 'DEX', value: dexId, inline: true },
+      { name: 'Token Address', value: `\`${tokenAddress}\`` },
+      { name: 'Pool', value: `[${poolAddress}](https://www.geckoterminal.com/solana/pools/${poolAddress})` }
+    ],
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Token names are user-chosen, so mentions (@everyone included) are disabled
+function createDiscordNotifier({ url, title }) {
+  return {
+    describe: () => 'Discord webhook',
+    send: poolData => requestWithRetry({
+      method: 'post',
+      url,
+      data: { embeds: [formatDiscordEmbed(poolData, title)], allowed_mentions: { parse: [] } }
+    }, { timeoutMs: SIGNAL_TIMEOUT })
+  };
+}
+
+// ==============================
+// SIGNED JSON WEBHOOK
+// ==============================
+// The signature is an HMAC-SHA256 of "<timestamp>.<raw body>" so receivers
+// can reject replays; see verifyWebhookSignature for the receiving side.
+const SIGNATURE_HEADER = 'x-signal-signature';
+const TIMESTAMP_HEADER = 'x-signal-timestamp';
+
+function signWebhookBody(body, secret, timestamp) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// `headers` as Node gives them (lower-case names). Timestamps are ms epoch.
+function verifyWebhookSignature(body, headers, secret, { toleranceMs = 5 * 60 * 1000 } = {}) {
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+  const signature = headers[SIGNATURE_HEADER];
+  if (!Number.isFinite(timestamp) || typeof signature !== 'string') return false;
+  if (Math.abs(Date.now() - timestamp) > toleranceMs) return false;
+  
+  const expected = Buffer.from(signWebhookBody(body, secret, timestamp));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function buildWebhookPayload(poolData, context, { botId, strategy }) {
+  return {
+    event: 'signal',
+    // Stable per bot and pool, for receivers deduplicating retried deliveries
+    id: `${botId}:${poolData.poolAddress}`,
+    botId,
+    strategy,
+    sentAt: new Date().toISOString(),
+    poolData,
+    checks: getCheckResults(context)
+  };
+}
+
+function createWebhookNotifier({ url, secret, botId, strategy }) {
+  return {
+    describe: () => `webhook ${new URL(url).host}`,
+    send: (poolData, context) => {
+      const payload = buildWebhookPayload(poolData, context, { botId, strategy });
+      const body = toJson(payload);
+      const timestamp = Date.now();
+      return requestWithRetry({
+        method: 'post',
+        url,
+        data: body,
+        headers: {
+          'Content-Type': 'application/json',
+          [TIMESTAMP_HEADER]: String(timestamp),
+          [SIGNATURE_HEADER]: signWebhookBody(body, secret, timestamp)
+        }
+      }, { timeoutMs: SIGNAL_TIMEOUT });
+    }
+  };
+}
+
+// ==============================
+// JSON LINES FILE
+// ==============================
+// Appends the webhook payload as one line, e.g. for shadow runs to be
+// compared with the live bot or tailed by another process
+function createFileNotifier({ path: filePath, botId, strategy }) {
+  return {
+    describe: () => `file ${filePath}`,
+    send: async (poolData, context) => {
+      const payload = buildWebhookPayload(poolData, context, { botId, strategy });
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${toJson(payload)}\n`);
+    }
+  };
+}
+
+module.exports = {
+  getCheckResults,
+  toJson,
+  createTelegramNotifier,
+  formatDiscordEmbed,
+  createDiscordNotifier,
+  signWebhookBody,
+  verifyWebhookSignature,
+  buildWebhookPayload,
+  createWebhookNotifier,
+  createFileNotifier
+};
@@ -0,0 +1,322 @@
+const { sleep } = require('./http');
+const { fetchPoolByAddress } = require('./geckoterminal');
+const { extractPoolData } = require('./pools');
+const { fetchTokenPairs } = require('./dexscreener');
+const { MARKDOWN_V2 } = require('./messageFormat');
+
+// ==============================
+// SIGNAL PERFORMANCE TRACKER
+// ==============================
+// Every signal's entry price, FDV and liquidity are recorded, then the pool
+// is re-sampled at each checkpoint and the result replied under the signal
+// in every chat it was posted to. Records are kept for later analysis:
+//   <prefix>:performance:<botId>           hash of pool address -> record JSON
+//   <prefix>:performance_signals:<botId>   sorted set of pool addresses by signal time (ms)
+//   <prefix>:performance_due:<botId>       sorted set of pool addresses by next checkpoint (ms)
+//   <prefix>:performance_messages:<botId>:<pool>  list of posted signal messages
+const PERFORMANCE_CHECKPOINTS = [
+  { label: '15m', delay: 15 * 60 * 1000 },
+  { label: '1h', delay: 60 * 60 * 1000 },
+  { label: '6h', delay: 6 * 60 * 60 * 1000 },
+  { label: '24h', delay: 24 * 60 * 60 * 1000 }
+];
+// A checkpoint is sampled in [delay, WINDOW x delay) after the signal; one
+// with no price by then counts as missed (e.g. a rugged or delisted pool)
+const PERFORMANCE_CHECKPOINT_WINDOW = 1.5;
+
+const PERFORMANCE_DEFAULTS = {
+  replies: true,
+  pollInterval: 30000,
+  batchSize: 10,
+  // Message ids are only needed until the last checkpoint has been replied
+  messageTtl: 2 * 24 * 60 * 60 * 1000
+};
+
+// GeckoTerminal first, then the token's DexScreener pair for the same pool
+async function samplePool(record, dexscreener) {
+  const pool = await fetchPoolByAddress(record.poolAddress);
+  const poolData = pool && extractPoolData(pool);
+  if (poolData && poolData.pricing.baseTokenPriceUsd > 0) {
+    const { baseTokenPriceUsd, fdvUsd, reserveUsd } = poolData.pricing;
+    return { price: baseTokenPriceUsd, fdv: fdvUsd, liquidity: reserveUsd, source: 'geckoterminal' };
+  }
+  
+  const pairs = await fetchTokenPairs(record.tokenAddress, dexscreener) || [];
+  const pair = pairs.find(candidate => candidate.pairAddress === record.poolAddress);
+  const price = pair && parseFloat(pair.priceUsd);
+  if (!price) {
+    return null;
+  }
+  return { price, fdv: pair.fdv || 0, liquidity: (pair.liquidity && pair.liquidity.usd) || 0, source: 'dexscreener' };
+}
+
+// Adds a sample under `label`, with its move against entry and the running peak
+function addSample(record, label, sample, at = Date.now()) {
+  const entryPrice = record.entry.price;
+  const multiple = entryPrice > 0 ? sample.price / entryPrice : null;
+  const entry = {
+    ...sample,
+    at: new Date(at).toISOString(),
+    changePercent: multiple === null ? null : (multiple - 1) * 100,
+    multiple
+  };
+  
+  const peak = record.peak || { multiple: 1, price: entryPrice, at: record.signaledAt };
+  const newPeak = multiple !== null && multiple > peak.multiple
+    ? { multiple, price: sample.price, at: entry.at }
+    : peak;
+  
+  return { ...record, samples: { ...record.samples, [label]: entry }, peak: newPeak };
+}
+
+// Records of `botId`'s signals sent in [since, until), oldest first. Reads
+// only what the tracker stored, so reports built on it need no API calls.
+async function readPerformanceRecords(redisClient, { keyPrefix, botId, since = 0, until = Date.now() }) {
+  const pools = await redisClient.zRangeByScore(`${keyPrefix}:performance_signals:${botId}`, since, until - 1);
+  const records = [];
+  for (const poolAddress of pools) {
+    const raw = await redisClient.hGet(`${keyPrefix}:performance:${botId}`, poolAddress);
+    if (raw) records.push(JSON.parse(raw));
+  }
+  return records;
+}
+
+// Checkpoints past due and not yet sampled, oldest first
+function getDueCheckpoints(record, now = Date.now()) {
+  const signaledAt = Date.parse(record.signaledAt);
+  return PERFORMANCE_CHECKPOINTS.filter(({ label, delay }) =>
+    signaledAt + delay <= now && !record.samples[label] && !record.missed.includes(label));
+}
+
+function getNextCheckpoint(record) {
+  const done = new Set([...Object.keys(record.samples), ...record.missed]);
+  return PERFORMANCE_CHECKPOINTS.find(({ label }) => !done.has(label)) || null;
+}
+
+const formatPrice = price => `$${price < 1 ? price.toPrecision(4) : price.toLocaleString()}`;
+
+function formatPerformanceUpdate(record, label, format = MARKDOWN_V2) {
+  const { text, join, bold } = format;
+  const sample = record.samples[label];
+  const change = sample.changePercent === null
+    ? 'n/a'
+    : `${sample.changePercent >= 0 ? '+' : ''}${sample.changePercent.toFixed(2)}%`;
+  const emoji = sample.changePercent !== null && sample.changePercent < 0 ? '📉' : '📈';
+  
+  return join([
+    text`${emoji} ${bold(`${record.symbol} after ${label}:`)} ${change}\n`,
+    text`💰 ${formatPrice(record.entry.price)} → ${formatPrice(sample.price)}\n`,
+    text`🏔️ Peak: ${record.peak.multiple.toFixed(2)}x\n`,
+    text`💎 FDV: $${Math.round(sample.fdv).toLocaleString()} | 💧 Liq: $${Math.round(sample.liquidity).toLocaleString()}`
+  ]);
+}
+
+// `queue` (optional) sends the follow-up replies; without it results are
+// only recorded. `dexscreener` is the bot's DexScreener client, used when
+// GeckoTerminal has no data for the pool.
+function createPerformanceTracker({ redisClient, keyPrefix, botId, strategy, queue, dexscreener, ...options }) {
+  const settings = { ...PERFORMANCE_DEFAULTS, ...options };
+  const keys = {
+    records: `${keyPrefix}:performance:${botId}`,
+    signals: `${keyPrefix}:performance_signals:${botId}`,
+    due: `${keyPrefix}:performance_due:${botId}`
+  };
+  const messagesKey = poolAddress => `${keyPrefix}:performance_messages:${botId}:${poolAddress}`;
+  const stats = { tracked: 0, sampled: 0, missed: 0, replies: 0 };
+  let running = false;
+  
+  async function scheduleNext(record) {
+    const next = getNextCheckpoint(record);
+    if (next) {
+      await redisClient.zAdd(keys.due, { score: Date.parse(record.signaledAt) + next.delay, value: record.poolAddress });
+    } else {
+      await redisClient.zRem(keys.due, record.poolAddress);
+    }
+  }
+
+  // Called once the signal is out. A failure here never fails the signal.
+  async function track(poolData, signaledAt = Date.now()) {
+    const { pricing, baseToken, poolAddress } = poolData;
+    const record = {
+      botId,
+      strategy: strategy.name,
+      poolAddress,
+      tokenAddress: baseToken.address,
+      symbol: baseToken.symbol,
+      name: baseToken.name,
+      signaledAt: new Date(signaledAt).toISOString(),
+      entry: { price: pricing.baseTokenPriceUsd, fdv: pricing.fdvUsd, liquidity: pricing.reserveUsd },
+      samples: {},
+      missed: [],
+      peak: { multiple: 1, price: pricing.baseTokenPriceUsd, at: new Date(signaledAt).toISOString() }
+    };
+    
+    try {
+      await redisClient.hSet(keys.records, poolAddress, JSON.stringify(record));
+      await redisClient.zAdd(keys.signals, { score: signaledAt, value: poolAddress });
+      await redisClient.zAdd(keys.due, { score: signaledAt + PERFORMANCE_CHECKPOINTS[0].delay, value: poolAddress });
+      stats.tracked++;
+    } catch (error) {
+      console.error(`⚠️  Could not start tracking ${baseToken.symbol}:`, error.message);
+    }
+  }
+
+  // Outbound queue hook: remembers where each signal was posted, so the
+  // follow-ups can reply to it. Only jobs queued by this bot's router count.
+  async function recordMessage(job, message) {
+    const meta = job.meta || {};
+    if (meta.signalOf !== botId || !meta.poolAddress || !message) return;
+    
+    const posted = { chatId: job.chatId, messageId: message.message_id };
+    if (job.options && job.options.message_thread_id !== undefined) {
+      posted.threadId = job.options.message_thread_id;
+    }
+    await redisClient.rPush(messagesKey(meta.poolAddress), JSON.stringify(posted));
+    await redisClient.pExpire(messagesKey(meta.poolAddress), settings.messageTtl);
+  }
+  
+  async function reply(record, label) {
+    const messages = await redisClient.lRange(messagesKey(record.poolAddress), 0, -1);
+    const update = String(formatPerformanceUpdate(record, label));
+    for (const raw of messages) {
+      const { chatId, messageId, threadId } = JSON.parse(raw);
+      const sendOptions = {
+        parse_mode: MARKDOWN_V2.parseMode,
+        disable_web_page_preview: true,
+        reply_to_message_id: messageId,
+        allow_sending_without_reply: true
+      };
+      if (threadId !== undefined) sendOptions.message_thread_id = threadId;
+      
+      try {
+        await queue.enqueue(chatId, update, sendOptions, { performanceOf: botId });
+        stats.replies++;
+      } catch (error) {
+        console.error(`❌ Failed to queue ${label} update for ${chatId}:`, error.message);
+      }
+    }
+  }
+
+  // Samples once for the latest checkpoint that is due; earlier ones that
+  // were missed (bot down) are marked instead of reporting the same price twice
+  async function processRecord(poolAddress) {
+    const raw = await redisClient.hGet(keys.records, poolAddress);
+    if (!raw) {
+      await redisClient.zRem(keys.due, poolAddress);
+      return;
+    }
+    let record = JSON.parse(raw);
+    
+    const due = getDueCheckpoints(record);
+    if (due.length === 0) {
+      await scheduleNext(record);
+      return;
+    }
+    
+    const latest = due[due.length - 1];
+    const sample = await samplePool(record, dexscreener);
+    if (!sample) {
+      // Unknown to both APIs right now; try again next poll until the
+      // following checkpoint takes over or this one's window closes
+      const deadline = Date.parse(record.signaledAt) + latest.delay * PERFORMANCE_CHECKPOINT_WINDOW;
+      if (Date.now() < deadline) {
+        console.log(`⚠️  No price for ${record.symbol} (${latest.label} checkpoint), retrying`);
+        return;
+      }
+      
+      console.log(`⚠️  No price for ${record.symbol} by the end of the ${latest.label} window, marking it missed`);
+      record = { ...record, missed: [...record.missed, ...due.map(({ label }) => label)] };
+      stats.missed += due.length;
+      await redisClient.hSet(keys.records, poolAddress, JSON.stringify(record));
+      await scheduleNext(record);
+      return;
+    }
+    
+    const skipped = due.slice(0, -1).map(({ label }) => label);
+    record = addSample({ ...record, missed: [...record.missed, ...skipped] }, latest.label, sample);
+    stats.sampled++;
+    stats.missed += skipped.length;
+    await redisClient.hSet(keys.records, poolAddress, JSON.stringify(record));
+    await scheduleNext(record);
+    
+    const { changePercent } = record.samples[latest.label];
+    console.log(`📊 ${record.symbol} after ${latest.label}: ${changePercent === null ? 'n/a' : `${changePercent.toFixed(2)}%`} (peak ${record.peak.multiple.toFixed(2)}x)`);
+    if (settings.replies && queue) {
+      await reply(record, latest.label);
+    }
+  }
+  
+  async function processDue() {
+    const pools = await redisClient.zRangeByScore(keys.due, 0, Date.now(), {
+      LIMIT: { offset: 0, count: settings.batchSize }
+    });
+    for (const poolAddress of pools) {
+      if (!running) break;
+      try {
+        await processRecord(poolAddress);
+      } catch (error) {
+        console.error(`❌ Performance check failed for ${poolAddress}:`, error.message);
+      }
+    }
+  }
+  
+  async function run() {
+    while (running) {
+      try {
+        if (redisClient.isReady) {
+          await processDue();
+        }
+      } catch (error) {
+        console.error('❌ Performance tracker error:', error.message);
+      }
+      await sleep(settings.pollInterval);
+    }
+  }
+
+  // This bot's records, see readPerformanceRecords
+  const getResults = ({ since, until } = {}) => readPerformanceRecords(redisClient, { keyPrefix, botId, since, until });
+  
+  async function getStats() {
+    try {
+      if (!redisClient.isReady) {
+        return { ...stats, pending: null };
+      }
+      return { ...stats, pending: await redisClient.zCard(keys.due) };
+    } catch (error) {
+      return { ...stats, pending: null };
+    }
+  }
+  
+  return {
+    track,
+    recordMessage,
+    getResults,
+    getStats,
+    start() {
+      if (running) return;
+      running = true;
+      run();
+    },
+    stop() {
+      running = false;
+    }
+  };
+}
+
+// One /stats line
+function formatPerformanceStats({ tracked, sampled, missed, replies, pending }) {
+  return `📊 Performance: ${tracked} tracked, ${pending === null ? '?' : pending} awaiting checkpoints, ` +
+    `${sampled} sampled, ${missed} missed, ${replies} follow-up(s) queued`;
+}
+
+module.exports = {
+  PERFORMANCE_CHECKPOINTS,
+  PERFORMANCE_CHECKPOINT_WINDOW,
+  PERFORMANCE_DEFAULTS,
+  addSample,
+  readPerformanceRecords,
+  getDueCheckpoints,
+  formatPerformanceUpdate,
+  createPerformanceTracker,
+  formatPerformanceStats
+};
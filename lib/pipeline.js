@@ -0,0 +1,144 @@
+const { STAGES } = require('./stages');
+const { MARKDOWN_V2 } = require('./messageFormat');
+
+// ==============================
+// STRATEGY PIPELINE
+// ==============================
+// A stage spec is either a stage name or { stage, params }. Parameters are
+// resolved as stage defaults < spec params < `filters` overrides, where
+// `filters` is the flat filter set of a bot (e.g. { minLiquidity: 50000 }).
+function resolveStage(spec, filters = {}) {
+  const { stage: name, params = {} } = typeof spec === 'string' ? { stage: spec } : spec;
+  const definition = STAGES[name];
+  if (!definition) {
+    throw new Error(`Unknown filter stage "${name}"`);
+  }
+  
+  const resolvedParams = { ...definition.defaults, ...params };
+  for (const key of Object.keys(resolvedParams)) {
+    if (filters[key] !== undefined) {
+      resolvedParams[key] = filters[key];
+    }
+  }
+  
+  return {
+    name,
+    emoji: definition.emoji,
+    label: definition.label,
+    usesDexScreener: Boolean(definition.usesDexScreener),
+    usesRpc: Boolean(definition.usesRpc),
+    params: resolvedParams,
+    describe: () => definition.describe(resolvedParams),
+    run: (poolData, context) => definition.run(poolData, resolvedParams, context)
+  };
+}
+
+function createPipeline(stageSpecs, filters = {}) {
+  const stages = stageSpecs.map(spec => resolveStage(spec, filters));
+  
+  // Runs stages in order and stops at the first rejection, unless
+  // `stopOnReject` is false (reports that show every stage's verdict). A
+  // stage that throws could not check the item (e.g. an RPC outage); it
+  // fails the run with `error: true` so callers can retry instead of
+  // treating it as a verdict.
+  async function run(poolData, context = {}, { stopOnReject = true } = {}) {
+    const results = [];
+    let firstRejection = null;
+    
+    for (const stage of stages) {
+      let result;
+      try {
+        result = await stage.run(poolData, context);
+      } catch (error) {
+        result = { passed: false, reason: `stage error: ${error.message}`, error: true, data: {} };
+      }
+      
+      Object.assign(context, result.data);
+      results.push({ stage: stage.name, passed: result.passed, reason: result.reason });
+      
+      if (!result.passed && !firstRejection) {
+        firstRejection = { failedStage: stage.name, reason: result.reason, error: Boolean(result.error) };
+      }
+      if (firstRejection && stopOnReject) {
+        break;
+      }
+    }
+    
+    if (firstRejection) {
+      return { passed: false, ...firstRejection, results, context };
+    }
+    return { passed: true, failedStage: null, reason: null, error: false, results, context };
+  }
+  
+  // Parameters the running stages actually apply, keyed like bot filters
+  function getAppliedFilters() {
+    return Object.assign({}, ...stages.map(stage => stage.params));
+  }
+  
+  // Changes a parameter live on every stage that applies it. Returns the
+  // names of the changed stages; an empty list means no stage uses `key`.
+  function setFilter(key, value) {
+    const changed = stages.filter(stage => key in stage.params);
+    changed.forEach(stage => {
+      stage.params[key] = value;
+    });
+    return changed.map(stage => stage.name);
+  }
+  
+  return {
+    stages,
+    run,
+    getAppliedFilters,
+    setFilter,
+    describe: () => stages.map(stage => `${stage.label}: ${stage.describe()}`),
+    // One formatted line per stage for startup announcements (lib/messageFormat.js)
+    describeFormatted: (format = MARKDOWN_V2) => stages.map(stage =>
+      format.text`${stage.emoji} ${format.bold(`${stage.label}:`)} ${stage.describe()}`)
+  };
+}
+
+// ==============================
+// FILTER SELF-CHECK
+// ==============================
+// Every configured filter must be applied with the same value by each stage
+// that takes it; otherwise banners/announcements would advertise filters the
+// bot ignores. Stages are checked one by one against the params they run
+// with, so a stage changed after the pipeline was built (e.g. by /set) or a
+// pipeline built from other filters shows up as a mismatch.
+function verifyFilters(pipeline, filters) {
+  const problems = [];
+  
+  for (const [key, value] of Object.entries(filters)) {
+    const stages = pipeline.stages.filter(stage => key in stage.params);
+    if (stages.length === 0) {
+      problems.push(`filters.${key} is configured but no stage in the pipeline applies it`);
+    }
+    for (const stage of stages.filter(stage => stage.params[key] !== value)) {
+      problems.push(`filters.${key} is configured as ${JSON.stringify(value)} but the ${stage.name} stage applies ${JSON.stringify(stage.params[key])}`);
+    }
+  }
+  
+  return problems;
+}
+
+function selfCheckPipeline(pipeline, filters) {
+  const problems = verifyFilters(pipeline, filters);
+  
+  if (problems.length > 0) {
+    console.error('❌ Filter self-check failed - configured filters differ from the running pipeline:');
+    problems.forEach(problem => {
+      console.error(`   - ${problem}`);
+    });
+    process.exit(1);
+  }
+  
+  console.log(`✅ Filter self-check passed (${pipeline.stages.length} stages)`);
+  return true;
+}
+
+module.exports = {
+  resolveStage,
+  createPipeline,
+  verifyFilters,
+  selfCheckPipeline
+};
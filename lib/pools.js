@@ -0,0 +1,126 @@
+// ==============================
+// POOL DATA PARSING
+// ==============================
+// Ages are taken at `now`, which a backtest sets to when the pool was recorded
+function parsePoolAge(createdAt, now = Date.now()) {
+  try {
+    const createdTime = new Date(createdAt);
+    const ageInMs = now - createdTime;
+    const ageInMinutes = ageInMs / (1000 * 60);
+    const ageInHours = ageInMinutes / 60;
+    
+    if (Number.isNaN(ageInMinutes)) {
+      throw new Error(`Invalid pool creation date: ${createdAt}`);
+    }
+    
+    let ageString;
+    if (ageInMinutes < 60) {
+      ageString = `${Math.floor(ageInMinutes)}m`;
+    } else if (ageInHours < 24) {
+      const hours = Math.floor(ageInHours);
+      const minutes = Math.floor(ageInMinutes % 60);
+      ageString = minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+    } else {
+      const days = Math.floor(ageInHours / 24);
+      ageString = `${days}d`;
+    }
+    
+    return {
+      ageString,
+      ageInMinutes,
+      ageInHours
+    };
+  } catch (error) {
+    console.error('❌ Error parsing pool age:', error.message);
+    return {
+      ageString: 'Unknown',
+      ageInMinutes: Infinity,
+      ageInHours: Infinity
+    };
+  }
+}
+
+// GeckoTerminal pool (JSON:API resource) -> flat pool data used by every bot
+function extractPoolData(pool, { now = Date.now() } = {}) {
+  try {
+    const attributes = pool.attributes;
+    const relationships = pool.relationships;
+    
+    const poolAddress = attributes.address;
+    const poolName = attributes.name;
+    const createdAt = attributes.pool_created_at;
+    const baseTokenId = relationships.base_token?.data?.id;
+    const quoteTokenId = relationships.quote_token?.data?.id;
+    const dexId = relationships.dex?.data?.id;
+    
+    // Extract base token address from ID (format: "solana_TOKENADDRESS")
+    const baseTokenAddress = baseTokenId ? baseTokenId.replace('solana_', '') : null;
+    const quoteTokenAddress = quoteTokenId ? quoteTokenId.replace('solana_', '') : null;
+    
+    // Parse age
+    const ageData = parsePoolAge(createdAt, now);
+    
+    // Extract pricing and volume data
+    const baseTokenPriceUsd = parseFloat(attributes.base_token_price_usd) || 0;
+    const fdvUsd = parseFloat(attributes.fdv_usd) || 0;
+    const marketCapUsd = parseFloat(attributes.market_cap_usd) || null;
+    const reserveUsd = parseFloat(attributes.reserve_in_usd) || 0;
+    
+    // Extract price changes
+    const priceChanges = attributes.price_change_percentage || {};
+    const priceChange24h = parseFloat(priceChanges.h24) || 0;
+    
+    // Extract volume data
+    const volumeUsd = attributes.volume_usd || {};
+    const volume24h = parseFloat(volumeUsd.h24) || 0;
+    
+    // Extract transaction data
+    const transactions = attributes.transactions || {};
+    const txData24h = transactions.h24 || {};
+    
+    const tokenName = poolName.split(' / ')[0];
+    
+    return {
+      poolAddress,
+      poolName,
+      poolId: pool.id,
+      createdAt,
+      ageData,
+      baseTokenAddress,
+      quoteTokenAddress,
+      dexId,
+      baseToken: {
+        address: baseTokenAddress,
+        symbol: tokenName || 'Unknown',
+        name: tokenName || 'Unknown Token'
+      },
+      pricing: {
+        baseTokenPriceUsd,
+        fdvUsd,
+        marketCapUsd,
+        reserveUsd,
+        priceChange24h,
+        volume24h
+      },
+      transactions: {
+        buys24h: txData24h.buys || 0,
+        sells24h: txData24h.sells || 0,
+        buyers24h: txData24h.buyers || 0,
+        sellers24h: txData24h.sellers || 0
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error extracting pool data:', error);
+    return null;
+  }
+}
+
+function getPoolDexId(pool) {
+  return pool.relationships?.dex?.data?.id;
+}
+
+module.exports = {
+  parsePoolAge,
+  extractPoolData,
+  getPoolDexId
+};
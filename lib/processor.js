@@ -0,0 +1,143 @@
+const { sleep } = require('./http');
+const { extractPoolData } = require('./pools');
+
+// ==============================
+// POOL PROCESSING
+// ==============================
+function getDedupAddress(strategy, poolData) {
+  return strategy.dedupBy === 'pool' ? poolData.poolAddress : poolData.baseTokenAddress;
+}
+
+// Lock -> run the strategy pipeline -> notify. Returns 'skipped', 'rejected',
+// 'failed' or 'signaled'. The outcome (and for rejections, the failing stage
+// and its reason) is written to the item's metadata hash. When a stage could
+// not check the item or `notify` throws, the item is taken out of the
+// processed set again so a later cycle retries it instead of losing it.
+// `context` carries shared services for stages (e.g. the Solana connection).
+async function processPool(poolData, { strategy, pipeline, store, notify, context = {} }) {
+  const { baseToken, ageData, pricing, poolAddress } = poolData;
+  const symbol = baseToken.symbol;
+  const address = getDedupAddress(strategy, poolData);
+  
+  // ATOMIC CHECK: deduplicate before running any (remote) filter stage
+  const wasAlreadyProcessed = await store.checkAndMarkAsProcessed(address, {
+    strategy: strategy.name,
+    symbol,
+    poolAddress,
+    age: ageData.ageString,
+    priceChange24h: pricing.priceChange24h,
+    marketCap: pricing.fdvUsd,
+    liquidity: pricing.reserveUsd
+  });
+  
+  if (wasAlreadyProcessed) {
+    console.log(`⏭️  ${address} already processed/locked - skipping to prevent duplicate signal`);
+    return { status: 'skipped' };
+  }
+  
+  try {
+    const result = await pipeline.run(poolData, { ...context, strategy: strategy.name });
+    
+    if (result.error) {
+      console.log(`⚠️  ${symbol} could not be checked by ${result.failedStage}: ${result.reason}`);
+      await store.unmarkProcessed(address, {
+        status: 'check_failed',
+        rejectedStage: result.failedStage,
+        rejectReason: result.reason
+      });
+      return { status: 'failed', result };
+    }
+    
+    if (!result.passed) {
+      console.log(`🚫 ${symbol} rejected by ${result.failedStage}: ${result.reason}`);
+      await store.recordMetadata(address, {
+        status: 'rejected',
+        rejectedStage: result.failedStage,
+        rejectReason: result.reason
+      });
+      return { status: 'rejected', result };
+    }
+    
+    console.log(`✅ ${symbol} passed all ${result.results.length} filter stages - sending signal!`);
+    try {
+      await notify(poolData, result.context);
+    } catch (error) {
+      // Nothing took the signal: let a later cycle signal the item again
+      await store.unmarkProcessed(address);
+      throw error;
+    }
+    await store.recordMetadata(address, {
+      status: 'signal_sent',
+      signaledAt: new Date().toISOString()
+    });
+    return { status: 'signaled', result };
+    
+  } finally {
+    // Always release the lock, whether the item was signaled or rejected
+    await store.releaseLock(address);
+  }
+}
+
+async function prefetchTokenPairs(dexscreener, poolDataList, { strategy, store }) {
+  const fresh = [];
+  for (const poolData of poolDataList) {
+    if (!(await store.isProcessed(getDedupAddress(strategy, poolData)))) {
+      fresh.push(poolData.baseTokenAddress);
+    }
+  }
+  if (fresh.length > 0) {
+    await dexscreener.prefetch(fresh);
+  }
+}
+
+// Runs raw GeckoTerminal pools through processPool, throttled with
+// `poolDelay` after every evaluated pool and `signalDelay` after every signal.
+// With a DexScreener client in `context`, every not-yet-processed token is
+// looked up up front in batched requests so the DexScreener stages answer
+// from its cache.
+async function processPools(pools, { poolDelay = 0, signalDelay = 0, label = '', ...options }) {
+  const counts = { signaled: 0, rejected: 0, skipped: 0, failed: 0 };
+  const poolDataList = pools.map(pool => extractPoolData(pool));
+  
+  const dexscreener = options.context && options.context.dexscreener;
+  if (dexscreener && options.pipeline.stages.some(stage => stage.usesDexScreener)) {
+    await prefetchTokenPairs(dexscreener, poolDataList.filter(Boolean), options);
+  }
+  
+  for (let i = 0; i < pools.length; i++) {
+    try {
+      const poolData = poolDataList[i];
+      if (!poolData) {
+        console.log(`❌ Failed to extract data for pool ${i + 1}`);
+        counts.failed++;
+        continue;
+      }
+      
+      console.log(`\n[${label}${i + 1}/${pools.length}] Processing: ${poolData.baseToken.symbol} (${poolData.baseTokenAddress})`);
+      console.log(`📍 Pool: ${poolData.poolAddress}`);
+      console.log(`⏰ Age: ${poolData.ageData.ageString}`);
+      
+      const { status } = await processPool(poolData, options);
+      counts[status]++;
+      
+      if (status === 'signaled' && signalDelay > 0) {
+        await sleep(signalDelay);
+      }
+      if (status !== 'skipped' && poolDelay > 0) {
+        await sleep(poolDelay);
+      }
+      
+    } catch (poolError) {
+      console.error(`❌ Error processing pool ${i + 1}:`, poolError.message);
+      counts.failed++;
+    }
+  }
+  
+  return counts;
+}
+
+module.exports = {
+  getDedupAddress,
+  processPool,
+  processPools
+};
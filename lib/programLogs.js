@@ -0,0 +1,320 @@
+const { PublicKey } = require('@solana/web3.js');
+const { sleep } = require('./http');
+const { fetchPoolByAddress, filterPoolsByDex } = require('./geckoterminal');
+const { processPools } = require('./processor');
+const { createMonitorState, addCounts } = require('./runtime');
+
+// ==============================
+// POOL PROGRAMS
+// ==============================
+// Pool-creating instructions per program, keyed by the Anchor instruction
+// name the program logs ("Program log: Instruction: <name>"). Numbers are
+// account indexes of the pool and its two mints in that instruction.
+const POOL_PROGRAMS = {
+  meteoraDlmm: {
+    label: 'Meteora DLMM',
+    programId: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+    dexId: 'meteora',
+    instructions: {
+      InitializeLbPair: { pool: 0, mintA: 2, mintB: 3 },
+      InitializeLbPair2: { pool: 0, mintA: 2, mintB: 3 },
+      InitializeCustomizablePermissionlessLbPair: { pool: 0, mintA: 2, mintB: 3 },
+      InitializeCustomizablePermissionlessLbPair2: { pool: 0, mintA: 2, mintB: 3 }
+    }
+  },
+  meteoraDammV2: {
+    label: 'Meteora DAMM v2',
+    programId: 'cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG',
+    dexId: 'meteora-damm-v2',
+    instructions: {
+      InitializePool: { pool: 6, mintA: 8, mintB: 9 },
+      InitializeCustomizablePool: { pool: 5, mintA: 7, mintB: 8 },
+      InitializePoolWithDynamicConfig: { pool: 7, mintA: 9, mintB: 10 }
+    }
+  },
+  pumpswap: {
+    label: 'PumpSwap',
+    programId: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA',
+    dexId: 'pumpswap',
+    instructions: {
+      CreatePool: { pool: 0, mintA: 3, mintB: 4 }
+    }
+  }
+};
+
+// Programs whose pools carry one of the strategy's GeckoTerminal dex ids.
+// DAMM v1 pools also report as "meteora" but are not subscribed to.
+function getProgramsForDexIds(dexIds) {
+  return Object.entries(POOL_PROGRAMS)
+    .filter(([, program]) => dexIds.includes(program.dexId))
+    .map(([name, program]) => ({ name, ...program }));
+}
+
+// ==============================
+// DECODING
+// ==============================
+const toAddress = key => (typeof key === 'string' ? key : key.toBase58());
+
+// Walks the invoke/success log lines and returns, in execution order, one
+// entry per invocation of `programId` with the instruction name it logged.
+function findProgramInvocations(logs, programId) {
+  const invocations = [];
+  const stack = [];
+  
+  for (const line of logs || []) {
+    const invoke = line.match(/^Program (\w+) invoke \[\d+\]$/);
+    if (invoke) {
+      const entry = { programId: invoke[1], instruction: null };
+      stack.push(entry);
+      if (entry.programId === programId) invocations.push(entry);
+      continue;
+    }
+    
+    if (/^Program \w+ (success|failed)/.test(line)) {
+      stack.pop();
+      continue;
+    }
+    
+    const instruction = line.match(/^Program log: Instruction: (\w+)$/);
+    const current = stack[stack.length - 1];
+    if (instruction && current && !current.instruction) {
+      current.instruction = instruction[1];
+    }
+  }
+  
+  return invocations;
+}
+
+// True when the logs show one of the program's pool-creating instructions
+function hasPoolInitLog(logs, program) {
+  return findProgramInvocations(logs, program.programId)
+    .some(invocation => program.instructions[invocation.instruction]);
+}
+
+// Top-level instructions followed by their inner (CPI) instructions,
+// which is the order the program invocations appear in the logs
+function flattenInstructions(transaction) {
+  const instructions = [];
+  const inner = (transaction.meta && transaction.meta.innerInstructions) || [];
+  
+  transaction.transaction.message.instructions.forEach((instruction, index) => {
+    instructions.push(instruction);
+    const innerSet = inner.find(set => set.index === index);
+    if (innerSet) instructions.push(...innerSet.instructions);
+  });
+  
+  return instructions;
+}
+
+// Pools created by `program` in a parsed transaction (getParsedTransaction)
+function decodePoolInits(transaction, program) {
+  if (!transaction || !transaction.meta || transaction.meta.err) {
+    return [];
+  }
+  
+  const invocations = findProgramInvocations(transaction.meta.logMessages, program.programId);
+  const instructions = flattenInstructions(transaction)
+    .filter(instruction => toAddress(instruction.programId) === program.programId);
+  
+  const pools = [];
+  invocations.forEach((invocation, i) => {
+    const layout = program.instructions[invocation.instruction];
+    const instruction = instructions[i];
+    if (!layout || !instruction || !instruction.accounts) return;
+    
+    const accounts = instruction.accounts.map(toAddress);
+    if (accounts.length <= Math.max(layout.pool, layout.mintA, layout.mintB)) return;
+    
+    pools.push({
+      program: program.name,
+      dexId: program.dexId,
+      instruction: invocation.instruction,
+      poolAddress: accounts[layout.pool],
+      mintA: accounts[layout.mintA],
+      mintB: accounts[layout.mintB]
+    });
+  });
+  
+  return pools;
+}
+
+// ==============================
+// LOG SUBSCRIPTION SOURCE
+// ==============================
+// Subscribes to each program's logs over the connection's WebSocket and calls
+// `onPoolCreated(event)` for every pool-creating transaction. Transactions are
+// fetched one at a time; web3.js reconnects and resubscribes on its own.
+function createProgramLogSource({
+  connection,
+  programs,
+  onPoolCreated,
+  commitment = 'confirmed',
+  fetchRetries = 3,
+  fetchRetryDelay = 1000,
+  maxRememberedSignatures = 5000
+}) {
+  const subscriptions = [];
+  const seenSignatures = new Set();
+  const queue = [];
+  let draining = false;
+  
+  const remember = (signature) => {
+    seenSignatures.add(signature);
+    // Sets iterate in insertion order, so this drops the oldest signature
+    if (seenSignatures.size > maxRememberedSignatures) {
+      seenSignatures.delete(seenSignatures.values().next().value);
+    }
+  };
+  
+  async function fetchTransaction(signature) {
+    for (let attempt = 1; attempt <= fetchRetries; attempt++) {
+      const transaction = await connection.getParsedTransaction(signature, {
+        commitment,
+        maxSupportedTransactionVersion: 0
+      });
+      if (transaction) return transaction;
+      if (attempt < fetchRetries) await sleep(fetchRetryDelay);
+    }
+    return null;
+  }
+  
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    
+    while (queue.length > 0) {
+      const { signature, program } = queue.shift();
+      try {
+        const transaction = await fetchTransaction(signature);
+        if (!transaction) {
+          console.log(`⚠️  Transaction ${signature} not available, skipping`);
+          continue;
+        }
+        
+        for (const pool of decodePoolInits(transaction, program)) {
+          console.log(`🛰️  ${program.label} ${pool.instruction}: ${pool.poolAddress}`);
+          await onPoolCreated({ ...pool, signature });
+        }
+      } catch (error) {
+        console.error(`❌ Error decoding transaction ${signature}:`, error.message);
+      }
+    }
+    
+    draining = false;
+  }
+  
+  function handleLogs(program, { signature, err, logs }) {
+    if (err || seenSignatures.has(signature) || !hasPoolInitLog(logs, program)) {
+      return;
+    }
+    remember(signature);
+    queue.push({ signature, program });
+    drain();
+  }
+  
+  return {
+    start() {
+      for (const program of programs) {
+        const id = connection.onLogs(
+          new PublicKey(program.programId),
+          logs => handleLogs(program, logs),
+          commitment
+        );
+        subscriptions.push(id);
+        console.log(`📡 Subscribed to ${program.label} logs (${program.programId})`);
+      }
+    },
+    
+    async stop() {
+      while (subscriptions.length > 0) {
+        await connection.removeOnLogsListener(subscriptions.pop());
+      }
+    },
+    
+    getQueueLength: () => queue.length
+  };
+}
+
+// ==============================
+// LOG-DRIVEN MONITOR
+// ==============================
+// Seconds after detection at which GeckoTerminal is asked for the new pool;
+// pricing and liquidity only exist once it has been indexed.
+const DEFAULT_LOOKUP_DELAYS = [5000, 15000, 30000, 60000, 120000];
+
+async function lookupNewPool(poolAddress, lookupDelays) {
+  let waited = 0;
+  for (const delay of lookupDelays) {
+    await sleep(delay - waited);
+    waited = delay;
+    
+    const pool = await fetchPoolByAddress(poolAddress);
+    if (pool) return pool;
+  }
+  return null;
+}
+
+// Alternative to runMonitorLoop: pools are picked up from program logs as
+// they are created and run through processPools with `processOptions`, one
+// at a time, exactly like pools from a GeckoTerminal scan. Pools created
+// while `state.paused` is set are ignored.
+function runLogMonitor({
+  name,
+  connection,
+  dexIds,
+  processOptions,
+  state = createMonitorState(),
+  lookupDelays = DEFAULT_LOOKUP_DELAYS
+}) {
+  const programs = getProgramsForDexIds(dexIds);
+  if (programs.length === 0) {
+    throw new Error(`No program log subscription available for dex ids: ${dexIds.join(', ')}`);
+  }
+  
+  console.log(`🔍 Starting ${name} monitoring from program logs...`);
+  let processing = Promise.resolve();
+  
+  async function handleNewPool({ poolAddress, dexId }) {
+    if (state.paused) {
+      console.log(`⏸️  Paused, ignoring new pool ${poolAddress}`);
+      return;
+    }
+    
+    const pool = await lookupNewPool(poolAddress, lookupDelays);
+    if (!pool) {
+      console.log(`⏳ ${poolAddress} still not on GeckoTerminal, giving up`);
+      return;
+    }
+    if (filterPoolsByDex([pool], dexIds).length === 0) {
+      console.log(`⏭️  ${poolAddress} is not a ${dexId} pool on GeckoTerminal, skipping`);
+      return;
+    }
+    
+    processing = processing
+      .then(() => processPools([pool], processOptions))
+      .then(counts => addCounts(state, counts))
+      .catch(error => console.error(`❌ Error processing ${poolAddress}:`, error.message));
+  }
+  
+  // Lookups run side by side so one slow-to-index pool does not hold up the
+  // next; the pipeline itself still sees one pool at a time
+  const source = createProgramLogSource({
+    connection,
+    programs,
+    onPoolCreated: event => {
+      handleNewPool(event).catch(error => console.error(`❌ Error looking up ${event.poolAddress}:`, error.message));
+    }
+  });
+  
+  source.start();
+  return source;
+}
+
+module.exports = {
+  POOL_PROGRAMS,
+  getProgramsForDexIds,
+  findProgramInvocations,
+  decodePoolInits,
+  createProgramLogSource,
+  runLogMonitor
+};
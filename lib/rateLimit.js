@@ -0,0 +1,180 @@
+const { sleep, axiosWithTimeout } = require('./http');
+
+// ==============================
+// PROVIDER BUDGETS
+// ==============================
+// Requests per minute and burst size per upstream. Buckets live per process,
+// so bots sharing an IP should split a provider's real limit between them.
+const DEFAULT_RATE_LIMITS = {
+  geckoterminal: { requestsPerMinute: 30, burst: 3 },
+  dexscreener: { requestsPerMinute: 300, burst: 10 },
+  rpc: { requestsPerMinute: 600, burst: 20 },
+  discord: { requestsPerMinute: 30, burst: 5 }, // Per channel webhook
+  telegram: { requestsPerMinute: 1800, burst: 30 }, // Bot API: 30 messages/s overall
+  default: { requestsPerMinute: 60, burst: 5 }
+};
+
+const PROVIDER_HOSTS = {
+  'api.geckoterminal.com': 'geckoterminal',
+  'api.dexscreener.com': 'dexscreener',
+  'discord.com': 'discord',
+  'discordapp.com': 'discord'
+};
+
+// ==============================
+// TOKEN BUCKET
+// ==============================
+// Waiters are served in arrival order. pause() empties the bucket and holds
+// every caller until the deadline, e.g. for a 429's Retry-After.
+function createTokenBucket({ requestsPerMinute, burst }) {
+  const refillPerMs = requestsPerMinute / 60000;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+  
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(burst, tokens + (now - lastRefill) * refillPerMs);
+    lastRefill = now;
+  }
+  
+  function acquire() {
+    const turn = queue.then(async () => {
+      while (true) {
+        const pauseLeft = pausedUntil - Date.now();
+        if (pauseLeft > 0) {
+          await sleep(pauseLeft);
+          continue;
+        }
+        
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil((1 - tokens) / refillPerMs));
+      }
+    });
+    queue = turn;
+    return turn;
+  }
+  
+  function pause(ms) {
+    refill();
+    tokens = 0;
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  }
+  
+  return {
+    acquire,
+    pause,
+    getState: () => ({ tokens, pausedUntil })
+  };
+}
+
+// ==============================
+// LIMITER REGISTRY
+// ==============================
+let rateLimits = DEFAULT_RATE_LIMITS;
+const buckets = new Map(); // provider (or unknown host) -> bucket
+
+// Replaces the per-provider budgets, e.g. with a bot's `rateLimits` config
+function configureRateLimits(overrides = {}) {
+  rateLimits = { ...DEFAULT_RATE_LIMITS };
+  for (const [provider, budget] of Object.entries(overrides)) {
+    rateLimits[provider] = { ...DEFAULT_RATE_LIMITS[provider], ...budget };
+  }
+  buckets.clear();
+}
+
+function getProviderForUrl(url) {
+  const host = new URL(url).hostname;
+  return PROVIDER_HOSTS[host] || host;
+}
+
+// Unknown hosts get their own bucket with the default budget
+function getLimiter(provider) {
+  if (!buckets.has(provider)) {
+    buckets.set(provider, createTokenBucket(rateLimits[provider] || rateLimits.default));
+  }
+  return buckets.get(provider);
+}
+
+// ==============================
+// RETRY POLICY
+// ==============================
+const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  maxRetryAfter: 120000 // Give up instead of waiting longer than this
+};
+
+// Retry-After is either seconds or an HTTP date; null when absent or unusable
+function getRetryAfterMs(error) {
+  const value = error.response?.headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// 429, 408 and 5xx are worth another try, as are timeouts and network errors
+function isRetryable(error) {
+  const status = error.response?.status;
+  if (status === undefined) return true;
+  return status === 429 || status === 408 || status >= 500;
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function getBackoffDelay(attempt, { baseDelay, maxDelay }) {
+  const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+// axiosWithTimeout behind the provider's token bucket, retried per the policy
+// above. A 429 pauses the whole provider, not just this request. Throws the
+// last error once retries run out.
+async function requestWithRetry(config, { timeoutMs = 15000, provider, ...policy } = {}) {
+  const { retries, baseDelay, maxDelay, maxRetryAfter } = { ...RETRY_DEFAULTS, ...policy };
+  const limiter = getLimiter(provider || getProviderForUrl(config.url));
+  
+  for (let attempt = 0; ; attempt++) {
+    await limiter.acquire();
+    try {
+      return await axiosWithTimeout(config, timeoutMs);
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= retries) {
+        throw error;
+      }
+      
+      const retryAfter = getRetryAfterMs(error);
+      if (retryAfter !== null && retryAfter > maxRetryAfter) {
+        throw error;
+      }
+      
+      const delay = retryAfter !== null ? retryAfter : getBackoffDelay(attempt, { baseDelay, maxDelay });
+      if (error.response?.status === 429) {
+        limiter.pause(delay);
+      }
+      
+      const status = error.response?.status || error.message;
+      console.log(`🔁 ${new URL(config.url).hostname} failed (${status}), retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  createTokenBucket,
+  configureRateLimits,
+  getLimiter,
+  getRetryAfterMs,
+  getBackoffDelay,
+  requestWithRetry
+};
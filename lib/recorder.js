@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+// ==============================
+// RESPONSE RECORDER
+// ==============================
+// Raw API responses saved to disk for backtests (backtest.js), one JSON line
+// per response in <dir>/<source>/<YYYY-MM-DD>.jsonl (UTC day):
+//   geckoterminal  { recordedAt, endpoint, page, params, response } for pool
+//                  pages, { recordedAt, pool, response } for single pools
+//   dexscreener    { recordedAt, addresses, response }
+// Off unless configured; a failed write is logged and never fails the request.
+let recording = { enabled: false, dir: null };
+const createdDirs = new Set();
+
+function configureRecorder({ enabled = false, dir = 'recordings' } = {}) {
+  recording = { enabled: Boolean(enabled), dir: path.resolve(dir) };
+  if (recording.enabled) {
+    console.log(`💾 Recording API responses to ${recording.dir}`);
+  }
+}
+
+function recordResponse(source, entry, at = Date.now()) {
+  if (!recording.enabled) return;
+  
+  const recordedAt = new Date(at).toISOString();
+  const sourceDir = path.join(recording.dir, source);
+  try {
+    if (!createdDirs.has(sourceDir)) {
+      fs.mkdirSync(sourceDir, { recursive: true });
+      createdDirs.add(sourceDir);
+    }
+    fs.appendFileSync(path.join(sourceDir, `${recordedAt.slice(0, 10)}.jsonl`), `${JSON.stringify({ recordedAt, ...entry })}\n`);
+  } catch (error) {
+    console.error(`❌ Error recording ${source} response:`, error.message);
+  }
+}
+
+// Every recorded entry of `source` in [since, until), oldest first. Lines that
+// do not parse (e.g. cut short by a crash) are skipped and counted.
+function readRecordings(dir, source, { since = 0, until = Infinity } = {}) {
+  const sourceDir = path.join(dir, source);
+  if (!fs.existsSync(sourceDir)) {
+    return { entries: [], skipped: 0 };
+  }
+  
+  const entries = [];
+  let skipped = 0;
+  const files = fs.readdirSync(sourceDir).filter(file => file.endsWith('.jsonl')).sort();
+  for (const file of files) {
+    const lines = fs.readFileSync(path.join(sourceDir, file), 'utf8').split('\n');
+    for (const line of lines) {
+      if (line.trim() === '') continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        continue;
+      }
+      const time = Date.parse(entry.recordedAt);
+      if (time >= since && time < until) {
+        entries.push({ ...entry, time });
+      }
+    }
+  }
+  
+  entries.sort((a, b) => a.time - b.time);
+  return { entries, skipped };
+}
+
+module.exports = {
+  configureRecorder,
+  recordResponse,
+  readRecordings
+};
@@ -0,0 +1,128 @@
+const { createTokenBucket } = require('./rateLimit');
+const { createTelegramNotifier, createDiscordNotifier, createWebhookNotifier, createFileNotifier } = require('./notifiers');
+const { MARKDOWN_V2, getMessageFormat } = require('./messageFormat');
+
+// ==============================
+// ROUTING RULES
+// ==============================
+// A destination's `when` rule; every key that is set must hold. Market cap is
+// the pool's FDV, as shown in the signals.
+function matchesRoute(poolData, when = {}) {
+  const { pricing, ageData } = poolData;
+  if (when.minMarketCap !== undefined && pricing.fdvUsd < when.minMarketCap) return false;
+  if (when.maxMarketCap !== undefined && pricing.fdvUsd > when.maxMarketCap) return false;
+  if (when.minLiquidity !== undefined && pricing.reserveUsd < when.minLiquidity) return false;
+  if (when.maxAgeHours !== undefined && ageData.ageInHours > when.maxAgeHours) return false;
+  if (when.minPriceChange24h !== undefined && pricing.priceChange24h < when.minPriceChange24h) return false;
+  return true;
+}
+
+// ==============================
+// TEMPLATES
+// ==============================
+// The "compact" template every entry point shares; "full" is each entry
+// point's own signal message. Links go in the inline keyboard.
+function formatCompactSignal(poolData, title, format = MARKDOWN_V2) {
+  const { text, join, bold, code } = format;
+  const { baseToken, pricing, ageData } = poolData;
+  const tokenAddress = baseToken.address;
+  
+  return join([
+    text`🚀 ${bold(title.toUpperCase())}: ${baseToken.name} (${baseToken.symbol})\n`,
+    text`📈 MC $${pricing.fdvUsd.toLocaleString()} | 💧 Liq $${pricing.reserveUsd.toLocaleString()} | ⏰ ${ageData.ageString}\n`,
+    text`🔗 ${code(tokenAddress)}`
+  ]);
+}
+
+// ==============================
+// SIGNAL ROUTER
+// ==============================
+// Telegram destinations are rendered with one of `templates` (template name
+// -> (poolData, context, format) => message) in the destination's parseMode;
+// every interpolated value is escaped by the format, and `keyboard` adds the
+// inline buttons. Discord, webhook and file destinations build their own payloads.
+// Without a Telegram `queue` (no bot token), Telegram destinations are left out.
+function createNotifier(destination, { queue, templates, keyboard, botId, strategy }) {
+  if (destination.type === 'discord') {
+    return createDiscordNotifier({ url: destination.url, title: strategy.title });
+  }
+  if (destination.type === 'webhook') {
+    return createWebhookNotifier({ url: destination.url, secret: destination.secret, botId, strategy: strategy.name });
+  }
+  if (destination.type === 'file') {
+    return createFileNotifier({ path: destination.path, botId, strategy: strategy.name });
+  }
+  
+  const render = templates[destination.template];
+  if (!render) {
+    throw new Error(`Destination ${destination.name} uses unknown template "${destination.template}"`);
+  }
+  return createTelegramNotifier({
+    queue,
+    chat: destination.chat,
+    topic: destination.topic,
+    render,
+    format: getMessageFormat(destination.parseMode),
+    keyboard,
+    botId
+  });
+}
+
+// Sends each signal to every destination whose rule it matches, paced by
+// that destination's own token bucket. `destinations` come from the bot
+// config, `botId` and `strategy` label webhook payloads and embeds.
+function createSignalRouter({ queue, destinations, templates, keyboard, botId, strategy }) {
+  const routes = destinations
+    .filter(destination => {
+      if (destination.type === 'telegram' && !queue) {
+        console.log(`⚠️  No Telegram bot, skipping destination ${destination.name}`);
+        return false;
+      }
+      return true;
+    })
+    .map(destination => ({
+      ...destination,
+      notifier: createNotifier(destination, { queue, templates, keyboard, botId, strategy }),
+      limiter: createTokenBucket(destination.rateLimit)
+    }));
+  
+  // Resolves to the names of the destinations that took the signal. Throws
+  // when it matched destinations but none of them took it, so the caller
+  // can treat the signal as not sent.
+  async function route(poolData, context = {}) {
+    const symbol = poolData.baseToken.symbol;
+    const delivered = [];
+    const failed = [];
+    
+    for (const destination of routes) {
+      if (!matchesRoute(poolData, destination.when)) continue;
+      
+      try {
+        await destination.limiter.acquire();
+        await destination.notifier.send(poolData, context);
+        delivered.push(destination.name);
+        console.log(`✅ ${destination.type === 'telegram' ? 'Queued' : 'Sent'} ${symbol} signal for ${destination.name} (${destination.notifier.describe()})`);
+      } catch (error) {
+        failed.push(destination.name);
+        console.error(`❌ Failed to send ${symbol} signal to ${destination.name}:`, error.message);
+      }
+    }
+    
+    if (delivered.length === 0 && failed.length > 0) {
+      throw new Error(`${symbol} signal reached none of its destinations (${failed.join(', ')})`);
+    }
+    return delivered;
+  }
+  
+  return {
+    route,
+    describe: () => routes.map(({ name, notifier }) => `${name} (${notifier.describe()})`).join(', ') || 'none',
+    destinations: routes
+  };
+}
+
+module.exports = {
+  matchesRoute,
+  formatCompactSignal,
+  createSignalRouter
+};
@@ -0,0 +1,180 @@
+const { sleep } = require('./http');
+const { getRetryAfterMs } = require('./rateLimit');
+
+// ==============================
+// MONITOR STATE
+// ==============================
+// Live counters for one bot process, read by the admin commands. `paused`
+// stops new cycles (or, with a log source, new pools) until cleared.
+function createMonitorState() {
+  return {
+    startedAt: Date.now(),
+    paused: false,
+    cycleCount: 0,
+    errorCount: 0,
+    lastCycleAt: null,
+    lastCycleSeconds: null,
+    totals: { signaled: 0, rejected: 0, skipped: 0, failed: 0 }
+  };
+}
+
+// Adds a processPools() result to the totals since start
+function addCounts(state, counts) {
+  for (const key of Object.keys(state.totals)) {
+    state.totals[key] += counts[key] || 0;
+  }
+}
+
+// ==============================
+// MONITORING LOOP
+// ==============================
+// Shared cycle/backoff loop. `runCycle` returns true when the cycle found
+// something to work on; empty cycles count as errors and stretch the delay.
+async function runMonitorLoop({
+  name,
+  state = createMonitorState(),
+  runCycle,
+  getProcessedCount,
+  cycleDelay,
+  errorDelayStep,
+  maxErrorDelay,
+  recoveryDelay,
+  rateLimitDelay
+}) {
+  console.log(`🔍 Starting ${name} monitoring...`);
+  let cycleCount = 0;
+  let errorCount = 0;
+  
+  while (true) {
+    if (state.paused) {
+      console.log(`⏸️  ${name} monitoring paused, checking again in ${cycleDelay/1000}s...`);
+      await sleep(cycleDelay);
+      continue;
+    }
+    
+    const cycleStartTime = Date.now();
+    cycleCount++;
+    state.cycleCount = cycleCount;
+    state.lastCycleAt = cycleStartTime;
+    
+    try {
+      console.log(`\n🔄 Starting monitoring cycle #${cycleCount} at ${new Date().toLocaleTimeString()}`);
+      
+      const hadWork = await runCycle(cycleCount);
+      if (hadWork) {
+        errorCount = 0; // Reset error count on success
+      } else {
+        errorCount++;
+      }
+      
+      state.errorCount = errorCount;
+      
+      const cycleTime = ((Date.now() - cycleStartTime) / 1000).toFixed(1);
+      state.lastCycleSeconds = Number(cycleTime);
+      console.log(`✅ Completed monitoring cycle #${cycleCount} in ${cycleTime}s`);
+      
+      if (getProcessedCount) {
+        const processedCount = await getProcessedCount();
+        console.log(`💾 Total processed items in Redis: ${processedCount}`);
+      }
+      
+      // Dynamic wait time based on error count
+      let waitTime = cycleDelay;
+      
+      if (errorCount > 0) {
+        waitTime = Math.min(cycleDelay + (errorCount * errorDelayStep), maxErrorDelay);
+        console.log(`⚠️  ${errorCount} consecutive errors, waiting ${waitTime/1000}s...`);
+      } else {
+        console.log(`⏳ Waiting ${waitTime/1000} seconds before next cycle...`);
+      }
+      
+      console.log(''); // Empty line for readability
+      await sleep(waitTime);
+      
+    } catch (error) {
+      console.error('❌ Critical error in monitoring loop:', error.message);
+      errorCount += 5;
+      state.errorCount = errorCount;
+      
+      if (error.response?.status === 429) {
+        // Honour the server's Retry-After when it is shorter than our fallback
+        const retryAfter = getRetryAfterMs(error);
+        const waitTime = retryAfter !== null ? Math.min(retryAfter, rateLimitDelay) : rateLimitDelay;
+        console.log(`🔄 Rate limiting detected, waiting ${waitTime/1000}s...`);
+        await sleep(waitTime);
+      } else {
+        console.log(`🔄 Critical error, attempting recovery in ${recoveryDelay/1000}s...`);
+        await sleep(recoveryDelay);
+      }
+    }
+  }
+}
+
+// ==============================
+// PROCESS LIFECYCLE
+// ==============================
+async function connectStore(redisClient, store, { label = 'localhost:6379' } = {}) {
+  try {
+    if (!redisClient.isOpen) {
+      await redisClient.connect();
+    }
+    const processedCount = await store.getProcessedCount();
+    console.log(`💾 Found ${processedCount} previously processed items in Redis`);
+    
+    await store.cleanupLocks();
+    return true;
+    
+  } catch (redisError) {
+    console.error('❌ Failed to connect to Redis:', redisError.message);
+    console.log('⚠️  Bot will continue but processed items won\'t persist across restarts');
+    console.log(`🔧 Make sure Redis server is running on ${label}`);
+    return false;
+  }
+}
+
+function installProcessHandlers({ name, bot, redisClient, catchUncaught = true }) {
+  process.on('SIGINT', async () => {
+    console.log(`\n🛑 Shutting down ${name}...`);
+    try {
+      if (bot) {
+        bot.stopPolling();
+      }
+      await redisClient.quit();
+      console.log('✅ Redis connection closed');
+    } catch (error) {
+      console.error('❌ Error during shutdown:', error.message);
+    }
+    process.exit(0);
+  });
+  
+  process.on('unhandledRejection', (error) => {
+    console.error('❌ Unhandled promise rejection:', error);
+    console.log('🔄 Bot will continue running...');
+  });
+  
+  if (catchUncaught) {
+    process.on('uncaughtException', (error) => {
+      console.error('❌ Uncaught exception:', error);
+      console.log('🔄 Bot will continue running...');
+    });
+  }
+}
+
+// Heartbeat to show bot is alive
+function startHeartbeat(intervalMs = 5 * 60 * 1000) {
+  return setInterval(() => {
+    const uptime = process.uptime();
+    const hours = Math.floor(uptime / 3600);
+    const minutes = Math.floor((uptime % 3600) / 60);
+    console.log(`💓 Bot heartbeat - Uptime: ${hours}h ${minutes}m | Memory: ${Math.round(process.memoryUsage().heapUsed / 1024 / 1024)}MB`);
+  }, intervalMs);
+}
+
+module.exports = {
+  createMonitorState,
+  addCounts,
+  runMonitorLoop,
+  connectStore,
+  installProcessHandlers,
+  startHeartbeat
+};
@@ -0,0 +1,53 @@
+const { readPerformanceRecords } = require('./performance');
+const { summarizeSignals } = require('./digest');
+const { formatOutcomeLines } = require('./backtest');
+
+// ==============================
+// SHADOW RUN COMPARISON
+// ==============================
+// A shadow run (applyShadowMode in lib/config.js) keeps its performance
+// records under its own Redis prefix, so the signals of the live and shadow
+// runs of one bot can be set side by side: what each sent over [since,
+// until), which pools only one of them signaled and how those did.
+async function compareShadowRun(redisClient, { botId, liveKeyPrefix, shadowKeyPrefix, since, until = Date.now() }) {
+  const live = await readPerformanceRecords(redisClient, { keyPrefix: liveKeyPrefix, botId, since, until });
+  const shadow = await readPerformanceRecords(redisClient, { keyPrefix: shadowKeyPrefix, botId, since, until });
+  const livePools = new Set(live.map(record => record.poolAddress));
+  const shadowPools = new Set(shadow.map(record => record.poolAddress));
+  
+  return {
+    since,
+    until,
+    live: summarizeSignals(live),
+    shadow: summarizeSignals(shadow),
+    both: live.filter(record => shadowPools.has(record.poolAddress)).length,
+    onlyLive: summarizeSignals(live.filter(record => !shadowPools.has(record.poolAddress))),
+    onlyShadow: summarizeSignals(shadow.filter(record => !livePools.has(record.poolAddress)))
+  };
+}
+
+const formatTime = ms => new Date(ms).toISOString().slice(0, 16).replace('T', ' ');
+
+function formatShadowComparison(comparison, { botId }) {
+  const lines = [`🕶️  ${botId}: live vs shadow, ${formatTime(comparison.since)} → ${formatTime(comparison.until)} UTC`];
+  const sections = [
+    ['📡 Live', comparison.live],
+    ['🧪 Shadow', comparison.shadow],
+    ['📡 Only live', comparison.onlyLive],
+    ['🧪 Only shadow', comparison.onlyShadow]
+  ];
+  
+  for (const [title, summary] of sections) {
+    lines.push('');
+    lines.push(`${title}: ${summary.count} signal${summary.count === 1 ? '' : 's'}`);
+    if (summary.count > 0) lines.push(...formatOutcomeLines(summary));
+  }
+  lines.push('');
+  lines.push(`🤝 Signaled by both: ${comparison.both}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  compareShadowRun,
+  formatShadowComparison
+};
@@ -0,0 +1,215 @@
+const { fetchPoolByAddress } = require('./geckoterminal');
+const { extractPoolData } = require('./pools');
+const { getLimiter } = require('./rateLimit');
+const { getCheckResults, toJson } = require('./notifiers');
+const { MARKDOWN_V2, getMessageFormat } = require('./messageFormat');
+
+// ==============================
+// SIGNAL BUTTONS
+// ==============================
+// Signals carry their links as inline keyboard buttons, plus callback
+// buttons handled here:
+//   refresh:<poolAddress>  re-fetch the pool and edit the message in place
+//   mute:<tokenAddress>    (subscriber DMs) no more signals for this token
+//   unmute:<tokenAddress>
+// Callback data is capped at 64 bytes, which a Solana address fits with room
+// to spare. Refreshing re-renders the signal with the check results saved
+// when it was sent:
+//   <prefix>:signal_context:<poolAddress>          JSON, expires after contextTtl
+//   <prefix>:refresh_cooldown:<chatId>:<messageId>  one refresh per cooldown
+const SIGNAL_BUTTON_DEFAULTS = {
+  contextTtl: 7 * 24 * 60 * 60 * 1000,
+  refreshCooldown: 30000
+};
+
+// Link buttons a strategy can list in `links`
+const SIGNAL_LINKS = {
+  dexscreener: { label: '📊 DexScreener', url: poolData => `https://dexscreener.com/solana/${poolData.baseToken.address}` },
+  geckoterminal: { label: '📈 GeckoTerminal', url: poolData => `https://www.geckoterminal.com/solana/pools/${poolData.poolAddress}` },
+  meteora: { label: '🌐 Meteora', url: poolData => `https://app.meteora.ag/pools/${poolData.poolAddress}` },
+  pumpfun: { label: '💊 pump.fun', url: poolData => `https://pump.fun/${poolData.baseToken.address}` },
+  raydium: { label: '🟣 Raydium', url: poolData => `https://raydium.io/swap/?inputMint=sol&outputMint=${poolData.baseToken.address}` }
+};
+
+// Two link buttons per row, then the callback buttons. Without `refresh`
+// (nothing is polling for callbacks) only the links are shown.
+function buildSignalKeyboard(poolData, links = [], { refresh = false, mute = false, muted = false } = {}) {
+  const linkButtons = links.map(name => ({ text: SIGNAL_LINKS[name].label, url: SIGNAL_LINKS[name].url(poolData) }));
+  const rows = [];
+  for (let i = 0; i < linkButtons.length; i += 2) {
+    rows.push(linkButtons.slice(i, i + 2));
+  }
+  
+  const actions = [];
+  if (refresh) {
+    actions.push({ text: '🔄 Refresh stats', callback_data: `refresh:${poolData.poolAddress}` });
+  }
+  if (mute) {
+    actions.push(muted
+      ? { text: '🔔 Unmute token', callback_data: `unmute:${poolData.baseToken.address}` }
+      : { text: '🔕 Mute token', callback_data: `mute:${poolData.baseToken.address}` });
+  }
+  if (actions.length > 0) rows.push(actions);
+  
+  return { inline_keyboard: rows };
+}
+
+// Swaps one callback button for another in an existing keyboard
+function replaceButton(replyMarkup, callbackData, button) {
+  return {
+    inline_keyboard: replyMarkup.inline_keyboard.map(row =>
+      row.map(existing => (existing.callback_data === callbackData ? button : existing)))
+  };
+}
+
+// `templates` are the router's (template name -> (poolData, context, format)
+// => message) and `destinations` the bot's, so a refreshed message keeps the
+// layout and parse mode its chat was sent. Private chats get the full
+// MarkdownV2 message, as subscriber DMs are.
+function createSignalButtons({ bot, redisClient, keyPrefix, strategy, templates, destinations = [], subscriptions, ...options }) {
+  const settings = { ...SIGNAL_BUTTON_DEFAULTS, ...options };
+  const contextKey = poolAddress => `${keyPrefix}:signal_context:${poolAddress}`;
+  const cooldownKey = (chatId, messageId) => `${keyPrefix}:refresh_cooldown:${chatId}:${messageId}`;
+  
+  const keyboard = (poolData, { mute = false, muted = false } = {}) =>
+    buildSignalKeyboard(poolData, strategy.links, { refresh: true, mute, muted });
+
+  // Called before the signal goes out. A signal that cannot be remembered
+  // still goes out; its refresh button just answers that it expired.
+  async function remember(poolData, context) {
+    try {
+      const saved = { strategy: strategy.name, checks: getCheckResults(context) };
+      await redisClient.set(contextKey(poolData.poolAddress), toJson(saved), { PX: settings.contextTtl });
+    } catch (error) {
+      console.error(`⚠️  Could not save signal context for ${poolData.poolAddress}:`, error.message);
+    }
+  }
+  
+  function findLayout(message) {
+    const { chat, message_thread_id: topic } = message;
+    if (chat.type === 'private') {
+      return { template: 'full', format: MARKDOWN_V2, subscriber: true };
+    }
+    const destination = destinations.find(candidate =>
+      candidate.type === 'telegram' &&
+      (candidate.chat === String(chat.id) || (chat.username && candidate.chat.toLowerCase() === `@${chat.username.toLowerCase()}`)) &&
+      (candidate.topic === undefined || candidate.topic === topic));
+    return destination
+      ? { template: destination.template, format: getMessageFormat(destination.parseMode), subscriber: false }
+      : { template: 'full', format: MARKDOWN_V2, subscriber: false };
+  }
+  
+  async function refresh(query, poolAddress) {
+    const { chat, message_id: messageId } = query.message;
+    const slot = await redisClient.set(cooldownKey(chat.id, messageId), '1', { NX: true, PX: settings.refreshCooldown });
+    if (!slot) {
+      return '⏳ Refreshed moments ago, try again shortly';
+    }
+    
+    const raw = await redisClient.get(contextKey(poolAddress));
+    const saved = raw && JSON.parse(raw);
+    if (!saved) {
+      return 'ℹ️ This signal is too old to refresh';
+    }
+    if (saved.strategy !== strategy.name) {
+      return 'ℹ️ Only the bot that sent this signal can refresh it';
+    }
+    
+    const pool = await fetchPoolByAddress(poolAddress);
+    const poolData = pool && extractPoolData(pool);
+    if (!poolData) {
+      return '❌ GeckoTerminal has no data for this pool right now';
+    }
+    
+    const { template, format, subscriber } = findLayout(query.message);
+    const { text, join } = format;
+    const updatedAt = new Date().toISOString().slice(11, 16);
+    const message = join([templates[template](poolData, saved.checks, format), text`\n\n🔄 Updated ${updatedAt} UTC`]);
+    const muted = subscriber && subscriptions
+      ? await subscriptions.isMuted(chat.id, poolData.baseToken.address)
+      : false;
+    
+    await getLimiter('telegram').acquire();
+    try {
+      await bot.editMessageText(String(message), {
+        chat_id: chat.id,
+        message_id: messageId,
+        parse_mode: format.parseMode,
+        disable_web_page_preview: true,
+        reply_markup: keyboard(poolData, { mute: subscriber && Boolean(subscriptions), muted })
+      });
+    } catch (error) {
+      if (error.message.includes('message is not modified')) {
+        return 'ℹ️ Nothing changed since the last update';
+      }
+      throw error;
+    }
+    console.log(`🔄 Refreshed ${poolData.baseToken.symbol} signal in ${chat.id}`);
+    return '✅ Stats refreshed';
+  }
+
+  // Muting is per user, so only offered (and honoured) in private chats
+  async function setMuted(query, tokenAddress, muted) {
+    const { chat, message_id: messageId, reply_markup: replyMarkup } = query.message;
+    if (chat.type !== 'private' || !subscriptions) {
+      return 'ℹ️ Tokens can only be muted in a private chat with the bot';
+    }
+    
+    if (muted) {
+      await subscriptions.muteToken(chat.id, tokenAddress);
+    } else {
+      await subscriptions.unmuteToken(chat.id, tokenAddress);
+    }
+    
+    if (replyMarkup) {
+      const button = muted
+        ? { text: '🔔 Unmute token', callback_data: `unmute:${tokenAddress}` }
+        : { text: '🔕 Mute token', callback_data: `mute:${tokenAddress}` };
+      await getLimiter('telegram').acquire();
+      await bot.editMessageReplyMarkup(
+        replaceButton(replyMarkup, `${muted ? 'mute' : 'unmute'}:${tokenAddress}`, button),
+        { chat_id: chat.id, message_id: messageId }
+      );
+    }
+    return muted ? '🔕 Muted, no more signals for this token' : '🔔 Unmuted';
+  }
+  
+  const ACTIONS = {
+    refresh,
+    mute: (query, tokenAddress) => setMuted(query, tokenAddress, true),
+    unmute: (query, tokenAddress) => setMuted(query, tokenAddress, false)
+  };
+
+  // Every callback query is answered, or the button keeps spinning
+  function register() {
+    bot.on('callback_query', async (query) => {
+      const [action, value] = (query.data || '').split(':');
+      if (!ACTIONS[action] || !value || !query.message) return;
+      
+      let answer;
+      try {
+        answer = await ACTIONS[action](query, value);
+      } catch (error) {
+        console.error(`❌ ${action} button failed:`, error.message);
+        answer = '❌ That did not work, please try again later';
+      }
+      await bot.answerCallbackQuery(query.id, { text: answer })
+        .catch(error => console.error('❌ Failed to answer button press:', error.message));
+    });
+    
+    console.log(`🔘 Signal buttons enabled (refresh${subscriptions ? ', mute' : ''})`);
+  }
+  
+  return {
+    keyboard,
+    remember,
+    register
+  };
+}
+
+module.exports = {
+  SIGNAL_BUTTON_DEFAULTS,
+  SIGNAL_LINKS,
+  buildSignalKeyboard,
+  createSignalButtons
+};
@@ -0,0 +1,87 @@
+const { Connection, PublicKey } = require('@solana/web3.js');
+const { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID, unpackMint } = require('@solana/spl-token');
+const { getLimiter } = require('./rateLimit');
+const { MARKDOWN_V2 } = require('./messageFormat');
+
+// ==============================
+// SOLANA RPC
+// ==============================
+const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+
+// `wsUrl` is only needed when the WebSocket endpoint is not the RPC URL with
+// ws(s):// (log subscriptions use it; plain RPC calls never do). HTTP calls
+// wait for the "rpc" rate limit budget; web3.js retries 429s on its own.
+function createSolanaConnection(rpcUrl = DEFAULT_RPC_URL, commitment = 'confirmed', wsUrl = undefined) {
+  return new Connection(rpcUrl, {
+    commitment,
+    wsEndpoint: wsUrl || undefined,
+    fetchMiddleware: (info, init, fetch) => {
+      getLimiter('rpc').acquire().then(() => fetch(info, init));
+    }
+  });
+}
+
+// ==============================
+// MINT SAFETY
+// ==============================
+// Reads the mint account (SPL Token or Token-2022) and reports its
+// authorities and supply. Any object with a web3.js-compatible
+// getAccountInfo(PublicKey) works as `connection`, so tests can mock it.
+async function checkMintSafety(connection, mintAddress) {
+  const mint = new PublicKey(mintAddress);
+  const accountInfo = await connection.getAccountInfo(mint);
+  
+  if (!accountInfo) {
+    throw new Error(`Mint account ${mintAddress} not found`);
+  }
+  
+  const programId = accountInfo.owner.equals(TOKEN_2022_PROGRAM_ID) ? TOKEN_2022_PROGRAM_ID : TOKEN_PROGRAM_ID;
+  const mintInfo = unpackMint(mint, accountInfo, programId);
+  
+  const mintAuthority = mintInfo.mintAuthority ? mintInfo.mintAuthority.toBase58() : null;
+  const freezeAuthority = mintInfo.freezeAuthority ? mintInfo.freezeAuthority.toBase58() : null;
+  
+  return {
+    mintAddress,
+    tokenProgram: programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'spl-token',
+    mintAuthority,
+    freezeAuthority,
+    supply: mintInfo.supply.toString(),
+    uiSupply: Number(mintInfo.supply) / Math.pow(10, mintInfo.decimals),
+    decimals: mintInfo.decimals,
+    hasMintAuthority: mintAuthority !== null,
+    hasFreezeAuthority: freezeAuthority !== null
+  };
+}
+
+const shortAddress = address => `${address.slice(0, 4)}...${address.slice(-4)}`;
+
+// Signal message lines in `format`; `tokenSafety.error` marks an unverified mint
+function formatTokenSafety(tokenSafety, format = MARKDOWN_V2) {
+  const { text, join, bold, code } = format;
+  if (!tokenSafety) {
+    return text``;
+  }
+  
+  if (tokenSafety.error) {
+    return text`🛡️ ${bold('Token Safety:')} ⚠️ Unverified (${tokenSafety.error})\n`;
+  }
+  
+  const authorityLine = (label, authority) => authority
+    ? text`   • ${label}: ⚠️ ACTIVE (${code(shortAddress(authority))})\n`
+    : text`   • ${label}: ✅ Revoked\n`;
+  
+  return join([
+    text`🛡️ ${bold('Token Safety:')}\n`,
+    authorityLine('Mint Authority', tokenSafety.mintAuthority),
+    authorityLine('Freeze Authority', tokenSafety.freezeAuthority),
+    text`   • Supply: ${tokenSafety.uiSupply.toLocaleString()} (${tokenSafety.decimals} decimals)\n`
+  ]);
+}
+
+module.exports = {
+  DEFAULT_RPC_URL,
+  createSolanaConnection,
+  checkMintSafety,
+  formatTokenSafety
+};
@@ -0,0 +1,263 @@
+const { checkTokenPoolAge, checkPumpPools, checkRaydiumPools } = require('./dexscreener');
+const { checkMintSafety } = require('./solana');
+const { analyzeHolderConcentration, collectPairAddresses } = require('./holders');
+const { analyzeLpSafety } = require('./lpSafety');
+
+// ==============================
+// FILTER STAGES
+// ==============================
+// Every stage declares its parameters (with defaults), an emoji + label and
+// a `describe` used for banners, channel announcements and reports, and an
+// async `run` that resolves to pass(data) or reject(reason, data). Data is
+// merged into the pipeline context so later stages and templates can use it.
+// DexScreener stages are flagged `usesDexScreener` and look tokens up through
+// `context.dexscreener` (a createDexScreenerClient) when one is provided.
+// On-chain stages are flagged `usesRpc`; backtests cannot replay them.
+const pass = (data = {}) => ({ passed: true, data });
+const reject = (reason, data = {}) => ({ passed: false, reason, data });
+
+const formatUsd = value => `$${Number(value).toLocaleString()}`;
+
+const STAGES = {
+  maxPoolAge: {
+    emoji: '⏰',
+    label: 'Age Filter',
+    defaults: { maxAgeHours: 6 },
+    describe: ({ maxAgeHours }) => `≤ ${maxAgeHours} hours old`,
+    async run(poolData, { maxAgeHours }) {
+      const { ageData } = poolData;
+      if (!(ageData.ageInHours <= maxAgeHours)) {
+        return reject(`pool too old (${ageData.ageString} > ${maxAgeHours}h)`);
+      }
+      return pass();
+    }
+  },
+  
+  maxMarketCap: {
+    emoji: '💰',
+    label: 'Market Cap Filter',
+    defaults: { maxMarketCap: 15000000 },
+    describe: ({ maxMarketCap }) => `< ${formatUsd(maxMarketCap)} USD`,
+    async run(poolData, { maxMarketCap }) {
+      const { fdvUsd } = poolData.pricing;
+      if (fdvUsd > maxMarketCap) {
+        return reject(`market cap too high (${formatUsd(fdvUsd)} > ${formatUsd(maxMarketCap)})`);
+      }
+      return pass();
+    }
+  },
+  
+  minLiquidity: {
+    emoji: '💧',
+    label: 'Liquidity Filter',
+    defaults: { minLiquidity: 10000 },
+    describe: ({ minLiquidity }) => `Min ${formatUsd(minLiquidity)} USD`,
+    async run(poolData, { minLiquidity }) {
+      const { reserveUsd } = poolData.pricing;
+      if (reserveUsd < minLiquidity) {
+        return reject(`liquidity too low (${formatUsd(reserveUsd)} < ${formatUsd(minLiquidity)})`);
+      }
+      return pass();
+    }
+  },
+  
+  positivePriceChange: {
+    emoji: '📈',
+    label: 'Price Filter',
+    defaults: { requirePositivePriceChange: true },
+    describe: ({ requirePositivePriceChange }) => requirePositivePriceChange ? 'Positive 24h change' : 'Disabled',
+    async run(poolData, { requirePositivePriceChange }) {
+      if (!requirePositivePriceChange) {
+        return pass();
+      }
+      
+      const { priceChange24h } = poolData.pricing;
+      if (priceChange24h <= 0) {
+        return reject(`non-positive 24h price change (${priceChange24h.toFixed(2)}%)`);
+      }
+      return pass();
+    }
+  },
+  
+  // DexScreener: reject tokens that already had pools before this one
+  maxTokenPairAge: {
+    emoji: '⏰',
+    label: 'Pool Age Filter',
+    usesDexScreener: true,
+    defaults: { maxPairAgeHours: 24 },
+    describe: ({ maxPairAgeHours }) => `No pools > ${maxPairAgeHours}h old`,
+    async run(poolData, { maxPairAgeHours }, context) {
+      const poolAgeInfo = await checkTokenPoolAge(poolData.baseTokenAddress, context.dexscreener, context.now);
+      if (poolAgeInfo.hasValidPools && poolAgeInfo.oldestPoolAgeHours > maxPairAgeHours) {
+        return reject(`token has pools older than ${maxPairAgeHours}h (oldest: ${poolAgeInfo.oldestPoolAgeHours.toFixed(2)}h)`, { poolAgeInfo });
+      }
+      return pass({ poolAgeInfo });
+    }
+  },
+  
+  // DexScreener: token must also trade on PumpFun and/or PumpSwap
+  pumpGraduate: {
+    emoji: '🎓',
+    label: 'Graduate Check',
+    defaults: {},
+    describe: () => 'PumpFun/PumpSwap verification',
+    usesDexScreener: true,
+    async run(poolData, params, context) {
+      const pumpPools = await checkPumpPools(poolData.baseTokenAddress, context.dexscreener);
+      if (!pumpPools.hasPumpFun && !pumpPools.hasPumpSwap) {
+        return reject('token is not on PumpFun/PumpSwap', { pumpPools });
+      }
+      return pass({ pumpPools });
+    }
+  },
+  
+  // DexScreener: token must have both a Raydium LaunchLab and a Raydium CPMM pair
+  raydiumGraduate: {
+    emoji: '🎓',
+    label: 'Graduate Check',
+    defaults: {},
+    describe: () => 'Raydium LaunchLab + Raydium CPMM verification',
+    usesDexScreener: true,
+    async run(poolData, params, context) {
+      const raydiumPools = await checkRaydiumPools(poolData.baseTokenAddress, context.dexscreener);
+      if (!raydiumPools.hasLaunchLab || !raydiumPools.hasCpmm) {
+        const missing = [!raydiumPools.hasLaunchLab && 'LaunchLab', !raydiumPools.hasCpmm && 'CPMM'].filter(Boolean);
+        return reject(`token has no Raydium ${missing.join(' or ')} pair`, { raydiumPools });
+      }
+      return pass({ raydiumPools });
+    }
+  },
+  
+  // On-chain: mint and freeze authority must be revoked. With a reject flag
+  // turned off the token passes and the signal shows the active authority.
+  // An RPC failure throws, so the token is retried instead of passed
+  // unchecked, unless both flags are off.
+  // Needs `context.connection` (a Solana RPC connection).
+  mintSafety: {
+    emoji: '🛡️',
+    label: 'Token Safety',
+    usesRpc: true,
+    defaults: { rejectMintAuthority: true, rejectFreezeAuthority: true },
+    describe: ({ rejectMintAuthority, rejectFreezeAuthority }) => [
+      `mint authority ${rejectMintAuthority ? 'must be revoked' : 'flagged'}`,
+      `freeze authority ${rejectFreezeAuthority ? 'must be revoked' : 'flagged'}`
+    ].join(', '),
+    async run(poolData, { rejectMintAuthority, rejectFreezeAuthority }, context) {
+      if (!context.connection) {
+        throw new Error('no Solana RPC connection configured');
+      }
+      
+      let tokenSafety;
+      try {
+        tokenSafety = await checkMintSafety(context.connection, poolData.baseTokenAddress);
+      } catch (error) {
+        if (rejectMintAuthority || rejectFreezeAuthority) {
+          throw new Error(`could not read mint ${poolData.baseTokenAddress}: ${error.message}`);
+        }
+        console.error(`⚠️  Could not read mint ${poolData.baseTokenAddress}:`, error.message);
+        return pass({ tokenSafety: { error: error.message } });
+      }
+      
+      console.log(`🛡️ Mint authority: ${tokenSafety.mintAuthority || 'revoked'}, freeze authority: ${tokenSafety.freezeAuthority || 'revoked'}`);
+      
+      if (rejectMintAuthority && tokenSafety.hasMintAuthority) {
+        return reject(`mint authority still active (${tokenSafety.mintAuthority})`, { tokenSafety });
+      }
+      if (rejectFreezeAuthority && tokenSafety.hasFreezeAuthority) {
+        return reject(`freeze authority still active (${tokenSafety.freezeAuthority})`, { tokenSafety });
+      }
+      return pass({ tokenSafety });
+    }
+  },
+  
+  // On-chain: share of supply held by the top 10 wallets (pool vaults and
+  // burn addresses excluded). Runs after the pair checks so their pool
+  // addresses can be excluded too. An RPC failure throws, so the token is
+  // retried instead of passed unchecked, unless the limit is 100%.
+  // Needs `context.connection`.
+  holderConcentration: {
+    emoji: '👥',
+    label: 'Holder Filter',
+    usesRpc: true,
+    defaults: { maxTop10HolderPercent: 30 },
+    describe: ({ maxTop10HolderPercent }) => `Top 10 holders ≤ ${maxTop10HolderPercent}% of supply`,
+    async run(poolData, { maxTop10HolderPercent }, context) {
+      if (!context.connection) {
+        throw new Error('no Solana RPC connection configured');
+      }
+      
+      let holderConcentration;
+      try {
+        holderConcentration = await analyzeHolderConcentration(context.connection, poolData.baseTokenAddress, {
+          excludeOwners: collectPairAddresses(poolData, context)
+        });
+      } catch (error) {
+        if (maxTop10HolderPercent < 100) {
+          throw new Error(`could not read holders of ${poolData.baseTokenAddress}: ${error.message}`);
+        }
+        console.error(`⚠️  Could not read holders of ${poolData.baseTokenAddress}:`, error.message);
+        return pass({ holderConcentration: { error: error.message } });
+      }
+      
+      console.log(`👥 Top 10 holders: ${holderConcentration.top10Percent.toFixed(2)}% of supply`);
+      
+      if (holderConcentration.top10Percent > maxTop10HolderPercent) {
+        return reject(`top 10 holders own ${holderConcentration.top10Percent.toFixed(2)}% (> ${maxTop10HolderPercent}%)`, { holderConcentration });
+      }
+      return pass({ holderConcentration });
+    }
+  },
+  
+  // On-chain: share of the pool's LP supply that is burned or locked.
+  // Position-based pools (DLMM, DAMM v2) have no LP mint: reported as n/a
+  // with a 0 minimum, rejected once one is set. Unless the minimum is 0 an
+  // RPC failure throws, so the token is retried instead of passed unchecked.
+  // Needs `context.connection`.
+  lpSafety: {
+    emoji: '🔥',
+    label: 'LP Filter',
+    usesRpc: true,
+    defaults: { minLpBurnedPercent: 0 },
+    describe: ({ minLpBurnedPercent }) => minLpBurnedPercent > 0
+      ? `LP burned/locked ≥ ${minLpBurnedPercent}%`
+      : 'LP burn/lock reported',
+    async run(poolData, { minLpBurnedPercent }, context) {
+      if (!context.connection) {
+        throw new Error('no Solana RPC connection configured');
+      }
+      
+      let lpSafety;
+      try {
+        lpSafety = await analyzeLpSafety(context.connection, poolData.poolAddress);
+      } catch (error) {
+        if (minLpBurnedPercent > 0) {
+          throw new Error(`could not read LP holders of ${poolData.poolAddress}: ${error.message}`);
+        }
+        console.error(`⚠️  Could not read LP holders of ${poolData.poolAddress}:`, error.message);
+        return pass({ lpSafety: { error: error.message } });
+      }
+      
+      if (!lpSafety.supported) {
+        console.log('🔥 LP check: position-based pool, no LP mint');
+        if (minLpBurnedPercent > 0) {
+          return reject(`position-based pool has no LP to burn or lock (minimum ${minLpBurnedPercent}%)`, { lpSafety });
+        }
+        return pass({ lpSafety });
+      }
+      
+      const protectedPercent = lpSafety.burnedPercent + lpSafety.lockedPercent;
+      console.log(`🔥 LP burned ${lpSafety.burnedPercent.toFixed(2)}%, locked ${lpSafety.lockedPercent.toFixed(2)}%`);
+      
+      if (protectedPercent < minLpBurnedPercent) {
+        return reject(`only ${protectedPercent.toFixed(2)}% of LP burned/locked (< ${minLpBurnedPercent}%)`, { lpSafety });
+      }
+      return pass({ lpSafety });
+    }
+  }
+};
+
+module.exports = {
+  STAGES,
+  pass,
+  reject
+};
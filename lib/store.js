@@ -0,0 +1,257 @@
+const redis = require('redis');
+
+// ==============================
+// REDIS CONFIGURATION
+// ==============================
+function createRedisClient({ host = 'localhost', port = 6379, database, label } = {}) {
+  const suffix = label ? ` (${label})` : '';
+  
+  const redisClient = redis.createClient({
+    socket: {
+      host,
+      port,
+      reconnectStrategy: (retries) => {
+        if (retries > 10) {
+          console.error(`❌ Redis max retry attempts reached${suffix}`);
+          return new Error('Max retry attempts reached');
+        }
+        return Math.min(retries * 100, 3000);
+      }
+    },
+    ...(database !== undefined ? { database } : {})
+  });
+  
+  // Redis connection events
+  redisClient.on('connect', () => {
+    console.log(`✅ Connected to Redis server${suffix}`);
+  });
+  
+  redisClient.on('error', (err) => {
+    console.error(`❌ Redis error${suffix}:`, err.message);
+  });
+  
+  redisClient.on('ready', () => {
+    console.log(`🚀 Redis client ready${suffix}`);
+  });
+  
+  redisClient.on('end', () => {
+    console.log(`📴 Redis connection closed${suffix}`);
+  });
+  
+  return redisClient;
+}
+
+// Convert all values to strings for Redis
+function stringifyForRedis(data) {
+  const stringifiedData = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value !== null && value !== undefined) {
+      stringifiedData[key] = String(value);
+    }
+  }
+  return stringifiedData;
+}
+
+// ==============================
+// PROCESSED ITEM STORE
+// ==============================
+// Deduplication store keyed by token or pool address. `keys` names the
+// processed set, the metadata hash prefix and the signal lock prefix.
+function createProcessedStore(redisClient, { keys, itemLabel = 'token', lockTtlSeconds = 600, metadataTtlSeconds = 30 * 24 * 60 * 60 }) {
+  const metadataKey = address => `${keys.METADATA}:${address}`;
+  const lockKey = address => `${keys.LOCKS}:${address}`;
+  
+  async function writeMetadata(address, data) {
+    await redisClient.hSet(metadataKey(address), stringifyForRedis(data));
+    
+    // Set expiration for metadata (30 days by default)
+    await redisClient.expire(metadataKey(address), metadataTtlSeconds);
+  }
+  
+  async function isProcessed(address) {
+    try {
+      if (!redisClient.isReady) {
+        console.log(`⚠️  Redis not ready, treating as unprocessed ${itemLabel}`);
+        return false;
+      }
+      
+      // redis v5 answers 1/0
+      const result = await redisClient.sIsMember(keys.PROCESSED, address);
+      return Boolean(result);
+      
+    } catch (error) {
+      console.error(`❌ Redis error checking ${itemLabel}:`, error.message);
+      return false; // Fallback to processing if Redis fails
+    }
+  }
+  
+  // Atomic operation to check and mark an item in one step to prevent race conditions.
+  // Returns true when the item must be skipped (already processed or locked).
+  async function checkAndMarkAsProcessed(address, metadata = {}) {
+    try {
+      if (!redisClient.isReady) {
+        console.log('⚠️  Redis not ready, treating as unprocessed');
+        return false; // Return false = not processed yet (safe to proceed)
+      }
+      
+      // Use SETNX (set if not exists) for atomic check-and-set operation
+      const lockValue = `${Date.now()}-${Math.random()}`;
+      
+      const lockAcquired = await redisClient.set(lockKey(address), lockValue, {
+        NX: true, // Only set if doesn't exist
+        EX: lockTtlSeconds
+      });
+      
+      if (!lockAcquired) {
+        console.log(`🔒 ${itemLabel} ${address} is locked by another process - skipping`);
+        return true; // Return true = already being processed (skip)
+      }
+      
+      // Check if item was already processed (double-check after acquiring lock)
+      const alreadyProcessed = await redisClient.sIsMember(keys.PROCESSED, address);
+      if (alreadyProcessed) {
+        console.log(`✅ ${itemLabel} ${address} already in processed set - releasing lock`);
+        await redisClient.del(lockKey(address));
+        return true; // Return true = already processed (skip)
+      }
+      
+      // Not processed and we hold the lock - mark it as processed immediately
+      await redisClient.sAdd(keys.PROCESSED, address);
+      console.log(`✅ Atomically marked ${itemLabel} ${address} as processed`);
+      
+      await writeMetadata(address, {
+        address,
+        processedAt: new Date().toISOString(),
+        lockAcquiredAt: new Date().toISOString(),
+        lockValue,
+        ...metadata
+      });
+      
+      // Keep the lock until the signal is sent - callers release it with releaseLock()
+      return false; // Return false = not processed before (safe to proceed with signal)
+      
+    } catch (error) {
+      console.error('❌ Redis error in atomic check-and-mark:', error.message);
+      return false; // Fallback to processing if Redis fails
+    }
+  }
+  
+  async function releaseLock(address) {
+    try {
+      if (!redisClient.isReady) {
+        return;
+      }
+      
+      await redisClient.del(lockKey(address));
+      console.log(`🔓 Released lock for ${itemLabel} ${address}`);
+      
+    } catch (error) {
+      console.error('❌ Redis error releasing lock:', error.message);
+    }
+  }
+  
+  async function markAsProcessed(address, metadata = {}) {
+    try {
+      if (!redisClient.isReady) {
+        console.log(`⚠️  Redis not ready, skipping ${itemLabel} marking`);
+        return false;
+      }
+      
+      await redisClient.sAdd(keys.PROCESSED, address);
+      await writeMetadata(address, {
+        address,
+        processedAt: new Date().toISOString(),
+        ...metadata
+      });
+      
+      console.log(`✅ Stored ${itemLabel} ${address} as processed`);
+      return true;
+      
+    } catch (error) {
+      console.error(`❌ Redis error marking ${itemLabel}:`, error.message);
+      return false;
+    }
+  }
+  
+  // Undo checkAndMarkAsProcessed when the item could not be checked or the
+  // signal could not be sent; `metadata` records which
+  async function unmarkProcessed(address, metadata = { status: 'send_failed' }) {
+    try {
+      if (!redisClient.isReady) {
+        return false;
+      }
+      
+      await redisClient.sRem(keys.PROCESSED, address);
+      await writeMetadata(address, metadata);
+      console.log(`↩️  Unmarked ${itemLabel} ${address}, it will be retried`);
+      return true;
+      
+    } catch (error) {
+      console.error(`❌ Redis error unmarking ${itemLabel}:`, error.message);
+      return false;
+    }
+  }
+  
+  // Merge extra fields (outcome, rejection reason...) into the metadata hash
+  async function recordMetadata(address, fields) {
+    try {
+      if (!redisClient.isReady) {
+        return false;
+      }
+      
+      await writeMetadata(address, fields);
+      return true;
+      
+    } catch (error) {
+      console.error(`❌ Redis error recording ${itemLabel} metadata:`, error.message);
+      return false;
+    }
+  }
+  
+  async function getProcessedCount() {
+    try {
+      if (!redisClient.isReady) {
+        return 0;
+      }
+      
+      const count = await redisClient.sCard(keys.PROCESSED);
+      return count || 0;
+      
+    } catch (error) {
+      console.error('❌ Redis error getting count:', error.message);
+      return 0;
+    }
+  }
+  
+  // Clean up any orphaned locks left behind by a previous run
+  async function cleanupLocks() {
+    try {
+      const lockKeys = await redisClient.keys(`${keys.LOCKS}:*`);
+      if (lockKeys.length > 0) {
+        console.log(`🧹 Found ${lockKeys.length} existing locks, cleaning up...`);
+        await redisClient.del(lockKeys);
+        console.log(`✅ Cleaned up ${lockKeys.length} orphaned locks`);
+      }
+    } catch (cleanupError) {
+      console.error('⚠️  Error cleaning up locks:', cleanupError.message);
+    }
+  }
+  
+  return {
+    keys,
+    isProcessed,
+    checkAndMarkAsProcessed,
+    releaseLock,
+    markAsProcessed,
+    unmarkProcessed,
+    recordMetadata,
+    getProcessedCount,
+    cleanupLocks
+  };
+}
+
+module.exports = {
+  createRedisClient,
+  stringifyForRedis,
+  createProcessedStore
+};
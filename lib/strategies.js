@@ -0,0 +1,78 @@
+// ==============================
+// STRATEGY DEFINITIONS
+// ==============================
+// A strategy picks which DEX pools to look at, what to deduplicate on
+// (token or pool address) and the ordered filter stages a pool must pass.
+// `links` are the link buttons under its signals (see lib/signalButtons.js).
+const STRATEGIES = {
+  meteoraPumpGraduate: {
+    title: 'Meteora pump graduate',
+    dexIds: ['meteora', 'meteora-damm-v2'],
+    dedupBy: 'token',
+    links: ['dexscreener', 'meteora', 'geckoterminal'],
+    stages: [
+      { stage: 'maxPoolAge', params: { maxAgeHours: 6 } },
+      'positivePriceChange',
+      { stage: 'maxMarketCap', params: { maxMarketCap: 15000000 } },
+      { stage: 'minLiquidity', params: { minLiquidity: 10000 } },
+      { stage: 'maxTokenPairAge', params: { maxPairAgeHours: 24 } },
+      'pumpGraduate',
+      'mintSafety',
+      { stage: 'holderConcentration', params: { maxTop10HolderPercent: 30 } },
+      { stage: 'lpSafety', params: { minLpBurnedPercent: 0 } }
+    ]
+  },
+  
+  meteoraRaydiumGraduate: {
+    title: 'Meteora Raydium graduate',
+    dexIds: ['meteora-damm-v2'],
+    dedupBy: 'token',
+    links: ['dexscreener', 'meteora', 'raydium', 'geckoterminal'],
+    stages: [
+      { stage: 'maxPoolAge', params: { maxAgeHours: 6 } },
+      { stage: 'positivePriceChange', params: { requirePositivePriceChange: false } },
+      { stage: 'maxMarketCap', params: { maxMarketCap: 15000000 } },
+      { stage: 'minLiquidity', params: { minLiquidity: 50000 } },
+      { stage: 'maxTokenPairAge', params: { maxPairAgeHours: 24 } },
+      'raydiumGraduate',
+      'mintSafety',
+      { stage: 'holderConcentration', params: { maxTop10HolderPercent: 30 } }
+    ]
+  },
+  
+  pumpswapFresh: {
+    title: 'PumpSwap fresh token',
+    dexIds: ['pumpswap'],
+    dedupBy: 'token',
+    links: ['dexscreener', 'pumpfun', 'geckoterminal'],
+    stages: [
+      { stage: 'maxPoolAge', params: { maxAgeHours: 6 } },
+      { stage: 'minLiquidity', params: { minLiquidity: 50000 } }
+    ]
+  },
+  
+  meteoraNewPools: {
+    title: 'Meteora new pool',
+    dexIds: ['meteora'],
+    dedupBy: 'pool',
+    links: ['dexscreener', 'meteora', 'geckoterminal'],
+    stages: [
+      { stage: 'maxPoolAge', params: { maxAgeHours: 6 } },
+      'positivePriceChange',
+      { stage: 'lpSafety', params: { minLpBurnedPercent: 0 } }
+    ]
+  }
+};
+
+function getStrategy(name) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown strategy "${name}"`);
+  }
+  return { name, ...strategy };
+}
+
+module.exports = {
+  STRATEGIES,
+  getStrategy
+};
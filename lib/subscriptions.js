@@ -0,0 +1,260 @@
+const { FILTER_SCHEMA, parseEnvValue, checkValue } = require('./config');
+const { getStrategy } = require('./strategies');
+const { sendWithTimeout } = require('./telegram');
+
+// ==============================
+// SUBSCRIPTION STORE
+// ==============================
+// Users DM the bot to follow bots (by bot id, e.g. pump-graduates) and keep a
+// personal filter profile. Keys live next to the bot's dedup keys:
+//   <prefix>:subscribers:<botId>  set of chat ids
+//   <prefix>:profile:<chatId>     hash of profile filters
+//   <prefix>:muted:<chatId>       set of token addresses muted from a signal
+const PROFILE_KEYS = ['minLiquidity', 'maxMarketCap', 'maxAgeHours'];
+
+function createSubscriptionStore(redisClient, { keyPrefix }) {
+  const subscribersKey = botId => `${keyPrefix}:subscribers:${botId}`;
+  const profileKey = chatId => `${keyPrefix}:profile:${chatId}`;
+  const mutedKey = chatId => `${keyPrefix}:muted:${chatId}`;
+  
+  async function subscribe(botId, chatId) {
+    return (await redisClient.sAdd(subscribersKey(botId), String(chatId))) === 1;
+  }
+  
+  async function unsubscribe(botId, chatId) {
+    return (await redisClient.sRem(subscribersKey(botId), String(chatId))) === 1;
+  }
+  
+  async function isSubscribed(botId, chatId) {
+    return Boolean(await redisClient.sIsMember(subscribersKey(botId), String(chatId)));
+  }
+  
+  async function getSubscribers(botId) {
+    return redisClient.sMembers(subscribersKey(botId));
+  }
+  
+  // Profile values come back as numbers; unset keys are left out
+  async function getProfile(chatId) {
+    const raw = await redisClient.hGetAll(profileKey(chatId));
+    const profile = {};
+    for (const key of PROFILE_KEYS) {
+      if (raw[key] !== undefined) profile[key] = Number(raw[key]);
+    }
+    return profile;
+  }
+  
+  async function setProfileValue(chatId, key, value) {
+    await redisClient.hSet(profileKey(chatId), key, String(value));
+  }
+  
+  async function clearProfile(chatId, key) {
+    if (key) {
+      await redisClient.hDel(profileKey(chatId), key);
+    } else {
+      await redisClient.del(profileKey(chatId));
+    }
+  }
+  
+  async function muteToken(chatId, tokenAddress) {
+    return (await redisClient.sAdd(mutedKey(chatId), tokenAddress)) === 1;
+  }
+  
+  async function unmuteToken(chatId, tokenAddress) {
+    return (await redisClient.sRem(mutedKey(chatId), tokenAddress)) === 1;
+  }
+  
+  async function isMuted(chatId, tokenAddress) {
+    return Boolean(await redisClient.sIsMember(mutedKey(chatId), tokenAddress));
+  }
+  
+  return {
+    subscribe,
+    unsubscribe,
+    isSubscribed,
+    getSubscribers,
+    getProfile,
+    setProfileValue,
+    clearProfile,
+    muteToken,
+    unmuteToken,
+    isMuted
+  };
+}
+
+// ==============================
+// PROFILE MATCHING
+// ==============================
+// A profile can only narrow what the bot already signals
+function matchesProfile(poolData, profile) {
+  const { pricing, ageData } = poolData;
+  if (profile.minLiquidity !== undefined && pricing.reserveUsd < profile.minLiquidity) return false;
+  if (profile.maxMarketCap !== undefined && pricing.fdvUsd > profile.maxMarketCap) return false;
+  if (profile.maxAgeHours !== undefined && ageData.ageInHours > profile.maxAgeHours) return false;
+  return true;
+}
+
+function formatProfile(profile) {
+  const lines = [
+    `💧 Min liquidity: ${profile.minLiquidity !== undefined ? `$${profile.minLiquidity.toLocaleString()}` : 'bot default'}`,
+    `💰 Max market cap: ${profile.maxMarketCap !== undefined ? `$${profile.maxMarketCap.toLocaleString()}` : 'bot default'}`,
+    `⏰ Max age: ${profile.maxAgeHours !== undefined ? `${profile.maxAgeHours}h` : 'bot default'}`
+  ];
+  return lines.join('\n');
+}
+
+// ==============================
+// SIGNAL FAN-OUT
+// ==============================
+// Queues a signal the bot just posted for every subscriber of `botId` whose
+// profile it matches and who has not muted the token; the outbound queue
+// paces the DMs. Returns the number of users it was queued for.
+async function deliverToSubscribers({ queue, store, botId, poolData, message, options = {} }) {
+  let subscribers;
+  try {
+    subscribers = await store.getSubscribers(botId);
+  } catch (error) {
+    console.error('❌ Could not load subscribers:', error.message);
+    return 0;
+  }
+  
+  let queued = 0;
+  for (const chatId of subscribers) {
+    try {
+      const profile = await store.getProfile(chatId);
+      if (!matchesProfile(poolData, profile)) continue;
+      if (await store.isMuted(chatId, poolData.baseToken.address)) continue;
+      
+      await queue.enqueue(chatId, message, options, { subscriberOf: botId });
+      queued++;
+    } catch (error) {
+      console.error(`❌ Failed to queue signal for ${chatId}:`, error.message);
+    }
+  }
+  
+  if (queued > 0) {
+    console.log(`📬 Queued signal for ${queued}/${subscribers.length} subscriber(s)`);
+  }
+  return queued;
+}
+
+// Dead-letter hook for the outbound queue: users who blocked the bot (403)
+// are unsubscribed instead of being retried on every signal
+function unsubscribeBlockedUsers(store) {
+  return async (job, error) => {
+    const status = error.response && error.response.statusCode;
+    if (!job.meta || !job.meta.subscriberOf || status !== 403) return;
+    
+    await store.unsubscribe(job.meta.subscriberOf, job.chatId);
+    console.log(`👋 ${job.chatId} blocked the bot, unsubscribed from ${job.meta.subscriberOf}`);
+  };
+}
+
+// ==============================
+// SUBSCRIPTION COMMANDS
+// ==============================
+// Private chats only: /start, /subscribe [bot], /unsubscribe <bot|all>,
+// /subscriptions and /profile [<filter> <value|off> | reset]. `linkedBots`
+// are the bots that share this Telegram token and Redis namespace.
+function registerSubscriptionCommands(bot, { store, linkedBots }) {
+  const bots = linkedBots.map(({ id, strategy }) => ({ id, title: getStrategy(strategy).title }));
+  const botList = () => bots.map(({ id, title }) => `• ${id} - ${title}`).join('\n');
+  
+  const command = (name, handler) => {
+    bot.onText(new RegExp(`^/${name}(?:@\\w+)?(?:\\s+([\\s\\S]*))?$`), async (msg, match) => {
+      const reply = text => sendWithTimeout(bot, msg.chat.id, text)
+        .catch(error => console.error(`❌ Failed to answer /${name}:`, error.message));
+      
+      if (msg.chat.type !== 'private') {
+        await reply('📩 Send me this in a private chat to manage your subscriptions.');
+        return;
+      }
+      
+      try {
+        await reply(await handler(msg.chat.id, (match[1] || '').trim()));
+      } catch (error) {
+        console.error(`❌ /${name} failed:`, error.message);
+        await reply('❌ Subscriptions are unavailable right now, please try again later.');
+      }
+    });
+  };
+  
+  const findBot = id => bots.find(candidate => candidate.id === id);
+  
+  command('start', () =>
+    '👋 I post new Solana token signals.\n\n' +
+    `Subscribe to get them here:\n${botList()}\n\n` +
+    '/subscribe <bot> - follow a bot\n' +
+    '/unsubscribe <bot|all> - stop following\n' +
+    '/subscriptions - what you follow and your filters\n' +
+    '/profile <minLiquidity|maxMarketCap|maxAgeHours> <value|off> - personal filters'
+  );
+  
+  command('subscribe', async (chatId, args) => {
+    const target = findBot(args);
+    if (!target) {
+      return `Which one? Use /subscribe <bot>:\n${botList()}`;
+    }
+    const added = await store.subscribe(target.id, chatId);
+    return added ? `✅ Subscribed to ${target.title}.` : `ℹ️ You already follow ${target.title}.`;
+  });
+  
+  command('unsubscribe', async (chatId, args) => {
+    const targets = args === 'all' ? bots : [findBot(args)].filter(Boolean);
+    if (targets.length === 0) {
+      return `Use /unsubscribe <bot|all>:\n${botList()}`;
+    }
+    for (const target of targets) {
+      await store.unsubscribe(target.id, chatId);
+    }
+    return `✅ Unsubscribed from ${targets.map(target => target.title).join(', ')}.`;
+  });
+  
+  command('subscriptions', async (chatId) => {
+    const following = [];
+    for (const target of bots) {
+      if (await store.isSubscribed(target.id, chatId)) following.push(`• ${target.title}`);
+    }
+    const profile = await store.getProfile(chatId);
+    return `📋 Following:\n${following.length > 0 ? following.join('\n') : '• nothing yet'}\n\n` +
+      `🎚️ Your filters (on top of the bot's own):\n${formatProfile(profile)}`;
+  });
+  
+  command('profile', async (chatId, args) => {
+    const [key, rawValue] = args.split(/\s+/);
+    if (!key) {
+      return `🎚️ Your filters:\n${formatProfile(await store.getProfile(chatId))}\n\n` +
+        'Change with /profile <minLiquidity|maxMarketCap|maxAgeHours> <value|off>, or /profile reset';
+    }
+    if (key === 'reset') {
+      await store.clearProfile(chatId);
+      return '✅ Filters reset to the bot defaults.';
+    }
+    if (!PROFILE_KEYS.includes(key) || rawValue === undefined) {
+      return `Use /profile <${PROFILE_KEYS.join('|')}> <value|off>`;
+    }
+    if (rawValue === 'off') {
+      await store.clearProfile(chatId, key);
+      return `✅ ${key} now follows the bot default.`;
+    }
+    
+    const value = parseEnvValue(rawValue, FILTER_SCHEMA[key].type);
+    const errors = [];
+    checkValue(errors, key, value, FILTER_SCHEMA[key]);
+    if (errors.length > 0) {
+      return `❌ ${errors.join('\n')}`;
+    }
+    await store.setProfileValue(chatId, key, value);
+    return `✅ ${key} set to ${value}.\n\n${formatProfile(await store.getProfile(chatId))}`;
+  });
+  
+  console.log(`📬 Subscription commands enabled for: ${bots.map(({ id }) => id).join(', ')}`);
+}
+
+module.exports = {
+  PROFILE_KEYS,
+  createSubscriptionStore,
+  matchesProfile,
+  deliverToSubscribers,
+  unsubscribeBlockedUsers,
+  registerSubscriptionCommands
+};
@@ -0,0 +1,31 @@
+// ==============================
+// TELEGRAM HELPERS
+// ==============================
+async function sendWithTimeout(bot, chatId, message, options = {}, timeoutMs = 10000) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Message timeout')), timeoutMs);
+  });
+  
+  try {
+    return await Promise.race([bot.sendMessage(chatId, message, options), timeoutPromise]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function logChannelError(error) {
+  console.error('❌ Failed to send message to channel:', error);
+  if (error.message.includes('timeout')) {
+    console.error('Connection timed out. Check your internet connection and bot token.');
+  } else if (error.message.includes('chat not found')) {
+    console.error('Channel not found. Make sure the channel username is correct.');
+  } else if (error.message.includes('Forbidden')) {
+    console.error('Bot not authorized. Make sure the bot is added to the channel as an admin.');
+  }
+}
+
+module.exports = {
+  sendWithTimeout,
+  logChannelError
+};
@@ -0,0 +1,259 @@
+const { sleep } = require('./http');
+const { getLimiter, getBackoffDelay } = require('./rateLimit');
+const { sendWithTimeout } = require('./telegram');
+
+// ==============================
+// OUTBOUND TELEGRAM QUEUE
+// ==============================
+// Signals are written to Redis first and sent by a worker loop, so a
+// throttled or failed send is retried later instead of lost:
+//   <prefix>:<bot>:telegram_queue  sorted set of job ids by next attempt (ms)
+//   <prefix>:<bot>:telegram_jobs   hash of job id -> job JSON
+//   <prefix>:<bot>:telegram_dead   list of jobs that gave up, newest first
+//   <prefix>:telegram_pace:<chat>  per-chat pacing slot (PX expiry)
+// Each bot has its own queue, so bots sharing a key prefix never send (or
+// recover) each other's jobs. Pacing is shared per prefix, so processes
+// writing to the same chat together stay under its limit; the overall 30
+// messages/s cap is the "telegram" rate limit budget.
+const TELEGRAM_QUEUE_DEFAULTS = {
+  chatInterval: 3000, // Groups and channels: about 20 messages a minute
+  privateChatInterval: 1000, // About one message a second per user
+  maxAttempts: 5,
+  baseDelay: 2000,
+  maxDelay: 5 * 60 * 1000,
+  pollInterval: 500,
+  batchSize: 20,
+  sendTimeout: 10000,
+  maxDeadLetters: 1000
+};
+
+// Positive numeric ids are users; @usernames and negative ids are chats
+const isPrivateChat = chatId => /^\d+$/.test(String(chatId));
+
+// Telegram's answer for a failed send: HTTP status plus retry_after on 429
+function getTelegramError(error) {
+  const response = error.response || {};
+  const body = response.body || {};
+  return {
+    status: response.statusCode || body.error_code,
+    retryAfter: body.parameters && body.parameters.retry_after
+  };
+}
+
+// `onDeadLetter(job, error)` is called for every job that gives up, e.g. to
+// unsubscribe users who blocked the bot; `onSent(job, message)` for every
+// message delivered, with Telegram's Message (for its message_id)
+function createTelegramQueue({ bot, redisClient, keyPrefix, botId, onDeadLetter, onSent, ...options }) {
+  const settings = { ...TELEGRAM_QUEUE_DEFAULTS, ...options };
+  const keys = {
+    queue: `${keyPrefix}:${botId}:telegram_queue`,
+    jobs: `${keyPrefix}:${botId}:telegram_jobs`,
+    dead: `${keyPrefix}:${botId}:telegram_dead`
+  };
+  const paceKey = chatId => `${keyPrefix}:telegram_pace:${chatId}`;
+  const stats = { sent: 0, retried: 0, throttled: 0, deadLettered: 0 };
+  let running = false;
+  
+  // Resolves to the job id once the message is safely in Redis. Throws when
+  // Redis is unavailable, so callers know nothing was queued.
+  async function enqueue(chatId, text, sendOptions = {}, meta) {
+    if (!redisClient.isReady) {
+      throw new Error('Redis not ready, message not queued');
+    }
+    
+    const job = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+      chatId: String(chatId),
+      text: String(text),
+      options: sendOptions,
+      meta,
+      attempts: 0,
+      createdAt: new Date().toISOString()
+    };
+    await redisClient.hSet(keys.jobs, job.id, JSON.stringify(job));
+    await redisClient.zAdd(keys.queue, { score: Date.now(), value: job.id });
+    return job.id;
+  }
+  
+  async function reschedule(job, delay) {
+    await redisClient.hSet(keys.jobs, job.id, JSON.stringify(job));
+    await redisClient.zAdd(keys.queue, { score: Date.now() + delay, value: job.id });
+  }
+  
+  async function deadLetter(job, error) {
+    const entry = { ...job, error: error.message, deadAt: new Date().toISOString() };
+    await redisClient.lPush(keys.dead, JSON.stringify(entry));
+    await redisClient.lTrim(keys.dead, 0, settings.maxDeadLetters - 1);
+    await redisClient.hDel(keys.jobs, job.id);
+    stats.deadLettered++;
+    console.error(`☠️  Gave up on message to ${job.chatId} after ${job.attempts} attempt(s): ${error.message}`);
+    
+    if (onDeadLetter) {
+      await Promise.resolve(onDeadLetter(entry, error))
+        .catch(hookError => console.error('❌ Dead letter hook failed:', hookError.message));
+    }
+  }
+  
+  async function handleFailure(job, error) {
+    const { status, retryAfter } = getTelegramError(error);
+    
+    // Throttled: Telegram says when this chat may be written to again. Not
+    // counted as an attempt, the message itself is fine.
+    if (status === 429 && retryAfter) {
+      const delay = retryAfter * 1000;
+      await redisClient.set(paceKey(job.chatId), '1', { PX: delay });
+      stats.throttled++;
+      console.log(`🐢 Telegram throttled ${job.chatId}, retrying in ${retryAfter}s`);
+      await reschedule(job, delay);
+      return;
+    }
+    
+    // Other 4xx (bad markup, chat not found, bot blocked) will not get better
+    job.attempts++;
+    if ((status >= 400 && status < 500 && status !== 429) || job.attempts >= settings.maxAttempts) {
+      await deadLetter(job, error);
+      return;
+    }
+    
+    // Timeouts and 5xx. A timed-out message may still have arrived, so a
+    // retry can occasionally deliver it twice.
+    const delay = getBackoffDelay(job.attempts - 1, settings);
+    job.lastError = error.message;
+    stats.retried++;
+    console.log(`🔁 Message to ${job.chatId} failed (${status || error.message}), retry ${job.attempts}/${settings.maxAttempts - 1} in ${(delay / 1000).toFixed(1)}s`);
+    await reschedule(job, delay);
+  }
+  
+  async function processJob(id) {
+    const raw = await redisClient.hGet(keys.jobs, id);
+    if (!raw) {
+      await redisClient.zRem(keys.queue, id);
+      return;
+    }
+    const job = JSON.parse(raw);
+    
+    // Take the chat's pacing slot, or come back when it frees up
+    const interval = isPrivateChat(job.chatId) ? settings.privateChatInterval : settings.chatInterval;
+    const slot = await redisClient.set(paceKey(job.chatId), '1', { NX: true, PX: interval });
+    if (!slot) {
+      const wait = await redisClient.pTTL(paceKey(job.chatId));
+      await redisClient.zAdd(keys.queue, { score: Date.now() + Math.max(wait, 50), value: id });
+      return;
+    }
+    
+    // Another worker on the same queue may have claimed it meanwhile
+    if ((await redisClient.zRem(keys.queue, id)) !== 1) {
+      return;
+    }
+    
+    await getLimiter('telegram').acquire();
+    let message;
+    try {
+      message = await sendWithTimeout(bot, job.chatId, job.text, job.options, settings.sendTimeout);
+      await redisClient.hDel(keys.jobs, id);
+      stats.sent++;
+    } catch (error) {
+      await handleFailure(job, error);
+      return;
+    }
+    
+    if (onSent) {
+      await Promise.resolve(onSent(job, message))
+        .catch(hookError => console.error('❌ Sent message hook failed:', hookError.message));
+    }
+  }
+  
+  async function processDue() {
+    const ids = await redisClient.zRangeByScore(keys.queue, 0, Date.now(), {
+      LIMIT: { offset: 0, count: settings.batchSize }
+    });
+    for (const id of ids) {
+      if (!running) break;
+      await processJob(id);
+    }
+  }
+  
+  // A worker that stopped between claiming and finishing a job leaves it in
+  // the jobs hash only; put those back on the queue
+  async function requeueOrphans() {
+    let requeued = 0;
+    for (const id of await redisClient.hKeys(keys.jobs)) {
+      if ((await redisClient.zScore(keys.queue, id)) === null) {
+        await redisClient.zAdd(keys.queue, { score: Date.now(), value: id });
+        requeued++;
+      }
+    }
+    if (requeued > 0) {
+      console.log(`📮 Requeued ${requeued} unfinished Telegram message(s)`);
+    }
+  }
+  
+  async function run() {
+    let recovered = false;
+    while (running) {
+      try {
+        if (redisClient.isReady) {
+          if (!recovered) {
+            await requeueOrphans();
+            recovered = true;
+          }
+          await processDue();
+        }
+      } catch (error) {
+        console.error('❌ Telegram queue error:', error.message);
+      }
+      await sleep(settings.pollInterval);
+    }
+  }
+  
+  async function getStats() {
+    try {
+      if (!redisClient.isReady) {
+        return { ...stats, queued: null, dead: null };
+      }
+      const [queued, dead] = await Promise.all([redisClient.zCard(keys.queue), redisClient.lLen(keys.dead)]);
+      return { ...stats, queued, dead };
+    } catch (error) {
+      return { ...stats, queued: null, dead: null };
+    }
+  }
+  
+  // Puts up to `count` dead letters back on the queue, oldest first
+  async function retryDeadLetters(count = settings.maxDeadLetters) {
+    let retried = 0;
+    while (retried < count) {
+      const raw = await redisClient.rPop(keys.dead);
+      if (!raw) break;
+      const { error, deadAt, ...job } = JSON.parse(raw);
+      await reschedule({ ...job, attempts: 0 }, 0);
+      retried++;
+    }
+    return retried;
+  }
+  
+  return {
+    enqueue,
+    start() {
+      if (running) return;
+      running = true;
+      run();
+    },
+    stop() {
+      running = false;
+    },
+    getStats,
+    retryDeadLetters
+  };
+}
+
+// One /stats line
+function formatQueueStats({ queued, dead, sent, retried, throttled, deadLettered }) {
+  return `📮 Telegram queue: ${queued === null ? '?' : queued} waiting, ${sent} sent, ${retried} retried, ` +
+    `${throttled} throttled, ${deadLettered} dead-lettered (${dead === null ? '?' : dead} in dead-letter list)`;
+}
+
+module.exports = {
+  TELEGRAM_QUEUE_DEFAULTS,
+  createTelegramQueue,
+  formatQueueStats
+};
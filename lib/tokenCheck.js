@@ -0,0 +1,151 @@
+const { PublicKey } = require('@solana/web3.js');
+const { extractPoolData } = require('./pools');
+const { fetchTokenPools, filterPoolsByDex, getPoolCreatedAt } = require('./geckoterminal');
+const { getDedupAddress } = require('./processor');
+const { sendWithTimeout } = require('./telegram');
+
+// ==============================
+// ON-DEMAND TOKEN CHECK
+// ==============================
+// Runs a strategy's whole pipeline against one token and reports every
+// stage's verdict. Read-only: the processed set, locks and metadata are
+// never written, so a checked token can still be signaled later.
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+function isMintAddress(text) {
+  if (!SOLANA_ADDRESS.test(text)) return false;
+  try {
+    new PublicKey(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The strategy's own kind of pool if the token has one (newest first, as the
+// monitor would meet it), otherwise the token's top pool
+function pickPool(pools, dexIds) {
+  const matching = filterPoolsByDex(pools, dexIds);
+  if (matching.length === 0) {
+    return { pool: pools[0] || null, matchesStrategy: false };
+  }
+  const newest = matching.reduce((best, pool) => (getPoolCreatedAt(pool) > getPoolCreatedAt(best) ? pool : best));
+  return { pool: newest, matchesStrategy: true };
+}
+
+async function checkToken(mint, { strategy, pipeline, store, context = {} }) {
+  const pools = await fetchTokenPools(mint);
+  const { pool, matchesStrategy } = pickPool(pools, strategy.dexIds);
+  if (!pool) {
+    return { mint, found: false };
+  }
+  
+  const poolData = extractPoolData(pool);
+  if (!poolData) {
+    throw new Error(`could not parse GeckoTerminal data for pool ${pool.id}`);
+  }
+  
+  const alreadyProcessed = store ? await store.isProcessed(getDedupAddress(strategy, poolData)) : false;
+  const result = await pipeline.run(poolData, { ...context, strategy: strategy.name }, { stopOnReject: false });
+  
+  return { mint, found: true, poolCount: pools.length, matchesStrategy, poolData, alreadyProcessed, result };
+}
+
+function formatCheckReport(report, { strategy, pipeline }) {
+  if (!report.found) {
+    return `🔎 ${report.mint}\n\n❓ GeckoTerminal has no pools for this token.`;
+  }
+  
+  const { poolData, result } = report;
+  const { baseToken, pricing, ageData } = poolData;
+  const stagesByName = Object.fromEntries(pipeline.stages.map(stage => [stage.name, stage]));
+  
+  const lines = [
+    `🔎 ${baseToken.symbol}`,
+    `Mint: ${report.mint}`,
+    `Pool: ${poolData.poolName} on ${poolData.dexId} (${report.poolCount} pool${report.poolCount === 1 ? '' : 's'} found)`,
+    `Pool address: ${poolData.poolAddress}`,
+    `Age: ${ageData.ageString} | Liquidity: $${pricing.reserveUsd.toLocaleString()} | FDV: $${pricing.fdvUsd.toLocaleString()} | 24h: ${pricing.priceChange24h.toFixed(2)}%`
+  ];
+  if (!report.matchesStrategy) {
+    lines.push(`⚠️ No ${strategy.dexIds.join('/')} pool yet, checked the top pool instead`);
+  }
+  if (poolData.baseTokenAddress !== report.mint) {
+    lines.push(`⚠️ The mint is the quote token of this pool; stages ran on ${poolData.baseTokenAddress}`);
+  }
+  
+  lines.push('', `🧩 ${strategy.title}:`);
+  for (const { stage: name, passed, reason } of result.results) {
+    const stage = stagesByName[name];
+    lines.push(`${passed ? '✅' : '❌'} ${stage.emoji} ${stage.label}: ${passed ? stage.describe() : reason}`);
+  }
+  
+  lines.push('');
+  lines.push(result.passed
+    ? '🎯 Verdict: passes every filter'
+    : `🚫 Verdict: rejected by ${stagesByName[result.failedStage].label} (${result.results.filter(entry => !entry.passed).length} failed)`);
+  lines.push(report.alreadyProcessed ? '💾 Already processed by this bot' : '💾 Not processed yet (this check does not mark it)');
+  
+  return lines.join('\n');
+}
+
+// /check <mint>, plus a bare mint address sent on its own. Admins only unless
+// `publicCheck` is set in the bot config; bare addresses from anyone else are
+// ignored so pasting in a group does not trigger replies.
+function registerCheckCommand(bot, { botConfig, strategy, pipeline, store, context = {} }) {
+  const allowed = msg => botConfig.publicCheck || (msg.from && (botConfig.admins || []).includes(msg.from.id));
+  
+  const runCheck = async (msg, mint) => {
+    if (!isMintAddress(mint)) {
+      await sendWithTimeout(bot, msg.chat.id, `❌ ${mint} is not a Solana address.`);
+      return;
+    }
+    
+    console.log(`🔎 Checking ${mint} for ${msg.from ? msg.from.id : 'unknown user'}`);
+    let text;
+    try {
+      const report = await checkToken(mint, { strategy, pipeline, store, context });
+      text = formatCheckReport(report, { strategy, pipeline });
+    } catch (error) {
+      text = `❌ Check failed for ${mint}: ${error.message}`;
+    }
+    await sendWithTimeout(bot, msg.chat.id, text, { disable_web_page_preview: true }, 30000);
+  };
+  
+  bot.onText(/^\/check(?:@\w+)?(?:\s+(\S+))?\s*$/, async (msg, match) => {
+    try {
+      if (!allowed(msg)) {
+        await sendWithTimeout(bot, msg.chat.id, '⛔ This command is restricted to bot admins.');
+        return;
+      }
+      if (!match[1]) {
+        await sendWithTimeout(bot, msg.chat.id, 'Usage: /check <mint address>');
+        return;
+      }
+      await runCheck(msg, match[1]);
+    } catch (error) {
+      console.error('❌ Failed to answer /check:', error.message);
+    }
+  });
+  
+  bot.on('message', async (msg) => {
+    const text = (msg.text || '').trim();
+    if (text.startsWith('/') || !SOLANA_ADDRESS.test(text) || !allowed(msg)) {
+      return;
+    }
+    try {
+      await runCheck(msg, text);
+    } catch (error) {
+      console.error('❌ Failed to answer token check:', error.message);
+    }
+  });
+  
+  console.log(`🔎 Token checks enabled (${botConfig.publicCheck ? 'everyone' : 'admins only'})`);
+}
+
+module.exports = {
+  isMintAddress,
+  checkToken,
+  formatCheckReport,
+  registerCheckCommand
+};
@@ -0,0 +1,63 @@
+require('dotenv').config();
+const {
+  loadConfig,
+  ConfigError,
+  createRedisClient,
+  compareShadowRun,
+  formatShadowComparison
+} = require('./lib');
+
+// ==============================
+// SHADOW COMPARISON COMMAND
+// ==============================
+// Compares the signals a bot's live and shadow runs sent over the last days,
+// from their performance records in Redis:
+//
+//   npm run shadow:compare -- pump-graduates [--days 7]
+const USAGE = 'Usage: node shadow-compare.js <bot id> [--days <n>]';
+
+async function main() {
+  const args = process.argv.slice(2);
+  const daysIndex = args.indexOf('--days');
+  const days = daysIndex === -1 ? 7 : Number(args[daysIndex + 1]);
+  const [botId] = args.filter((arg, index) => daysIndex === -1 || (index !== daysIndex && index !== daysIndex + 1));
+  if (!botId || !(days > 0)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  
+  const { bots } = loadConfig();
+  const botConfig = bots[botId];
+  if (!botConfig) {
+    throw new ConfigError([`No bot "${botId}" defined (available: ${Object.keys(bots).join(', ')})`]);
+  }
+  if (!botConfig.performance.enabled) {
+    console.log(`⚠️  performance is disabled for ${botId}; only runs that had it on can be compared`);
+  }
+  
+  const { shadow } = botConfig;
+  const redisClient = createRedisClient({ ...botConfig.redis, label: botId });
+  await redisClient.connect();
+  try {
+    const until = Date.now();
+    const comparison = await compareShadowRun(redisClient, {
+      botId,
+      liveKeyPrefix: shadow.live ? shadow.live.keyPrefix : botConfig.redis.keyPrefix,
+      shadowKeyPrefix: shadow.keyPrefix,
+      since: until - days * 24 * 60 * 60 * 1000,
+      until
+    });
+    console.log(`\n${formatShadowComparison(comparison, { botId })}`);
+  } finally {
+    await redisClient.quit();
+  }
+}
+
+main().catch(error => {
+  if (error instanceof ConfigError) {
+    console.error(`❌ ${error.message}`);
+  } else {
+    console.error('❌ Shadow comparison failed:', error.message);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { registerAdminCommands } = require('../lib/admin');
+const { createPipeline, resolveStage } = require('../lib/pipeline');
+const { getStrategy } = require('../lib/strategies');
+const { createMonitorState } = require('../lib/runtime');
+
+const ADMIN = 1001;
+const STRANGER = 2002;
+
+const strategy = getStrategy('meteoraPumpGraduate');
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// The pump graduate bot without its on-chain stages, behind a bot that
+// dispatches text to the registered onText handlers like a polling bot would
+function createAdminChat() {
+  const handlers = [];
+  const replies = [];
+  const bot = {
+    onText: (pattern, handler) => handlers.push({ pattern, handler }),
+    async sendMessage(chatId, text) {
+      replies.push({ chatId, text });
+      return { message_id: replies.length, chat: { id: chatId }, text };
+    }
+  };
+  
+  const botConfig = {
+    id: 'test',
+    admins: [ADMIN],
+    channel: '@test_channel',
+    source: { type: 'geckoterminal', endpoint: 'new_pools', maxPages: 10 },
+    filters: { minLiquidity: 10000 }
+  };
+  const pipeline = createPipeline(strategy.stages.filter(spec => !resolveStage(spec).usesRpc), botConfig.filters);
+  const state = createMonitorState();
+  registerAdminCommands(bot, { botConfig, strategy, pipeline, state, store: { getProcessedCount: async () => 8 } });
+
+  // Resolves to the replies `text` from user `from` got
+  async function send(text, from = ADMIN) {
+    const before = replies.length;
+    const msg = { chat: { id: from, type: 'private' }, from: { id: from }, text };
+    for (const { pattern, handler } of handlers) {
+      const match = pattern.exec(text);
+      if (match) await handler(msg, match);
+    }
+    return replies.slice(before).map(reply => reply.text);
+  }
+  
+  return { botConfig, pipeline, state, send };
+}
+
+test('nothing is registered without admins', () => {
+  const bot = { onText: () => assert.fail('registered a command') };
+  assert.strictEqual(registerAdminCommands(bot, { botConfig: { admins: [] } }), false);
+});
+
+test('commands from non-admins are refused', async () => {
+  const { pipeline, send } = createAdminChat();
+  
+  const [reply] = await send('/set minLiquidity 1', STRANGER);
+  assert.strictEqual(reply, '⛔ This command is restricted to bot admins.');
+  assert.strictEqual(pipeline.getAppliedFilters().minLiquidity, 10000);
+});
+
+test('/set changes the running pipeline and the bot config', async () => {
+  const { botConfig, pipeline, send } = createAdminChat();
+  
+  const [reply] = await send('/set@test_bot minLiquidity 25000');
+  assert.match(reply, /^✅ minLiquidity: 10000 → 25000 \(minLiquidity\)/);
+  assert.strictEqual(pipeline.getAppliedFilters().minLiquidity, 25000);
+  assert.strictEqual(botConfig.filters.minLiquidity, 25000);
+  
+  const result = await pipeline.run({ pricing: { reserveUsd: 20000 } }, {}, { stopOnReject: false });
+  assert.strictEqual(result.results.find(stage => stage.stage === 'minLiquidity').passed, false);
+  
+  const [filters] = await send('/filters');
+  assert.match(filters, /\$25,000/);
+  
+  const [toggled] = await send('/set requirePositivePriceChange false');
+  assert.match(toggled, /^✅ requirePositivePriceChange: true → false/);
+});
+
+test('/set rejects what the config file would reject', async () => {
+  const { pipeline, send } = createAdminChat();
+  const before = pipeline.getAppliedFilters();
+  
+  assert.deepStrictEqual(await send('/set minLiquidity'), ['❌ Usage: /set <filter> <value>']);
+  assert.deepStrictEqual(await send('/set minLiquidity lots'), ['❌ minLiquidity must be a number (got "lots")']);
+  assert.deepStrictEqual(await send('/set maxAgeHours -1'), ['❌ maxAgeHours must be ≥ 0 (got -1)']);
+
+  // A known filter this pipeline has no stage for (LP burn is an on-chain stage)
+  const [unapplied] = await send('/set minLpBurnedPercent 50');
+  assert.strictEqual(unapplied, '❌ minLpBurnedPercent is not a filter of this bot. Use /filters to list them.');
+  
+  assert.deepStrictEqual(pipeline.getAppliedFilters(), before);
+});
+
+test('/pause and /resume switch the monitor state', async () => {
+  const { state, send } = createAdminChat();
+  
+  await send('/pause');
+  assert.strictEqual(state.paused, true);
+  const [status] = await send('/status');
+  assert.match(status, /State: ⏸️ paused/);
+  
+  await send('/resume');
+  assert.strictEqual(state.paused, false);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadRecordings, runBacktest } = require('../lib/backtest');
+const { getStrategy } = require('../lib/strategies');
+const { DEFAULT_FIXTURES } = require('./helpers/fakeApis');
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('a backtest replays the recorded cycle and compares variants', async () => {
+  const report = await runBacktest({
+    strategy: getStrategy('meteoraPumpGraduate'),
+    variants: { current: {}, looseCap: { maxMarketCap: 50000000, maxTop10HolderPercent: 50 } },
+    recordings: loadRecordings(DEFAULT_FIXTURES)
+  });
+  
+  assert.deepStrictEqual(report.skippedStages, ['mintSafety', 'holderConcentration', 'lpSafety']);
+  assert.strictEqual(report.snapshots, 3); // One per page
+  
+  const { current, looseCap } = report.variants;
+  assert.strictEqual(current.evaluated, 8);
+  assert.deepStrictEqual(current.records.map(record => record.symbol), ['GOOD', 'P*MP_[1]']);
+  assert.deepStrictEqual(current.rejections, { maxPoolAge: 1, positivePriceChange: 1, maxMarketCap: 1, minLiquidity: 1, maxTokenPairAge: 1, pumpGraduate: 1 });
+
+  // The 1h lookups recorded for GOOD and WHALE become their 1h samples
+  const good = current.records.find(record => record.symbol === 'GOOD');
+  assert.strictEqual(good.samples['1h'].multiple, 2.5);
+  assert.strictEqual(current.withOutcome, 1);
+  
+  assert.deepStrictEqual(looseCap.records.map(record => record.symbol), ['GOOD', 'WHALE', 'P*MP_[1]']);
+  assert.strictEqual(looseCap.records.find(record => record.symbol === 'WHALE').samples['1h'].multiple, 0.5);
+  assert.deepStrictEqual(looseCap.ignored, ['maxTop10HolderPercent']);
+});
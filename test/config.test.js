@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../lib/config');
+const { getStrategy } = require('../lib/strategies');
+const { createPipeline, verifyFilters } = require('../lib/pipeline');
+
+// Against the shipped bots.config.yaml, as the entry points load it
+const selfCheckProblems = bot => verifyFilters(createPipeline(getStrategy(bot.strategy).stages, bot.filters), bot.filters);
+
+test('every shipped bot passes the filter self-check', () => {
+  const { bots } = loadConfig({ env: {} });
+  for (const bot of Object.values(bots)) {
+    assert.deepStrictEqual(selfCheckProblems(bot), [], bot.id);
+  }
+});
+
+test('MIN_LIQUIDITY applies only to bots with a liquidity filter', () => {
+  const { bots } = loadConfig({ env: { MIN_LIQUIDITY: '60000' } });
+  for (const bot of Object.values(bots)) {
+    assert.deepStrictEqual(selfCheckProblems(bot), [], bot.id);
+  }
+  
+  assert.strictEqual(bots['pump-graduates'].filters.minLiquidity, 60000);
+  assert.strictEqual(bots['meteora-monitor'].filters.minLiquidity, undefined);
+});
+
+test('a bot-specific filter override wins over MIN_LIQUIDITY', () => {
+  const { bots } = loadConfig({ env: { MIN_LIQUIDITY: '60000', PUMP_GRADUATES_MIN_LIQUIDITY: '25000' } });
+  assert.strictEqual(bots['pump-graduates'].filters.minLiquidity, 25000);
+  assert.strictEqual(bots['raydium-graduates'].filters.minLiquidity, 60000);
+});
+
+test('only one bot per Telegram token polls', () => {
+  const { bots } = loadConfig({ env: {} });
+  assert.strictEqual(bots['pumpswap-fresh'].polling, true);
+  assert.strictEqual(bots['raydium-graduates'].polling, false);
+  
+  assert.throws(() => loadConfig({ env: { RAYDIUM_GRADUATES_POLLING: 'true' } }), {
+    name: 'ConfigError',
+    message: /bots raydium-graduates, pumpswap-fresh all poll TELEGRAM_BOT_TOKEN_BOT1/
+  });
+});
+
+test('only one bot per channel posts digests', () => {
+  const { bots } = loadConfig({ env: {} });
+  assert.deepStrictEqual(
+    Object.values(bots).filter(bot => bot.digest.daily || bot.digest.weekly).map(bot => bot.id),
+    ['pump-graduates', 'pumpswap-fresh']
+  );
+  
+  assert.throws(() => loadConfig({ env: { PUMPSWAP_FRESH_CHANNEL: '@memesigsol' } }), {
+    name: 'ConfigError',
+    message: /bots pump-graduates, pumpswap-fresh all post digests to @memesigsol/
+  });
+});
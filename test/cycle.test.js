@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TelegramBot = require('node-telegram-bot-api');
+const { startFakeApis } = require('./helpers/fakeApis');
+const { createMemoryRedis } = require('./helpers/memoryRedis');
+
+// ==============================
+// FULL CYCLE, OFFLINE
+// ==============================
+// One monitoring cycle as bot.js runs it - GeckoTerminal scan, DexScreener
+// prefetch, pipeline, dedup, routing and the Telegram queue - against the
+// recorded fixtures. The API base URLs are read when lib/ loads, so lib/ is
+// required once the fake server is up.
+let fake;
+let lib;
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test.before(async () => {
+  fake = await startFakeApis();
+  process.env.GECKOTERMINAL_API_URL = `${fake.url}/api/v2/networks/solana`;
+  process.env.DEXSCREENER_API_URL = fake.url;
+  lib = require('../lib');
+
+  // The fake shares one local host bucket; keep the tests from waiting on it
+  lib.configureRateLimits({ default: { requestsPerMinute: 60000, burst: 100 } });
+});
+
+test.after(async () => {
+  await fake.close();
+});
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// The pump graduate bot without its on-chain stages (no RPC offline)
+function createBot({ chatInterval = 10 } = {}) {
+  const strategy = lib.getStrategy('meteoraPumpGraduate');
+  const pipeline = lib.createPipeline(strategy.stages.filter(spec => !lib.resolveStage(spec).usesRpc));
+  const redisClient = createMemoryRedis();
+  const redis = { keyPrefix: 'test' };
+  
+  const bot = new TelegramBot('123456:TEST', { polling: false, baseApiUrl: fake.url });
+  const queue = lib.createTelegramQueue({ bot, redisClient, keyPrefix: redis.keyPrefix, botId: 'test', chatInterval, pollInterval: 10, baseDelay: 10 });
+  const router = lib.createSignalRouter({
+    queue,
+    destinations: [{
+      name: 'channel',
+      type: 'telegram',
+      chat: '@test_channel',
+      template: 'compact',
+      parseMode: 'MarkdownV2',
+      when: {},
+      rateLimit: { requestsPerMinute: 60000, burst: 100 }
+    }],
+    templates: { compact: (poolData, context, format) => lib.formatCompactSignal(poolData, strategy.title, format) },
+    keyboard: poolData => lib.buildSignalKeyboard(poolData, strategy.links),
+    botId: 'test',
+    strategy
+  });
+  
+  const scanner = lib.createPoolScanner({ endpoint: 'new_pools', maxPages: 3, dexIds: strategy.dexIds });
+  const processOptions = {
+    strategy,
+    pipeline,
+    store: lib.createProcessedStore(redisClient, { keys: lib.getStoreKeys(redis, strategy.dedupBy) }),
+    notify: poolData => router.route(poolData),
+    context: { dexscreener: lib.createDexScreenerClient({ redisClient, keyPrefix: redis.keyPrefix }) }
+  };
+
+  // bot.js and index.js process the whole scan at once
+  async function runCycle() {
+    const { pools } = await scanner.scan();
+    return lib.processPools(pools, processOptions);
+  }
+
+  // bot1.js processes every page as soon as it is fetched
+  async function runPageCycle() {
+    const state = lib.createMonitorState();
+    await scanner.scan(pools => lib.processPools(pools, processOptions).then(counts => lib.addCounts(state, counts)));
+    return state;
+  }
+  
+  return { redisClient, queue, runCycle, runPageCycle, store: processOptions.store };
+}
+
+const dexscreenerRequests = () => fake.requests.filter(request => request.path.startsWith('/latest/dex/tokens/')).length;
+
+test('a cycle signals the graduates once and sends them to Telegram', async () => {
+  const { queue, runCycle, store } = createBot();
+  const sentBefore = fake.telegram.messages.length;
+  const lookupsBefore = dexscreenerRequests();
+  
+  const counts = await runCycle();
+  assert.deepStrictEqual(counts, { signaled: 2, rejected: 6, skipped: 1, failed: 0 });
+  assert.strictEqual(await store.getProcessedCount(), 8);
+
+  // All eight tokens went out in one batched DexScreener request
+  assert.strictEqual(dexscreenerRequests() - lookupsBefore, 1);
+  
+  queue.start();
+  try {
+    // The fake logs a message before the queue has its response
+    await waitFor(async () => (await queue.getStats()).sent === 2);
+  } finally {
+    queue.stop();
+  }
+  
+  const [good, escaped] = fake.telegram.messages.slice(sentBefore);
+  assert.strictEqual(good.chat_id, '@test_channel');
+  assert.strictEqual(good.parse_mode, 'MarkdownV2');
+  assert.strictEqual(good.text.split('\n')[0], '🚀 *METEORA PUMP GRADUATE*: GOOD \\(GOOD\\)');
+  assert.match(good.text, /`MintGood1111`/);
+  const buttons = JSON.parse(good.reply_markup).inline_keyboard.flat();
+  assert.ok(buttons.some(button => button.url === 'https://dexscreener.com/solana/MintGood1111'));
+
+  // Symbols are escaped for MarkdownV2
+  assert.ok(escaped.text.includes('P\\*MP\\_\\[1\\] \\(P\\*MP\\_\\[1\\]\\)'), escaped.text);
+  assert.deepStrictEqual(await queue.getStats(), { sent: 2, retried: 0, throttled: 0, deadLettered: 0, queued: 0, dead: 0 });
+});
+
+test('the next cycle skips everything already processed', async () => {
+  const { queue, runCycle } = createBot();
+  await runCycle();
+  const lookupsBefore = dexscreenerRequests();
+  
+  const counts = await runCycle();
+  assert.strictEqual(counts.signaled, 0);
+  assert.strictEqual(counts.rejected, 0);
+  assert.ok(counts.skipped > 0);
+  assert.strictEqual(dexscreenerRequests(), lookupsBefore);
+  
+  const stats = await queue.getStats();
+  assert.strictEqual(stats.queued, 2);
+});
+
+test('page by page processing reaches the same decisions', async () => {
+  const { runPageCycle } = createBot();
+  const lookupsBefore = dexscreenerRequests();
+  
+  const state = await runPageCycle();
+  assert.deepStrictEqual(state.totals, { signaled: 2, rejected: 6, skipped: 1, failed: 0 });
+
+  // One batched lookup per page holding pools
+  assert.strictEqual(dexscreenerRequests() - lookupsBefore, 2);
+});
+
+test('single pools are looked up from the recordings', async () => {
+  const pool = await lib.fetchPoolByAddress('PoolGood1111');
+  assert.strictEqual(lib.extractPoolData(pool).pricing.baseTokenPriceUsd, 0.0025);
+  assert.strictEqual(await lib.fetchPoolByAddress('PoolUnknown1'), null);
+});
+
+test('Telegram throttling is retried and bad requests are dead-lettered', async () => {
+  const { queue, redisClient } = createBot();
+  
+  fake.failNext('/sendMessage', {
+    status: 429,
+    body: { ok: false, error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } }
+  });
+  await queue.enqueue('@test_channel', 'throttled once');
+  queue.start();
+  try {
+    await waitFor(() => fake.telegram.messages.some(message => message.text === 'throttled once'));
+    
+    fake.failNext('/sendMessage', {
+      status: 400,
+      body: { ok: false, error_code: 400, description: 'Bad Request: chat not found' }
+    });
+    await queue.enqueue('@missing_chat', 'never arrives');
+    await waitFor(async () => (await queue.getStats()).deadLettered === 1);
+  } finally {
+    queue.stop();
+  }
+  
+  const stats = await queue.getStats();
+  assert.strictEqual(stats.throttled, 1);
+  assert.strictEqual(stats.sent, 1);
+  assert.strictEqual(stats.queued, 0);
+  assert.ok(!fake.telegram.messages.some(message => message.text === 'never arrives'));
+  
+  const [dead] = await redisClient.lRange('test:test:telegram_dead', 0, -1);
+  assert.match(JSON.parse(dead).error, /chat not found/);
+});
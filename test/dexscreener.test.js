@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createMemoryRedis } = require('./helpers/memoryRedis');
+
+// ==============================
+// DEXSCREENER CLIENT
+// ==============================
+// A local tokens endpoint that, like DexScreener, answers a comma-separated
+// lookup with the pairs of all its tokens cut off at 30. The base URL is read
+// when lib/dexscreener loads, so it is required once the server is up.
+let server;
+let dexscreener;
+
+async function startTokensApi() {
+  const pairs = new Map(); // token address -> pairs
+  const requests = [];
+  const failures = [];
+  const api = http.createServer((req, res) => {
+    const addresses = decodeURIComponent(req.url.replace('/latest/dex/tokens/', '')).split(',');
+    requests.push(addresses);
+    
+    const status = failures.shift();
+    if (status) {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: 'scripted failure' }));
+    }
+    const found = addresses.flatMap(address => pairs.get(address) || []).slice(0, 30);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ schemaVersion: '1.0.0', pairs: found.length > 0 ? found : null }));
+  });
+  await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${api.address().port}`,
+    pairs,
+    requests,
+    failNext: status => failures.push(status),
+    reset: () => {
+      requests.length = 0;
+      failures.length = 0;
+    },
+    close: () => new Promise(resolve => api.close(() => resolve()))
+  };
+}
+
+const pairsOf = (address, count, dexId = 'pumpswap') => Array.from({ length: count }, (_, i) => ({
+  pairAddress: `${address}-pair${i}`,
+  dexId,
+  baseToken: { address },
+  quoteToken: { address: 'So11111111111111111111111111111111111111112' },
+  pairCreatedAt: 1760781600000
+}));
+
+test.before(async () => {
+  server = await startTokensApi();
+  process.env.DEXSCREENER_API_URL = server.url;
+  dexscreener = require('../lib/dexscreener');
+  require('../lib/rateLimit').configureRateLimits({ default: { requestsPerMinute: 60000, burst: 100 } });
+  
+  server.pairs.set('MintA', pairsOf('MintA', 2));
+  server.pairs.set('MintB', pairsOf('MintB', 1, 'meteora'));
+  server.pairs.set('MintBusy', pairsOf('MintBusy', 30));
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test.beforeEach(t => {
+  server.reset();
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('answers are cached until the TTL runs out, tokens without pairs included', async t => {
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+  const client = dexscreener.createDexScreenerClient({ ttlMs: 60000, batchWindowMs: 1 });
+  
+  assert.strictEqual((await client.getTokenPairs('MintA')).length, 2);
+  assert.strictEqual(await client.getTokenPairs('MintNone'), null);
+  now += 59999;
+  assert.strictEqual((await client.getTokenPairs('MintA')).length, 2);
+  assert.strictEqual(await client.getTokenPairs('MintNone'), null);
+  assert.deepStrictEqual(server.requests, [['MintA'], ['MintNone']]);
+  
+  now += 1;
+  await client.getTokenPairs('MintA');
+  assert.deepStrictEqual(server.requests, [['MintA'], ['MintNone'], ['MintA']]);
+  assert.deepStrictEqual(client.getStats(), { requests: 3, cacheHits: 2, coalesced: 0 });
+});
+
+test('concurrent lookups share one batched request', async () => {
+  const client = dexscreener.createDexScreenerClient();
+  const [a, again, b, none] = await Promise.all(['MintA', 'MintA', 'MintB', 'MintNone'].map(client.getTokenPairs));
+  
+  assert.deepStrictEqual(server.requests, [['MintA', 'MintB', 'MintNone']]);
+  assert.strictEqual(again, a);
+  assert.deepStrictEqual(a.map(pair => pair.pairAddress), ['MintA-pair0', 'MintA-pair1']);
+  assert.deepStrictEqual(b.map(pair => pair.pairAddress), ['MintB-pair0']);
+  assert.strictEqual(none, null);
+  assert.deepStrictEqual(client.getStats(), { requests: 1, cacheHits: 0, coalesced: 1 });
+});
+
+test('a batch that hits the pair cap is asked again token by token', async () => {
+  const client = dexscreener.createDexScreenerClient();
+  // MintBusy's 30 pairs fill the batched answer and push MintB's out
+  await client.prefetch(['MintBusy', 'MintB']);
+  
+  assert.deepStrictEqual(server.requests, [['MintBusy', 'MintB'], ['MintBusy'], ['MintB']]);
+  assert.strictEqual((await client.getTokenPairs('MintBusy')).length, dexscreener.DEXSCREENER_PAIRS_CAP);
+  assert.deepStrictEqual((await client.getTokenPairs('MintB')).map(pair => pair.pairAddress), ['MintB-pair0']);
+  assert.strictEqual(server.requests.length, 3);
+});
+
+test('a failed request rejects every waiting lookup and is not cached', async () => {
+  const client = dexscreener.createDexScreenerClient();
+  server.failNext(400);
+  
+  const results = await Promise.allSettled([client.getTokenPairs('MintA'), client.getTokenPairs('MintB')]);
+  assert.deepStrictEqual(results.map(result => result.status), ['rejected', 'rejected']);
+  assert.match(results[0].reason.message, /status code 400/);
+  
+  assert.strictEqual((await client.getTokenPairs('MintA')).length, 2);
+  assert.deepStrictEqual(server.requests, [['MintA', 'MintB'], ['MintA']]);
+});
+
+test('clients sharing Redis reuse each other\'s answers', async () => {
+  const redisClient = createMemoryRedis();
+  const first = dexscreener.createDexScreenerClient({ redisClient, keyPrefix: 'test' });
+  const second = dexscreener.createDexScreenerClient({ redisClient, keyPrefix: 'test' });
+  
+  await first.getTokenPairs('MintA');
+  assert.strictEqual((await second.getTokenPairs('MintA')).length, 2);
+  assert.strictEqual(server.requests.length, 1);
+  assert.deepStrictEqual(second.getStats(), { requests: 0, cacheHits: 1, coalesced: 0 });
+});
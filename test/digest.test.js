@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const records = require('./fixtures/performance-records.json');
+const { buildDigest, formatDigest, isRug, getPeriodEnd, createDigestScheduler } = require('../lib/digest');
+const { HTML } = require('../lib/messageFormat');
+
+const DAY = 24 * 60 * 60 * 1000;
+const UNTIL = Date.parse('2025-10-19T00:00:00Z'); // A Sunday
+const inWindow = (since, until) => records.filter(record => {
+  const at = Date.parse(record.signaledAt);
+  return at >= since && at < until;
+});
+
+test('buildDigest summarizes each strategy from stored records', () => {
+  const digest = buildDigest(records, { since: UNTIL - 7 * DAY, until: UNTIL });
+  assert.strictEqual(digest.total.count, 6);
+  
+  const pump = digest.strategies.meteoraPumpGraduate;
+  assert.strictEqual(pump.count, 4);
+  assert.deepStrictEqual(pump.hits, { 2: 2, 5: 1 });
+  assert.strictEqual(pump.with24h, 3);
+  assert.ok(Math.abs(pump.median24h - 10) < 1e-9);
+  assert.deepStrictEqual(pump.best, { symbol: 'MOON', tokenAddress: 'MintMOON', peak: 6 });
+  assert.strictEqual(pump.worst.symbol, 'RUG');
+  assert.ok(Math.abs(pump.worst.multiple - 0.025) < 1e-9);
+  assert.deepStrictEqual(pump.rugs, ['RUG']);
+  
+  const raydium = digest.strategies.meteoraRaydiumGraduate;
+  assert.strictEqual(raydium.count, 2);
+  assert.deepStrictEqual(raydium.hits, { 2: 0, 5: 0 });
+  assert.strictEqual(raydium.with24h, 1);
+  assert.ok(Math.abs(raydium.median24h - -10) < 1e-9);
+  assert.strictEqual(raydium.best.symbol, 'NEW');
+  assert.strictEqual(raydium.worst.symbol, 'FLAT');
+  assert.deepStrictEqual(raydium.rugs, []);
+});
+
+test('signals without samples count but have no best, worst or median', () => {
+  const unsampled = records.filter(record => Object.keys(record.samples).length === 0);
+  const digest = buildDigest(unsampled, { since: 0, until: UNTIL });
+  const summary = digest.total;
+  assert.strictEqual(summary.count, 1);
+  assert.strictEqual(summary.median24h, null);
+  assert.strictEqual(summary.best, null);
+  assert.strictEqual(summary.worst, null);
+});
+
+test('isRug flags lost liquidity or price, not a normal dip', () => {
+  const bySymbol = Object.fromEntries(records.map(record => [record.symbol, record]));
+  assert.strictEqual(isRug(bySymbol.RUG), true);
+  assert.strictEqual(isRug(bySymbol.FLAT), false);
+  assert.strictEqual(isRug(bySymbol['[x]_*']), false);
+  
+  const drained = { ...bySymbol.FLAT, samples: { '1h': { ...bySymbol.FLAT.samples['1h'], liquidity: 4000 } } };
+  assert.strictEqual(isRug(drained), true);
+});
+
+test('formatDigest lists every strategy and escapes symbols', () => {
+  const since = UNTIL - DAY;
+  const digest = buildDigest(inWindow(since, UNTIL), { since, until: UNTIL });
+  const message = String(formatDigest(digest, { title: 'Daily digest' }));
+  
+  assert.ok(message.startsWith('📅 *Daily digest*\n2025\\-10\\-18 00:00 → 2025\\-10\\-19 00:00 UTC\n\n'), message);
+  assert.ok(message.includes('🧩 *Meteora pump graduate*: 1 signal\n'), message);
+  assert.ok(message.includes('🧩 *Meteora Raydium graduate*: 1 signal\n'), message);
+  assert.ok(message.includes('🏆 Best: NEW \\(1\\.30x peak\\)'), message);
+  assert.ok(message.includes('📈 Median 24h return: n/a \\(0 with 24h data\\)'), message);
+  assert.ok(!message.includes('[x]_*'), message);
+  
+  const html = String(formatDigest(digest, { title: 'Daily digest', format: HTML }));
+  assert.ok(html.startsWith('📅 <b>Daily digest</b>'), html);
+});
+
+test('formatDigest says so when nothing was signaled', () => {
+  const digest = buildDigest([], { since: UNTIL - DAY, until: UNTIL });
+  assert.ok(String(formatDigest(digest, { title: 'Daily digest' })).endsWith('No signals in this period\\.'));
+});
+
+test('getPeriodEnd finds the latest daily and weekly boundary', () => {
+  const schedule = { hourUtc: 6, weekday: 1 };
+  const now = Date.parse('2025-10-19T05:00:00Z');
+  assert.strictEqual(getPeriodEnd('daily', now, schedule), Date.parse('2025-10-18T06:00:00Z'));
+  assert.strictEqual(getPeriodEnd('daily', Date.parse('2025-10-19T06:00:00Z'), schedule), Date.parse('2025-10-19T06:00:00Z'));
+  assert.strictEqual(getPeriodEnd('weekly', now, schedule), Date.parse('2025-10-13T06:00:00Z'));
+});
+
+// Just enough of the Redis client for the scheduler and readPerformanceRecords
+function createFixtureRedis(fixtureRecords) {
+  const values = new Map();
+  const byPool = new Map(fixtureRecords.map(record => [record.poolAddress, record]));
+  return {
+    isReady: true,
+    get: async key => (values.has(key) ? values.get(key) : null),
+    set: async (key, value) => values.set(key, value),
+    zRangeByScore: async (key, min, max) => fixtureRecords
+      .filter(record => Date.parse(record.signaledAt) >= min && Date.parse(record.signaledAt) <= max)
+      .map(record => record.poolAddress),
+    hGet: async (key, poolAddress) => JSON.stringify(byPool.get(poolAddress))
+  };
+}
+
+test('the scheduler posts each period once and starts quietly', async () => {
+  const sent = [];
+  const scheduler = createDigestScheduler({
+    redisClient: createFixtureRedis(records),
+    keyPrefix: 'test',
+    botId: 'pump-graduates',
+    queue: { enqueue: async (chat, text, options) => sent.push({ chat, text, options }) },
+    chat: '@channel',
+    schedule: { daily: true, weekly: false, hourUtc: 0, weekday: 1 }
+  });
+  
+  await scheduler.postDue(UNTIL + 1000);
+  assert.strictEqual(sent.length, 0);
+  
+  // Covers the signals of 2025-10-17 12:00 to 2025-10-18 12:00
+  await scheduler.postDue(UNTIL + DAY + 1000);
+  await scheduler.postDue(UNTIL + DAY + 2000);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].chat, '@channel');
+  assert.strictEqual(sent[0].options.parse_mode, 'MarkdownV2');
+  assert.ok(sent[0].text.includes('*Meteora pump graduate*: 3 signals'), sent[0].text);
+  assert.ok(sent[0].text.includes('*Meteora Raydium graduate*: 1 signal'), sent[0].text);
+});
+
+test('signals wait for their 24h checkpoint before a digest covers them', async () => {
+  const { NEW } = Object.fromEntries(records.map(record => [record.symbol, record]));
+  const signaledAt = UNTIL - 4 * 60 * 60 * 1000;
+  const recent = { ...NEW, signaledAt: new Date(signaledAt).toISOString(), samples: { ...NEW.samples } };
+  assert.deepStrictEqual(Object.keys(recent.samples), ['15m', '1h']);
+  
+  const sent = [];
+  const scheduler = createDigestScheduler({
+    redisClient: createFixtureRedis([recent]),
+    keyPrefix: 'test',
+    botId: 'raydium-graduates',
+    queue: { enqueue: async (chat, text) => sent.push(text) },
+    chat: '@channel',
+    schedule: { daily: true, weekly: false, hourUtc: 0, weekday: 1 }
+  });
+  await scheduler.postDue(UNTIL - 1000);
+  
+  // Posted at UNTIL, while the signal has only its 15m and 1h samples
+  await scheduler.postDue(UNTIL + 1000);
+  assert.ok(sent[0].endsWith('No signals in this period\\.'), sent[0]);
+  
+  recent.samples['24h'] = { ...NEW.samples['1h'], price: 0.0011, changePercent: 10, multiple: 1.1 };
+  await scheduler.postDue(UNTIL + 2 * DAY + 1000);
+  assert.ok(sent[1].includes('*Meteora Raydium graduate*: 1 signal'), sent[1]);
+  assert.ok(sent[1].includes('Median 24h return: \\+10\\.0% \\(1 with 24h data\\)'), sent[1]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { startFakeApis } = require('./helpers/fakeApis');
+
+// ==============================
+// INCREMENTAL POOL SCANS
+// ==============================
+// new_pools pages are set per test instead of recorded, so a second scan can
+// see pools that arrived since the first. lib/ is required once the fake
+// server is up, as in cycle.test.js.
+const MINUTE = 60 * 1000;
+
+let fake;
+let lib;
+
+test.before(async () => {
+  fake = await startFakeApis({ dir: path.join(__dirname, 'fixtures', 'none') });
+  process.env.GECKOTERMINAL_API_URL = `${fake.url}/api/v2/networks/solana`;
+  process.env.DEXSCREENER_API_URL = fake.url;
+  lib = require('../lib');
+  lib.configureRateLimits({ default: { requestsPerMinute: 60000, burst: 100 } });
+});
+
+test.after(async () => {
+  await fake.close();
+});
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const pool = (address, minutesAgo) => ({
+  id: `solana_${address}`,
+  type: 'pool',
+  attributes: { address, pool_created_at: new Date(Date.now() - minutesAgo * MINUTE).toISOString() }
+});
+
+const setPages = (...pages) => pages.forEach((pools, index) => fake.setPage('new_pools', index + 1, pools));
+const addresses = pools => pools.map(item => item.attributes.address);
+
+// The first scan is a full sweep over these three pages
+const OLD_PAGES = [
+  [pool('Old1', 10), pool('Old2', 11)],
+  [pool('Old3', 12), pool('Old4', 13)],
+  [pool('Old5', 14), pool('Old6', 15)]
+];
+
+test('a scan with nothing new stops on the first page', async () => {
+  setPages(...OLD_PAGES);
+  const scanner = lib.createPoolScanner({ endpoint: 'new_pools', maxPages: 3 });
+  
+  const first = await scanner.scan();
+  assert.strictEqual(first.fullSweep, true);
+  assert.strictEqual(first.pagesFetched, 3);
+  
+  const second = await scanner.scan();
+  assert.strictEqual(second.fullSweep, false);
+  assert.strictEqual(second.pagesFetched, 1);
+});
+
+test('a scan reads new pools and stops at the first known page', async () => {
+  setPages(...OLD_PAGES);
+  const scanner = lib.createPoolScanner({ endpoint: 'new_pools', maxPages: 3 });
+  await scanner.scan();
+  
+  setPages([pool('New1', 1), pool('New2', 2)], ...OLD_PAGES.slice(0, 2));
+  const { pools, pagesFetched } = await scanner.scan();
+  assert.strictEqual(pagesFetched, 2);
+  assert.deepStrictEqual(addresses(pools), ['New1', 'New2', 'Old1', 'Old2']);
+});
+
+test('a late-indexed old pool on page 1 does not stop the scan', async () => {
+  setPages(...OLD_PAGES);
+  const scanner = lib.createPoolScanner({ endpoint: 'new_pools', maxPages: 3 });
+  await scanner.scan();
+
+  // Indexed just now, created well before everything seen so far
+  setPages([pool('New1', 1), pool('Late1', 600)], [pool('New2', 2), pool('New3', 3)], OLD_PAGES[0]);
+  const { pools, pagesFetched } = await scanner.scan();
+  assert.strictEqual(pagesFetched, 3);
+  assert.deepStrictEqual(addresses(pools), ['New1', 'Late1', 'New2', 'New3', 'Old1', 'Old2']);
+});
+
+test('other endpoints are always swept in full', async () => {
+  fake.setPage('trending_pools', 1, [pool('Hot1', 30)]);
+  fake.setPage('trending_pools', 2, [pool('Hot2', 20)]);
+  const scanner = lib.createPoolScanner({ endpoint: 'trending_pools', maxPages: 2 });
+  await scanner.scan();
+  
+  const { fullSweep, pagesFetched } = await scanner.scan();
+  assert.strictEqual(fullSweep, true);
+  assert.strictEqual(pagesFetched, 2);
+});
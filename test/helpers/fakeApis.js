@@ -0,0 +1,184 @@
+const http = require('http');
+const path = require('path');
+const { readRecordings } = require('../../lib/recorder');
+
+// ==============================
+// FAKE UPSTREAM APIS
+// ==============================
+// One local HTTP server standing in for GeckoTerminal, DexScreener and the
+// Telegram Bot API, so a whole monitoring cycle runs offline:
+//   GET  /api/v2/networks/solana/<endpoint>?page=N   recorded pool pages
+//   GET  /api/v2/networks/solana/pools/<address>     recorded single pools
+//   GET  /latest/dex/tokens/<a,b,...>                recorded pairs per token
+//   POST /bot<token>/<method>                        Telegram, always ok
+// Responses come from recordings in lib/recorder.js's format. Their pool and
+// pair creation times are shifted by `now` - first recording, so ages stay as
+// recorded whenever the test runs. Point the bots at it with
+// GECKOTERMINAL_API_URL=<url>/api/v2/networks/solana and DEXSCREENER_API_URL=<url>
+// before lib/ is loaded (which is why this helper requires only lib/recorder).
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'fixtures', 'recordings');
+const GECKO_PREFIX = '/api/v2/networks/solana/';
+
+function shiftTimes(value, offset) {
+  if (Array.isArray(value)) return value.map(item => shiftTimes(item, offset));
+  if (!value || typeof value !== 'object') return value;
+  
+  const shifted = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (key === 'pool_created_at' && item) {
+      shifted[key] = new Date(Date.parse(item) + offset).toISOString();
+    } else if (key === 'pairCreatedAt' && item) {
+      shifted[key] = item + offset;
+    } else {
+      shifted[key] = shiftTimes(item, offset);
+    }
+  }
+  return shifted;
+}
+
+function loadFixtures(dir, now) {
+  const gecko = readRecordings(dir, 'geckoterminal').entries;
+  const dexscreener = readRecordings(dir, 'dexscreener').entries;
+  const first = Math.min(...[...gecko, ...dexscreener].map(entry => entry.time));
+  const offset = Number.isFinite(first) ? now - first : 0;
+  
+  const pairs = new Map(); // token address -> pairs, deduplicated by pairAddress
+  for (const entry of dexscreener) {
+    for (const pair of shiftTimes((entry.response && entry.response.pairs) || [], offset)) {
+      for (const address of [pair.baseToken && pair.baseToken.address, pair.quoteToken && pair.quoteToken.address].filter(Boolean)) {
+        const known = pairs.get(address) || [];
+        if (!known.some(seen => seen.pairAddress === pair.pairAddress)) known.push(pair);
+        pairs.set(address, known);
+      }
+    }
+  }
+  
+  return {
+    pages: gecko.filter(entry => entry.endpoint).map(entry => ({ ...entry, response: shiftTimes(entry.response, offset) })),
+    pools: gecko.filter(entry => entry.pool).map(entry => ({ ...entry, response: shiftTimes(entry.response, offset) })),
+    pairs
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      if (raw === '') return resolve({});
+      try {
+        resolve((req.headers['content-type'] || '').includes('json') ? JSON.parse(raw) : Object.fromEntries(new URLSearchParams(raw)));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Resolves once listening to { url, requests, telegram, failNext, setPage, close }.
+// `requests` logs every { method, path }; `telegram.calls` every Bot API call
+// as { method, params } and `telegram.messages` the sendMessage params.
+// failNext(match, { status, body }) answers the next request whose path
+// includes `match` with that error instead. setPage(endpoint, page, pools)
+// serves `pools` (as given, not time-shifted) in place of the recorded page.
+async function startFakeApis({ dir = DEFAULT_FIXTURES, now = Date.now() } = {}) {
+  const fixtures = loadFixtures(dir, now);
+  const requests = [];
+  const telegram = { calls: [], messages: [] };
+  const failures = [];
+  const pages = new Map(); // `${endpoint}:${page}` -> pools set by setPage
+  let nextMessageId = 1;
+  
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  
+  async function handleTelegram(req, res, method) {
+    const params = await readBody(req);
+    telegram.calls.push({ method, params });
+    if (method !== 'sendMessage') {
+      return send(res, 200, { ok: true, result: true });
+    }
+    
+    telegram.messages.push(params);
+    send(res, 200, {
+      ok: true,
+      result: { message_id: nextMessageId++, date: Math.floor(Date.now() / 1000), chat: { id: params.chat_id }, text: params.text }
+    });
+  }
+  
+  function handleGecko(res, route, query) {
+    const [endpoint, address] = route.split('/');
+    if (endpoint === 'pools' && address) {
+      const entry = [...fixtures.pools].reverse().find(item => item.pool === address);
+      return entry ? send(res, 200, entry.response) : send(res, 404, { errors: [{ status: '404', title: 'Not Found' }] });
+    }
+    
+    const page = Number(query.get('page') || 1);
+    if (pages.has(`${endpoint}:${page}`)) {
+      return send(res, 200, { data: pages.get(`${endpoint}:${page}`) });
+    }
+    const entry = fixtures.pages.find(item => item.endpoint === endpoint && item.page === page);
+    send(res, 200, entry ? entry.response : { data: [] });
+  }
+  
+  function handleDexScreener(res, addresses) {
+    const pairs = [];
+    for (const address of addresses) {
+      (fixtures.pairs.get(address) || []).filter(pair => !pairs.includes(pair)).forEach(pair => pairs.push(pair));
+    }
+    send(res, 200, { schemaVersion: '1.0.0', pairs: pairs.length > 0 ? pairs : null });
+  }
+  
+  const server = http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: pathname });
+    
+    try {
+      const failure = failures.findIndex(item => pathname.includes(item.match));
+      if (failure !== -1) {
+        const [{ status, body }] = failures.splice(failure, 1);
+        await readBody(req);
+        return send(res, status, body);
+      }
+      
+      const telegramCall = pathname.match(/^\/bot[^/]+\/(\w+)$/);
+      if (telegramCall && req.method === 'POST') {
+        return await handleTelegram(req, res, telegramCall[1]);
+      }
+      if (pathname.startsWith(GECKO_PREFIX)) {
+        return handleGecko(res, pathname.slice(GECKO_PREFIX.length), searchParams);
+      }
+      if (pathname.startsWith('/latest/dex/tokens/')) {
+        return handleDexScreener(res, decodeURIComponent(pathname.slice('/latest/dex/tokens/'.length)).split(','));
+      }
+      send(res, 404, { error: `No fake for ${req.method} ${pathname}` });
+    } catch (error) {
+      send(res, 500, { error: error.message });
+    }
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    telegram,
+    failNext: (match, { status, body = {} }) => failures.push({ match, status, body }),
+    setPage: (endpoint, page, pools) => pages.set(`${endpoint}:${page}`, pools),
+    // The Telegram client keeps connections alive, so drop them to let the test exit
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = {
+  DEFAULT_FIXTURES,
+  startFakeApis
+};
@@ -0,0 +1,120 @@
+// ==============================
+// IN-MEMORY REDIS
+// ==============================
+// The subset of the redis v5 client the bots use, kept in Maps so the whole
+// cycle runs without a server. Expiry is honoured for plain keys only.
+function createMemoryRedis() {
+  const strings = new Map(); // key -> { value, expiresAt }
+  const hashes = new Map();
+  const sortedSets = new Map();
+  const lists = new Map();
+  const sets = new Map();
+  const stores = [strings, hashes, sortedSets, lists, sets];
+  
+  const of = (store, key, create) => {
+    if (!store.has(key)) store.set(key, create());
+    return store.get(key);
+  };
+  const live = key => {
+    const entry = strings.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      strings.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  const toPattern = glob => new RegExp(`^${glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+  
+  return {
+    isReady: true,
+    isOpen: true,
+    connect: async () => {},
+    quit: async () => {},
+    
+    get: async key => {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    set: async (key, value, { NX, EX, PX } = {}) => {
+      if (NX && live(key)) return null;
+      const ttl = PX !== undefined ? PX : EX !== undefined ? EX * 1000 : null;
+      strings.set(key, { value: String(value), expiresAt: ttl === null ? null : Date.now() + ttl });
+      return 'OK';
+    },
+    setEx: async (key, seconds, value) => {
+      strings.set(key, { value: String(value), expiresAt: Date.now() + seconds * 1000 });
+      return 'OK';
+    },
+    del: async keys => {
+      let removed = 0;
+      for (const key of [].concat(keys)) {
+        if (stores.some(store => store.delete(key))) removed++;
+      }
+      return removed;
+    },
+    keys: async glob => {
+      [...strings.keys()].forEach(live);
+      const pattern = toPattern(glob);
+      return [...new Set(stores.flatMap(store => [...store.keys()]))].filter(key => pattern.test(key));
+    },
+    expire: async () => 1,
+    pExpire: async () => 1,
+    pTTL: async key => {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    },
+    
+    hSet: async (key, field, value) => {
+      const hash = of(hashes, key, () => new Map());
+      const fields = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+      fields.forEach(([name, fieldValue]) => hash.set(name, String(fieldValue)));
+      return fields.length;
+    },
+    hGet: async (key, field) => (hashes.has(key) && hashes.get(key).has(field) ? hashes.get(key).get(field) : null),
+    hGetAll: async key => Object.fromEntries(hashes.get(key) || []),
+    hDel: async (key, field) => (hashes.has(key) && hashes.get(key).delete(field) ? 1 : 0),
+    hKeys: async key => [...(hashes.get(key) || new Map()).keys()],
+    
+    zAdd: async (key, { score, value }) => {
+      of(sortedSets, key, () => new Map()).set(value, score);
+      return 1;
+    },
+    zRem: async (key, value) => (sortedSets.has(key) && sortedSets.get(key).delete(value) ? 1 : 0),
+    zScore: async (key, value) => (sortedSets.has(key) && sortedSets.get(key).has(value) ? sortedSets.get(key).get(value) : null),
+    zCard: async key => (sortedSets.get(key) || new Map()).size,
+    zRangeByScore: async (key, min, max, { LIMIT } = {}) => {
+      const values = [...(sortedSets.get(key) || new Map())]
+        .filter(([, score]) => score >= Number(min) && score <= Number(max))
+        .sort((a, b) => a[1] - b[1])
+        .map(([value]) => value);
+      return LIMIT ? values.slice(LIMIT.offset, LIMIT.offset + LIMIT.count) : values;
+    },
+    
+    lPush: async (key, value) => of(lists, key, () => []).unshift(value),
+    rPush: async (key, value) => of(lists, key, () => []).push(value),
+    rPop: async key => (lists.has(key) && lists.get(key).length > 0 ? lists.get(key).pop() : null),
+    lLen: async key => (lists.get(key) || []).length,
+    lRange: async (key, start, stop) => (lists.get(key) || []).slice(start, stop === -1 ? undefined : stop + 1),
+    lTrim: async (key, start, stop) => {
+      lists.set(key, (lists.get(key) || []).slice(start, stop === -1 ? undefined : stop + 1));
+      return 'OK';
+    },
+    
+    sAdd: async (key, value) => {
+      const set = of(sets, key, () => new Set());
+      if (set.has(value)) return 0;
+      set.add(value);
+      return 1;
+    },
+    sRem: async (key, value) => (sets.has(key) && sets.get(key).delete(value) ? 1 : 0),
+    // Like redis v5, 1/0 rather than a boolean
+    sIsMember: async (key, value) => (sets.has(key) && sets.get(key).has(value) ? 1 : 0),
+    sMembers: async key => [...(sets.get(key) || [])],
+    sCard: async key => (sets.get(key) || new Set()).size
+  };
+}
+
+module.exports = {
+  createMemoryRedis
+};
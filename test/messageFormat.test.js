@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MARKDOWN_V2, HTML, getMessageFormat, escapeMarkdownV2, toHashtag } = require('../lib/messageFormat');
+const { formatCompactSignal, createSignalRouter } = require('../lib/routing');
+const { formatTokenSafety } = require('../lib/solana');
+
+// Token names are chosen by whoever launches the token
+const HOSTILE_NAMES = [
+  '_*[',
+  '*bold*',
+  '[click](http://evil.example)',
+  '](http://evil.example)',
+  '`code` and ```block```',
+  'back\\slash\\',
+  '<b>&amp;</b>',
+  '@everyone',
+  '~~__||spoiler||__~~',
+  '1.5x > 2! #moon {+}-='
+];
+
+// Strips MarkdownV2 escapes and fails on any reserved character left
+// unescaped outside of `*`/`_` entity markers the test expects
+function unescapeMarkdownV2(markup) {
+  let plain = '';
+  for (let i = 0; i < markup.length; i++) {
+    const char = markup[i];
+    if (char === '\\') {
+      plain += markup[++i];
+    } else {
+      assert.ok(!/[_*[\]()~`>#+\-=|{}.!]/.test(char), `unescaped "${char}" at ${i} in ${markup}`);
+      plain += char;
+    }
+  }
+  return plain;
+}
+
+const unescapeHtml = markup => {
+  assert.ok(!/<(?!\/?(b|i|code|a)[ >])/.test(markup), `stray tag in ${markup}`);
+  return markup
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+};
+
+const samplePool = (name, symbol) => ({
+  poolAddress: 'Pool111111111111111111111111111111111111111',
+  baseToken: { name, symbol, address: 'Mint111111111111111111111111111111111111111' },
+  pricing: { fdvUsd: 1234567, reserveUsd: 54321, priceChange24h: 12.5 },
+  ageData: { ageString: '2h 5m', ageInHours: 2 }
+});
+
+test('escapeMarkdownV2 round-trips hostile names as plain text', () => {
+  for (const name of HOSTILE_NAMES) {
+    assert.strictEqual(unescapeMarkdownV2(escapeMarkdownV2(name)), name);
+  }
+});
+
+test('MarkdownV2 text escapes values, literals and nothing inside fragments', () => {
+  const { text, bold, code } = MARKDOWN_V2;
+  const message = text`${bold('Token:')} ${'*bold*'} (v1.0)\n${code('a`b\\c')}`;
+  assert.strictEqual(String(message), '*Token:* \\*bold\\* \\(v1\\.0\\)\n`a\\`b\\\\c`');
+});
+
+test('MarkdownV2 links escape the label and only ) and \\ in the url', () => {
+  const { text, link } = MARKDOWN_V2;
+  const message = text`${link('[x](y)', 'https://example.com/a_(b)')}`;
+  assert.strictEqual(String(message), '[\\[x\\]\\(y\\)](https://example.com/a_(b\\))');
+});
+
+test('HTML text escapes values and keeps its own tags', () => {
+  const { text, bold, code, link } = HTML;
+  const message = text`${bold('Token:')} ${'<b>&amp;</b>'} ${code('<i>')} ${link('x', 'https://e.com/?a="1"&b=2')}`;
+  assert.strictEqual(
+    String(message),
+    '<b>Token:</b> &lt;b&gt;&amp;amp;&lt;/b&gt; <code>&lt;i&gt;</code> <a href="https://e.com/?a=&quot;1&quot;&amp;b=2">x</a>'
+  );
+});
+
+test('bold cannot be closed early by a hostile value', () => {
+  for (const name of HOSTILE_NAMES) {
+    const markdown = String(MARKDOWN_V2.bold(name));
+    assert.strictEqual(unescapeMarkdownV2(markdown.slice(1, -1)), name);
+    const html = String(HTML.bold(name));
+    assert.strictEqual(unescapeHtml(html.slice(3, -4)), name);
+  }
+});
+
+test('null, undefined and false render as nothing; arrays are joined', () => {
+  const { text, join } = MARKDOWN_V2;
+  assert.strictEqual(String(text`a${null}${undefined}${false}b`), 'ab');
+  assert.strictEqual(String(text`${['x.', text`*`]}`), 'x\\.\\*');
+  assert.strictEqual(String(join([text`a`, 'b.', null], ' - ')), 'a \\- b\\.');
+});
+
+test('getMessageFormat resolves parse modes and rejects unknown ones', () => {
+  assert.strictEqual(getMessageFormat(), MARKDOWN_V2);
+  assert.strictEqual(getMessageFormat('HTML'), HTML);
+  assert.throws(() => getMessageFormat('Markdown'), /Unknown parse mode "Markdown"/);
+});
+
+test('toHashtag keeps only characters hashtags allow', () => {
+  assert.strictEqual(toHashtag('$PEPE-2.0 [x]'), 'PEPE20x');
+  assert.strictEqual(toHashtag('_*['), '_');
+});
+
+test('formatCompactSignal shows hostile names verbatim in both formats', () => {
+  for (const name of HOSTILE_NAMES) {
+    const pool = samplePool(name, name);
+    const [title] = String(formatCompactSignal(pool, 'Test', MARKDOWN_V2)).split('\n');
+    assert.strictEqual(unescapeMarkdownV2(title.replace('*TEST*', 'TEST')), `🚀 TEST: ${name} (${name})`);
+    
+    const html = unescapeHtml(String(formatCompactSignal(pool, 'Test', HTML)));
+    assert.ok(html.includes(`<b>TEST</b>: ${name} (${name})\n`), html);
+  }
+});
+
+test('formatTokenSafety escapes RPC error text', () => {
+  const markup = String(formatTokenSafety({ error: 'bad_request [429]' }));
+  assert.strictEqual(markup, '🛡️ *Token Safety:* ⚠️ Unverified \\(bad\\_request \\[429\\]\\)\n');
+});
+
+test('Telegram destinations send in their own parse mode', async () => {
+  const sent = [];
+  const queue = { enqueue: async (chat, text, options) => sent.push({ chat, text, options }) };
+  const rateLimit = { requestsPerMinute: 600, burst: 10 };
+  const router = createSignalRouter({
+    queue,
+    botId: 'test',
+    strategy: { name: 'test', title: 'Test' },
+    templates: { compact: (poolData, context, format) => formatCompactSignal(poolData, 'Test', format) },
+    destinations: [
+      { name: 'md', type: 'telegram', chat: '@md', template: 'compact', parseMode: 'MarkdownV2', rateLimit },
+      { name: 'html', type: 'telegram', chat: '@html', template: 'compact', parseMode: 'HTML', rateLimit }
+    ]
+  });
+  
+  await router.route(samplePool('*evil*', '<b>'));
+  assert.deepStrictEqual(sent.map(({ options }) => options.parse_mode), ['MarkdownV2', 'HTML']);
+  assert.strictEqual(typeof sent[0].text, 'string');
+  assert.ok(sent[0].text.includes('\\*evil\\* \\(<b\\>\\)'));
+  assert.ok(sent[1].text.includes('*evil* (&lt;b&gt;)'));
+});
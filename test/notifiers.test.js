@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { configureRateLimits } = require('../lib/rateLimit');
+const {
+  createDiscordNotifier,
+  createWebhookNotifier,
+  verifyWebhookSignature,
+  signWebhookBody
+} = require('../lib/notifiers');
+
+// ==============================
+// WEBHOOK AND DISCORD DELIVERY
+// ==============================
+// A local receiver records every POST as delivered (headers and raw body) and
+// answers with the next scripted status, 204 once the script runs out.
+let receiver;
+
+async function startReceiver() {
+  const deliveries = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      deliveries.push({ method: req.method, path: req.url, headers: req.headers, body });
+      res.writeHead(statuses.shift() || 204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    deliveries,
+    answer: (...next) => statuses.push(...next),
+    reset: () => {
+      deliveries.length = 0;
+      statuses.length = 0;
+    },
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+test.before(async () => {
+  receiver = await startReceiver();
+  configureRateLimits({ default: { requestsPerMinute: 60000, burst: 100 } });
+});
+
+test.after(async () => {
+  configureRateLimits();
+  await receiver.close();
+});
+
+test.beforeEach(t => {
+  receiver.reset();
+  t.mock.method(console, 'log', () => {});
+  // Retries wait the shortest backoff: half of the 1s base delay
+  t.mock.method(Math, 'random', () => 0);
+});
+
+const SECRET = 'test-secret';
+
+const poolData = {
+  poolAddress: 'PoolGood1111',
+  dexId: 'meteora-damm-v2',
+  baseToken: { address: 'MintGood1111', symbol: 'GOOD', name: '@everyone Good Token' },
+  ageData: { ageString: '1h 5m', ageInHours: 1.08 },
+  pricing: { fdvUsd: 2000000, reserveUsd: 50000, volume24h: 125000, priceChange24h: -3.5 }
+};
+
+test('webhooks post the signal as JSON with a verifiable signature', async () => {
+  const notifier = createWebhookNotifier({ url: `${receiver.url}/hooks/signals`, secret: SECRET, botId: 'pump-graduates', strategy: 'meteoraPumpGraduate' });
+  const context = { connection: {}, dexscreener: {}, strategy: 'meteoraPumpGraduate', tokenSafety: { hasMintAuthority: false, supply: 10n ** 18n } };
+  await notifier.send(poolData, context);
+  
+  const [delivery] = receiver.deliveries;
+  assert.strictEqual(delivery.method, 'POST');
+  assert.strictEqual(delivery.path, '/hooks/signals');
+  assert.strictEqual(delivery.headers['content-type'], 'application/json');
+  assert.strictEqual(verifyWebhookSignature(delivery.body, delivery.headers, SECRET), true);
+  assert.strictEqual(delivery.headers['x-signal-signature'], signWebhookBody(delivery.body, SECRET, delivery.headers['x-signal-timestamp']));
+  
+  const payload = JSON.parse(delivery.body);
+  assert.strictEqual(payload.event, 'signal');
+  assert.strictEqual(payload.id, 'pump-graduates:PoolGood1111');
+  assert.strictEqual(payload.botId, 'pump-graduates');
+  assert.strictEqual(payload.strategy, 'meteoraPumpGraduate');
+  assert.deepStrictEqual(payload.poolData, poolData);
+  // Services are left out and BigInts sent as strings
+  assert.deepStrictEqual(payload.checks, { tokenSafety: { hasMintAuthority: false, supply: '1000000000000000000' } });
+});
+
+test('a signature fails for another secret, a changed body or a stale timestamp', async () => {
+  const notifier = createWebhookNotifier({ url: receiver.url, secret: SECRET, botId: 'pump-graduates', strategy: 'meteoraPumpGraduate' });
+  await notifier.send(poolData, {});
+  const [{ body, headers }] = receiver.deliveries;
+  
+  assert.strictEqual(verifyWebhookSignature(body, headers, 'other-secret'), false);
+  assert.strictEqual(verifyWebhookSignature(body.replace('GOOD', 'EVIL'), headers, SECRET), false);
+  assert.strictEqual(verifyWebhookSignature(body, headers, SECRET, { toleranceMs: -1 }), false);
+  assert.strictEqual(verifyWebhookSignature(body, { ...headers, 'x-signal-signature': undefined }, SECRET), false);
+});
+
+test('a 5xx is retried with the same signed body, a 4xx is not', async () => {
+  const notifier = createWebhookNotifier({ url: receiver.url, secret: SECRET, botId: 'pump-graduates', strategy: 'meteoraPumpGraduate' });
+  
+  receiver.answer(503);
+  await notifier.send(poolData, {});
+  assert.strictEqual(receiver.deliveries.length, 2);
+  const [failed, retried] = receiver.deliveries;
+  assert.strictEqual(retried.body, failed.body);
+  assert.strictEqual(retried.headers['x-signal-signature'], failed.headers['x-signal-signature']);
+  assert.strictEqual(verifyWebhookSignature(retried.body, retried.headers, SECRET), true);
+  
+  receiver.reset();
+  receiver.answer(400);
+  await assert.rejects(notifier.send(poolData, {}), /status code 400/);
+  assert.strictEqual(receiver.deliveries.length, 1);
+});
+
+test('Discord gets one embed with the signal fields and no mentions', async () => {
+  const notifier = createDiscordNotifier({ url: `${receiver.url}/api/webhooks/1/abc`, title: 'Meteora pump graduate' });
+  await notifier.send(poolData, {});
+  
+  const [delivery] = receiver.deliveries;
+  assert.strictEqual(delivery.path, '/api/webhooks/1/abc');
+  const { embeds, allowed_mentions: allowedMentions } = JSON.parse(delivery.body);
+  assert.deepStrictEqual(allowedMentions, { parse: [] });
+  assert.strictEqual(embeds.length, 1);
+  
+  const [embed] = embeds;
+  assert.strictEqual(embed.title, 'Meteora pump graduate: @everyone Good Token (GOOD)');
+  assert.strictEqual(embed.url, 'https://dexscreener.com/solana/MintGood1111');
+  assert.strictEqual(embed.color, 0xe74c3c);
+  assert.ok(!Number.isNaN(Date.parse(embed.timestamp)));
+  assert.deepStrictEqual(embed.fields.map(field => [field.name, field.value]), [
+    ['Market Cap', '$2,000,000'],
+    ['Liquidity', '$50,000'],
+    ['Pool Age', '1h 5m'],
+    ['24h Volume', '$125,000'],
+    ['24h Change', '-3.50%'],
+    ['DEX', 'meteora-damm-v2'],
+    ['Token Address', '`MintGood1111`'],
+    ['Pool', '[PoolGood1111](https://www.geckoterminal.com/solana/pools/PoolGood1111)']
+  ]);
+  
+  receiver.reset();
+  receiver.answer(502);
+  await notifier.send({ ...poolData, pricing: { ...poolData.pricing, priceChange24h: 12 } }, {});
+  assert.strictEqual(receiver.deliveries.length, 2);
+  assert.strictEqual(JSON.parse(receiver.deliveries[1].body).embeds[0].color, 0x2ecc71);
+});
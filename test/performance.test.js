@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startFakeApis } = require('./helpers/fakeApis');
+const { createMemoryRedis } = require('./helpers/memoryRedis');
+
+// ==============================
+// PERFORMANCE CHECKPOINTS, OFFLINE
+// ==============================
+// Signals are tracked as if sent some hours ago, and the pools are sampled
+// from the recordings: PoolGood1111 trades at 2.5x entry, PoolWhale111 at 0.5x
+// and anything else is unknown to both APIs (a rug). lib/ is required once
+// the fake server is up, as in cycle.test.js.
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let fake;
+let lib;
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test.before(async () => {
+  fake = await startFakeApis();
+  process.env.GECKOTERMINAL_API_URL = `${fake.url}/api/v2/networks/solana`;
+  process.env.DEXSCREENER_API_URL = fake.url;
+  lib = require('../lib');
+  lib.configureRateLimits({ default: { requestsPerMinute: 60000, burst: 100 } });
+});
+
+test.after(async () => {
+  await fake.close();
+});
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const poolData = (poolAddress, symbol) => ({
+  poolAddress,
+  baseToken: { address: `Mint${poolAddress.slice(4)}`, symbol, name: symbol },
+  pricing: { baseTokenPriceUsd: 0.001, fdvUsd: 200000, reserveUsd: 50000 }
+});
+
+// No DexScreener pairs, so GeckoTerminal's single pool lookup decides
+const noPairs = { getTokenPairs: async () => [] };
+
+function createTracker({ redisClient = createMemoryRedis(), botId = 'test', queue = null } = {}) {
+  return lib.createPerformanceTracker({
+    redisClient,
+    keyPrefix: 'test',
+    botId,
+    strategy: { name: 'meteoraPumpGraduate' },
+    queue,
+    dexscreener: noPairs,
+    pollInterval: 10
+  });
+}
+
+async function runUntil(tracker, condition) {
+  tracker.start();
+  try {
+    await waitFor(condition);
+  } finally {
+    tracker.stop();
+  }
+}
+
+const getRecord = async (tracker, poolAddress) => (await tracker.getResults()).find(record => record.poolAddress === poolAddress);
+
+test('a due checkpoint is sampled against the entry price', async () => {
+  const tracker = createTracker();
+  await tracker.track(poolData('PoolGood1111', 'GOOD'), Date.now() - 16 * MINUTE);
+  await runUntil(tracker, async () => (await getRecord(tracker, 'PoolGood1111')).samples['15m']);
+  
+  const record = await getRecord(tracker, 'PoolGood1111');
+  assert.strictEqual(record.samples['15m'].multiple, 2.5);
+  assert.strictEqual(record.samples['15m'].source, 'geckoterminal');
+  assert.strictEqual(record.peak.multiple, 2.5);
+  assert.deepStrictEqual(await tracker.getStats(), { tracked: 1, sampled: 1, missed: 0, replies: 0, pending: 1 });
+});
+
+test('checkpoints that passed while the bot was down are marked missed', async () => {
+  const tracker = createTracker();
+  await tracker.track(poolData('PoolGood1111', 'GOOD'), Date.now() - 2 * HOUR);
+  await runUntil(tracker, async () => (await getRecord(tracker, 'PoolGood1111')).samples['1h']);
+  
+  const record = await getRecord(tracker, 'PoolGood1111');
+  assert.deepStrictEqual(record.missed, ['15m']);
+  assert.deepStrictEqual(Object.keys(record.samples), ['1h']);
+});
+
+test('a pool without a price is retried within the checkpoint window', async () => {
+  const redisClient = createMemoryRedis();
+  const tracker = createTracker({ redisClient });
+  await tracker.track(poolData('PoolRug11111', 'RUG'), Date.now() - 25 * HOUR);
+  
+  const lookups = () => fake.requests.filter(request => request.path.endsWith('/pools/PoolRug11111')).length;
+  const before = lookups();
+  await runUntil(tracker, () => lookups() >= before + 2);
+  
+  const record = await getRecord(tracker, 'PoolRug11111');
+  assert.deepStrictEqual(record.missed, []);
+  assert.deepStrictEqual(record.samples, {});
+  assert.strictEqual(await redisClient.zCard('test:performance_due:test'), 1);
+});
+
+test('a pool without a price past the last window is finalized as missed', async () => {
+  const redisClient = createMemoryRedis();
+  const tracker = createTracker({ redisClient });
+  await tracker.track(poolData('PoolRug11111', 'RUG'), Date.now() - 37 * HOUR);
+  await runUntil(tracker, async () => (await getRecord(tracker, 'PoolRug11111')).missed.length > 0);
+  
+  const record = await getRecord(tracker, 'PoolRug11111');
+  assert.deepStrictEqual(record.missed, ['15m', '1h', '6h', '24h']);
+  assert.strictEqual(await redisClient.zCard('test:performance_due:test'), 0);
+  assert.strictEqual((await tracker.getStats()).missed, 4);
+});
+
+test('trackers sharing one Redis reply only to their own signals', async () => {
+  const redisClient = createMemoryRedis();
+  const bots = {};
+  const trackers = {};
+  const queues = {};
+  
+  for (const botId of ['a', 'b']) {
+    const sent = [];
+    bots[botId] = {
+      sent,
+      async sendMessage(chatId, text, options) {
+        sent.push({ chatId, text, options });
+        return { message_id: sent.length, chat: { id: chatId }, text };
+      }
+    };
+    queues[botId] = lib.createTelegramQueue({
+      bot: bots[botId],
+      redisClient,
+      keyPrefix: 'test',
+      botId,
+      onSent: (job, message) => trackers[botId].recordMessage(job, message),
+      chatInterval: 5,
+      pollInterval: 5
+    });
+    trackers[botId] = createTracker({ redisClient, botId, queue: queues[botId] });
+  }
+
+  // Both signal at once, as raydium-graduates and pumpswap-fresh do on one prefix
+  const signals = { a: poolData('PoolGood1111', 'GOOD'), b: poolData('PoolWhale111', 'WHALE') };
+  for (const botId of ['a', 'b']) {
+    await queues[botId].enqueue(`@channel_${botId}`, `signal ${botId}`, {}, { signalOf: botId, poolAddress: signals[botId].poolAddress });
+    await trackers[botId].track(signals[botId], Date.now() - 16 * MINUTE);
+  }
+  
+  for (const botId of ['a', 'b']) {
+    queues[botId].start();
+  }
+  try {
+    // Sent, and the message ids stored by onSent for the replies
+    const posted = botId => redisClient.lLen(`test:performance_messages:${botId}:${signals[botId].poolAddress}`);
+    await waitFor(async () => (await posted('a')) === 1 && (await posted('b')) === 1);
+    for (const botId of ['a', 'b']) {
+      await runUntil(trackers[botId], () => trackers[botId].getStats().then(stats => stats.replies === 1));
+    }
+    await waitFor(() => bots.a.sent.length === 2 && bots.b.sent.length === 2);
+  } finally {
+    for (const botId of ['a', 'b']) {
+      queues[botId].stop();
+    }
+  }
+  
+  for (const botId of ['a', 'b']) {
+    const [signal, update] = bots[botId].sent;
+    assert.strictEqual(signal.text, `signal ${botId}`);
+    assert.strictEqual(update.chatId, `@channel_${botId}`);
+    assert.strictEqual(update.options.reply_to_message_id, 1);
+  }
+  assert.match(bots.a.sent[1].text, /GOOD/);
+  assert.match(bots.b.sent[1].text, /WHALE/);
+});
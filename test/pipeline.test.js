@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveStage, createPipeline, verifyFilters } = require('../lib/pipeline');
+const { getStrategy } = require('../lib/strategies');
+const { extractPoolData } = require('../lib/pools');
+const { readRecordings } = require('../lib/recorder');
+const { splitTokenPairs } = require('../lib/dexscreener');
+const { DEFAULT_FIXTURES } = require('./helpers/fakeApis');
+
+// The recorded pools and pairs, as seen when they were recorded
+const NOW = Date.parse('2025-10-18T12:00:00Z');
+const pools = readRecordings(DEFAULT_FIXTURES, 'geckoterminal').entries
+  .filter(entry => entry.endpoint)
+  .flatMap(entry => entry.response.data);
+const poolData = address => extractPoolData(pools.find(pool => pool.attributes.address === address), { now: NOW });
+
+const pairs = new Map();
+for (const entry of readRecordings(DEFAULT_FIXTURES, 'dexscreener').entries) {
+  for (const [address, tokenPairs] of splitTokenPairs(entry.addresses, entry.response.pairs)) {
+    pairs.set(address, tokenPairs);
+  }
+}
+const dexscreener = { getTokenPairs: async address => pairs.get(address) || null };
+
+const strategy = getStrategy('meteoraPumpGraduate');
+const offlineStages = strategy.stages.filter(spec => !resolveStage(spec).usesRpc);
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('each filter stage rejects with its reason', async () => {
+  const pipeline = createPipeline(offlineStages);
+  const cases = {
+    PoolOld11111: ['maxPoolAge', 'pool too old (8h > 6h)'],
+    PoolDump1111: ['positivePriceChange', 'non-positive 24h price change (-5.00%)'],
+    PoolWhale111: ['maxMarketCap', 'market cap too high ($40,000,000 > $15,000,000)'],
+    PoolThin1111: ['minLiquidity', 'liquidity too low ($3,000 < $10,000)'],
+    PoolVet11111: ['maxTokenPairAge', 'token has pools older than 24h (oldest: 72.00h)'],
+    PoolNoPump11: ['pumpGraduate', 'token is not on PumpFun/PumpSwap']
+  };
+  
+  for (const [address, [failedStage, reason]] of Object.entries(cases)) {
+    const result = await pipeline.run(poolData(address), { dexscreener, now: NOW });
+    assert.strictEqual(result.passed, false, address);
+    assert.strictEqual(result.failedStage, failedStage, address);
+    assert.strictEqual(result.reason, reason, address);
+  }
+});
+
+test('a graduate passes and carries the DexScreener findings', async () => {
+  const pipeline = createPipeline(offlineStages);
+  const result = await pipeline.run(poolData('PoolGood1111'), { dexscreener, now: NOW });
+  
+  assert.strictEqual(result.passed, true);
+  assert.deepStrictEqual(result.results.map(item => item.stage), offlineStages.map(spec => spec.stage || spec));
+  assert.strictEqual(result.context.pumpPools.hasPumpFun, true);
+  assert.strictEqual(result.context.pumpPools.hasPumpSwap, false);
+  assert.strictEqual(result.context.poolAgeInfo.oldestPoolAgeHours, 3);
+});
+
+test('stopOnReject: false reports every stage', async () => {
+  const pipeline = createPipeline(offlineStages);
+  const result = await pipeline.run(poolData('PoolWhale111'), { dexscreener, now: NOW }, { stopOnReject: false });
+  
+  assert.strictEqual(result.failedStage, 'maxMarketCap');
+  assert.strictEqual(result.results.length, offlineStages.length);
+  assert.deepStrictEqual(result.results.filter(item => !item.passed).map(item => item.stage), ['maxMarketCap']);
+});
+
+test('a failed DexScreener lookup fails the stage instead of judging the token', async () => {
+  const broken = { getTokenPairs: async () => { throw new Error('boom'); } };
+  for (const stage of ['maxTokenPairAge', 'pumpGraduate', 'raydiumGraduate']) {
+    const result = await createPipeline([stage]).run(poolData('PoolGood1111'), { dexscreener: broken });
+    assert.strictEqual(result.passed, false, stage);
+    assert.strictEqual(result.error, true, stage);
+    assert.strictEqual(result.reason, 'stage error: boom', stage);
+  }
+});
+
+test('a throwing stage rejects instead of failing the pipeline', async () => {
+  const pipeline = createPipeline(['maxMarketCap']);
+  const result = await pipeline.run({ baseToken: { symbol: 'BROKEN' } });
+  
+  assert.strictEqual(result.passed, false);
+  assert.strictEqual(result.error, true);
+  assert.strictEqual(result.failedStage, 'maxMarketCap');
+  assert.match(result.reason, /^stage error: /);
+});
+
+test('filters override stage defaults and spec params', async () => {
+  const stage = resolveStage({ stage: 'maxMarketCap', params: { maxMarketCap: 15000000 } }, { maxMarketCap: 50000000, minLiquidity: 1 });
+  assert.deepStrictEqual(stage.params, { maxMarketCap: 50000000 });
+  assert.strictEqual(stage.describe(), '< $50,000,000 USD');
+  
+  const pipeline = createPipeline(offlineStages, { maxMarketCap: 50000000 });
+  const result = await pipeline.run(poolData('PoolWhale111'), { dexscreener, now: NOW });
+  assert.strictEqual(result.passed, true);
+  
+  assert.throws(() => resolveStage('noSuchStage'), /Unknown filter stage "noSuchStage"/);
+});
+
+test('setFilter changes a parameter on the running stages', async () => {
+  const pipeline = createPipeline(offlineStages);
+  assert.deepStrictEqual(pipeline.setFilter('minLiquidity', 1000), ['minLiquidity']);
+  assert.deepStrictEqual(pipeline.setFilter('unknownFilter', 1), []);
+  
+  const result = await pipeline.run(poolData('PoolThin1111'), { dexscreener, now: NOW });
+  assert.strictEqual(result.passed, true);
+});
+
+test('verifyFilters reports filters the pipeline does not apply as configured', () => {
+  const pipeline = createPipeline(offlineStages, { maxMarketCap: 20000000 });
+  
+  assert.deepStrictEqual(verifyFilters(pipeline, { maxMarketCap: 20000000, minLiquidity: 10000 }), []);
+  assert.deepStrictEqual(verifyFilters(pipeline, { maxMarketCap: 15000000, maxTop10HolderPercent: 30 }), [
+    'filters.maxMarketCap is configured as 15000000 but the maxMarketCap stage applies 20000000',
+    'filters.maxTop10HolderPercent is configured but no stage in the pipeline applies it'
+  ]);
+});
+
+test('verifyFilters catches a stage that drifted from the configured filters', () => {
+  const filters = { maxMarketCap: 15000000, minLiquidity: 10000 };
+  const pipeline = createPipeline(offlineStages, filters);
+  assert.deepStrictEqual(verifyFilters(pipeline, filters), []);
+  
+  pipeline.setFilter('minLiquidity', 25000);
+  assert.deepStrictEqual(verifyFilters(pipeline, filters), [
+    'filters.minLiquidity is configured as 10000 but the minLiquidity stage applies 25000'
+  ]);
+  
+  // Each stage taking a filter is checked, not just the last one to set it
+  const shared = createPipeline([{ stage: 'minLiquidity', params: { minLiquidity: 5000 } }, ...offlineStages]);
+  assert.deepStrictEqual(verifyFilters(shared, { minLiquidity: 10000 }), [
+    'filters.minLiquidity is configured as 10000 but the minLiquidity stage applies 5000'
+  ]);
+});
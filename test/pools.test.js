@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePoolAge, extractPoolData, getPoolDexId } = require('../lib/pools');
+const { readRecordings } = require('../lib/recorder');
+const { DEFAULT_FIXTURES } = require('./helpers/fakeApis');
+
+const NOW = Date.parse('2025-10-18T12:00:00Z');
+const MINUTE = 60 * 1000;
+const [firstPage] = readRecordings(DEFAULT_FIXTURES, 'geckoterminal').entries;
+const goodPool = firstPage.response.data.find(pool => pool.attributes.address === 'PoolGood1111');
+
+test('parsePoolAge formats minutes, hours and days', () => {
+  const ageAt = minutes => parsePoolAge(new Date(NOW - minutes * MINUTE).toISOString(), NOW);
+  
+  assert.strictEqual(ageAt(45).ageString, '45m');
+  assert.strictEqual(ageAt(150).ageString, '2h 30m');
+  assert.strictEqual(ageAt(180).ageString, '3h');
+  assert.strictEqual(ageAt(2 * 24 * 60 + 5).ageString, '2d');
+  
+  const age = ageAt(90);
+  assert.strictEqual(age.ageInMinutes, 90);
+  assert.strictEqual(age.ageInHours, 1.5);
+});
+
+test('parsePoolAge treats an unreadable date as infinitely old', () => {
+  const age = parsePoolAge('not a date', NOW);
+  assert.deepStrictEqual(age, { ageString: 'Unknown', ageInMinutes: Infinity, ageInHours: Infinity });
+});
+
+test('extractPoolData flattens a GeckoTerminal pool', () => {
+  const poolData = extractPoolData(goodPool, { now: NOW });
+  
+  assert.strictEqual(poolData.poolAddress, 'PoolGood1111');
+  assert.strictEqual(poolData.poolId, 'solana_PoolGood1111');
+  assert.strictEqual(poolData.baseTokenAddress, 'MintGood1111');
+  assert.strictEqual(poolData.quoteTokenAddress, 'So11111111111111111111111111111111111111112');
+  assert.strictEqual(poolData.dexId, 'meteora');
+  assert.deepStrictEqual(poolData.baseToken, { address: 'MintGood1111', symbol: 'GOOD', name: 'GOOD' });
+  assert.strictEqual(poolData.ageData.ageString, '1h');
+  assert.deepStrictEqual(poolData.pricing, {
+    baseTokenPriceUsd: 0.001,
+    fdvUsd: 2000000,
+    marketCapUsd: null,
+    reserveUsd: 50000,
+    priceChange24h: 25,
+    volume24h: 120000.25
+  });
+  assert.deepStrictEqual(poolData.transactions, { buys24h: 420, sells24h: 180, buyers24h: 300, sellers24h: 120 });
+  assert.strictEqual(getPoolDexId(goodPool), 'meteora');
+});
+
+test('extractPoolData defaults missing numbers to 0', () => {
+  const bare = {
+    id: 'solana_PoolBare',
+    attributes: { address: 'PoolBare', name: 'BARE / SOL', pool_created_at: new Date(NOW).toISOString() },
+    relationships: { base_token: { data: { id: 'solana_MintBare' } } }
+  };
+  const poolData = extractPoolData(bare, { now: NOW });
+  
+  assert.strictEqual(poolData.pricing.fdvUsd, 0);
+  assert.strictEqual(poolData.pricing.reserveUsd, 0);
+  assert.strictEqual(poolData.pricing.priceChange24h, 0);
+  assert.deepStrictEqual(poolData.transactions, { buys24h: 0, sells24h: 0, buyers24h: 0, sellers24h: 0 });
+  assert.strictEqual(poolData.quoteTokenAddress, null);
+  assert.strictEqual(poolData.dexId, undefined);
+});
+
+test('extractPoolData returns null for a malformed pool', t => {
+  t.mock.method(console, 'error', () => {});
+  assert.strictEqual(extractPoolData({ id: 'solana_Broken' }), null);
+  assert.strictEqual(extractPoolData({ attributes: { address: 'NoName' }, relationships: {} }), null);
+});
@@ -0,0 +1,191 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  POOL_PROGRAMS,
+  getProgramsForDexIds,
+  findProgramInvocations,
+  decodePoolInits,
+  createProgramLogSource
+} = require('../lib/programLogs');
+
+// ==============================
+// TRANSACTION FIXTURES
+// ==============================
+// getParsedTransaction (jsonParsed) responses with the account lists laid out
+// as in each program's IDL: a DLMM pair, a DAMM v2 pool created directly and
+// by a Dynamic Bonding Curve migration, a PumpSwap pool created by a pump.fun
+// migration, and a PumpSwap buy that creates nothing.
+const FIXTURES = path.join(__dirname, 'fixtures', 'transactions');
+const loadTransaction = name => JSON.parse(fs.readFileSync(path.join(FIXTURES, `${name}.json`), 'utf8'));
+
+const program = name => ({ name, ...POOL_PROGRAMS[name] });
+const WSOL = 'So11111111111111111111111111111111111111112';
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('decodePoolInits reads the pool and mints of each program\'s create instruction', () => {
+  const cases = [
+    ['dlmm-initialize-lb-pair2', 'meteoraDlmm', {
+      dexId: 'meteora',
+      instruction: 'InitializeLbPair2',
+      poolAddress: '5HUf5KW51wdc1q6hmxx3UXyX1ZwSYVP5GU39tYsP7iV3',
+      mintA: 'FkYAYoQaTuNzP7Mnp4UfaoePLVfBzPJGA7HbZ4sUqjUv'
+    }],
+    ['damm-v2-initialize-pool', 'meteoraDammV2', {
+      dexId: 'meteora-damm-v2',
+      instruction: 'InitializePool',
+      poolAddress: '64QpFMY7ByGc2UmrBge85cchCW3UqWRo3RLyRQgYncaT',
+      mintA: 'DeJdKRZXXrgenAy6vhjhrhzUBXbLSnQJFAPjeQ8AijRj'
+    }],
+    ['damm-v2-dbc-migration', 'meteoraDammV2', {
+      dexId: 'meteora-damm-v2',
+      instruction: 'InitializePoolWithDynamicConfig',
+      poolAddress: '5rRB61wgneMU7PSphE4FgcbtGWBSTtQPWzQKNbhFWPEz',
+      mintA: 'FhnVa6iPFBbLYnfzix5gkzYMFanmWhCiqq2ZxhV7EPW6'
+    }],
+    ['pumpswap-migrate', 'pumpswap', {
+      dexId: 'pumpswap',
+      instruction: 'CreatePool',
+      poolAddress: 'BA3to3AA1PnK1RrHUdu7q8ex9NZFDweFkonxZP5XbBLt',
+      mintA: 'Hdx2SzUrqyiBrCo3DE2Hfeh2agKoUGEEsv8hoh89dpxa'
+    }]
+  ];
+  
+  for (const [fixture, name, expected] of cases) {
+    assert.deepStrictEqual(decodePoolInits(loadTransaction(fixture), program(name)), [
+      { program: name, ...expected, mintB: WSOL }
+    ], fixture);
+  }
+});
+
+test('decodePoolInits finds nothing in swaps, failed or other programs\' transactions', () => {
+  assert.deepStrictEqual(decodePoolInits(loadTransaction('pumpswap-buy'), program('pumpswap')), []);
+  assert.deepStrictEqual(decodePoolInits(loadTransaction('pumpswap-migrate'), program('meteoraDammV2')), []);
+  assert.deepStrictEqual(decodePoolInits(null, program('pumpswap')), []);
+  
+  const transaction = loadTransaction('pumpswap-migrate');
+  transaction.meta.err = { InstructionError: [1, { Custom: 6001 }] };
+  assert.deepStrictEqual(decodePoolInits(transaction, program('pumpswap')), []);
+});
+
+test('findProgramInvocations lists CPIs in execution order with their instruction names', () => {
+  const { logMessages } = loadTransaction('damm-v2-dbc-migration').meta;
+  
+  assert.deepStrictEqual(findProgramInvocations(logMessages, POOL_PROGRAMS.meteoraDammV2.programId), [
+    { programId: POOL_PROGRAMS.meteoraDammV2.programId, instruction: 'InitializePoolWithDynamicConfig' },
+    // The event self-CPI logs no instruction name
+    { programId: POOL_PROGRAMS.meteoraDammV2.programId, instruction: null }
+  ]);
+  // The token transfer's "Instruction: Transfer" does not leak into the DBC entry
+  assert.deepStrictEqual(
+    findProgramInvocations(logMessages, 'dbcij3LWUppWqq96dh6gJWwBifmcGfLSB5D4DuSMaqN').map(entry => entry.instruction),
+    ['MigrationDammV2', null]
+  );
+  assert.deepStrictEqual(findProgramInvocations(undefined, POOL_PROGRAMS.pumpswap.programId), []);
+});
+
+test('getProgramsForDexIds maps GeckoTerminal dex ids to programs', () => {
+  assert.deepStrictEqual(getProgramsForDexIds(['meteora', 'pumpswap']).map(entry => entry.name), ['meteoraDlmm', 'pumpswap']);
+  assert.deepStrictEqual(getProgramsForDexIds(['meteora-damm-v2'])[0].programId, POOL_PROGRAMS.meteoraDammV2.programId);
+  assert.deepStrictEqual(getProgramsForDexIds(['raydium']), []);
+});
+
+// ==============================
+// LOG SUBSCRIPTION SOURCE
+// ==============================
+function createFakeConnection(transactions) {
+  const listeners = new Map();
+  const fetched = [];
+  let nextId = 1;
+  
+  return {
+    fetched,
+    listeners,
+    emit: (programId, logs) => {
+      for (const { address, callback } of listeners.values()) {
+        if (address === programId) callback(logs);
+      }
+    },
+    onLogs: (publicKey, callback) => {
+      listeners.set(nextId, { address: publicKey.toBase58(), callback });
+      return nextId++;
+    },
+    removeOnLogsListener: async id => {
+      listeners.delete(id);
+    },
+    getParsedTransaction: async signature => {
+      fetched.push(signature);
+      return transactions[signature] || null;
+    }
+  };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('the log source fetches each pool-creating transaction once and reports its pools', async () => {
+  const migrate = loadTransaction('pumpswap-migrate');
+  const buy = loadTransaction('pumpswap-buy');
+  const connection = createFakeConnection({ sigMigrate: migrate, sigBuy: buy });
+  const created = [];
+  
+  const source = createProgramLogSource({
+    connection,
+    programs: getProgramsForDexIds(['pumpswap']),
+    onPoolCreated: async event => created.push(event),
+    fetchRetries: 1
+  });
+  source.start();
+  assert.strictEqual(connection.listeners.size, 1);
+  
+  const programId = POOL_PROGRAMS.pumpswap.programId;
+  connection.emit(programId, { signature: 'sigBuy', err: null, logs: buy.meta.logMessages });
+  connection.emit(programId, { signature: 'sigFailed', err: { InstructionError: [1, {}] }, logs: migrate.meta.logMessages });
+  connection.emit(programId, { signature: 'sigMigrate', err: null, logs: migrate.meta.logMessages });
+  // The same notification again (e.g. after a resubscribe) is not fetched twice
+  connection.emit(programId, { signature: 'sigMigrate', err: null, logs: migrate.meta.logMessages });
+  await settle();
+  
+  assert.deepStrictEqual(connection.fetched, ['sigMigrate']);
+  assert.deepStrictEqual(created, [{
+    program: 'pumpswap',
+    dexId: 'pumpswap',
+    instruction: 'CreatePool',
+    poolAddress: 'BA3to3AA1PnK1RrHUdu7q8ex9NZFDweFkonxZP5XbBLt',
+    mintA: 'Hdx2SzUrqyiBrCo3DE2Hfeh2agKoUGEEsv8hoh89dpxa',
+    mintB: WSOL,
+    signature: 'sigMigrate'
+  }]);
+  
+  await source.stop();
+  assert.strictEqual(connection.listeners.size, 0);
+});
+
+test('the log source retries a transaction the RPC has not indexed yet', async () => {
+  const transaction = loadTransaction('dlmm-initialize-lb-pair2');
+  const connection = createFakeConnection({});
+  let calls = 0;
+  connection.getParsedTransaction = async () => (++calls < 3 ? null : transaction);
+  const created = [];
+  
+  const source = createProgramLogSource({
+    connection,
+    programs: getProgramsForDexIds(['meteora']),
+    onPoolCreated: async event => created.push(event),
+    fetchRetries: 3,
+    fetchRetryDelay: 1
+  });
+  source.start();
+  connection.emit(POOL_PROGRAMS.meteoraDlmm.programId, { signature: 'sigLate', err: null, logs: transaction.meta.logMessages });
+  
+  for (let i = 0; i < 100 && created.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  assert.strictEqual(calls, 3);
+  assert.strictEqual(created[0].poolAddress, '5HUf5KW51wdc1q6hmxx3UXyX1ZwSYVP5GU39tYsP7iV3');
+  await source.stop();
+});
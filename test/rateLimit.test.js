@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  createTokenBucket,
+  configureRateLimits,
+  getLimiter,
+  getRetryAfterMs,
+  getBackoffDelay,
+  requestWithRetry
+} = require('../lib/rateLimit');
+
+// ==============================
+// MOCKED CLOCK
+// ==============================
+// setTimeout and Date are mocked, so waits only pass on tick(). An axios
+// adapter stands in for the server: it records when each attempt was made and
+// answers with the next scripted status (200 once the script runs out).
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Math, 'random', () => 0);
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  configureRateLimits({ default: { requestsPerMinute: 60, burst: 5 } });
+});
+
+test.after(() => configureRateLimits());
+
+// Lets pending promise chains run up to their next (mocked) timer
+async function settle() {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+function createScriptedServer(...statuses) {
+  const attempts = [];
+  const adapter = async config => {
+    attempts.push(Date.now());
+    const next = statuses.shift() || { status: 200 };
+    const { status, headers = {} } = typeof next === 'number' ? { status: next } : next;
+    if (status >= 400) {
+      throw Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, headers, data: null, config }
+      });
+    }
+    return { status, statusText: 'OK', headers, data: { ok: true }, config };
+  };
+  return { attempts, adapter };
+}
+
+const request = (server, policy) => requestWithRetry({ method: 'get', url: 'https://api.example.test/x', adapter: server.adapter }, policy);
+
+test('a 429 waits for Retry-After and pauses the whole provider', async t => {
+  const server = createScriptedServer({ status: 429, headers: { 'retry-after': '2' } });
+  const pending = request(server);
+  await settle();
+  assert.deepStrictEqual(server.attempts, [0]);
+  assert.strictEqual(getLimiter('api.example.test').getState().pausedUntil, 2000);
+
+  // Another request to the same host waits out the pause too
+  const other = createScriptedServer();
+  const waiting = request(other);
+  await settle();
+  assert.deepStrictEqual(other.attempts, []);
+  
+  t.mock.timers.tick(1999);
+  await settle();
+  assert.deepStrictEqual(server.attempts, [0]);
+  
+  t.mock.timers.tick(1);
+  await settle();
+  assert.deepStrictEqual((await pending).data, { ok: true });
+  assert.deepStrictEqual(server.attempts, [0, 2000]);
+  await waiting;
+  assert.deepStrictEqual(other.attempts, [2000]);
+});
+
+test('a Retry-After longer than maxRetryAfter fails at once', async () => {
+  const server = createScriptedServer({ status: 429, headers: { 'retry-after': '600' } });
+  await assert.rejects(request(server), /status code 429/);
+  assert.deepStrictEqual(server.attempts, [0]);
+});
+
+test('retries stop after the cap with the last error, and 4xx are not retried', async t => {
+  const server = createScriptedServer(503, 503, 503, 503);
+  const pending = request(server, { retries: 2 });
+  pending.catch(() => {});
+
+  // Backoff with no jitter: 500ms, then 1000ms
+  for (const ms of [500, 1000]) {
+    await settle();
+    t.mock.timers.tick(ms);
+  }
+  await assert.rejects(pending, /status code 503/);
+  assert.deepStrictEqual(server.attempts, [0, 500, 1500]);
+  
+  const rejected = createScriptedServer(404);
+  await assert.rejects(request(rejected), /status code 404/);
+  assert.strictEqual(rejected.attempts.length, 1);
+});
+
+test('the token bucket serves its burst at once, then one token per refill', async t => {
+  const bucket = createTokenBucket({ requestsPerMinute: 60, burst: 2 });
+  const served = [];
+  for (let i = 0; i < 4; i++) {
+    bucket.acquire().then(() => served.push(Date.now()));
+  }
+  
+  await settle();
+  assert.deepStrictEqual(served, [0, 0]);
+  t.mock.timers.tick(1000);
+  await settle();
+  assert.deepStrictEqual(served, [0, 0, 1000]);
+  t.mock.timers.tick(1000);
+  await settle();
+  assert.deepStrictEqual(served, [0, 0, 1000, 2000]);
+
+  // Idle time refills up to the burst, not beyond
+  t.mock.timers.tick(60000);
+  bucket.acquire().then(() => served.push(Date.now()));
+  bucket.acquire().then(() => served.push(Date.now()));
+  bucket.acquire().then(() => served.push(Date.now()));
+  await settle();
+  assert.deepStrictEqual(served.slice(4), [62000, 62000]);
+  t.mock.timers.tick(1000);
+  await settle();
+  assert.deepStrictEqual(served.slice(4), [62000, 62000, 63000]);
+});
+
+test('Retry-After is read as seconds or a date, and backoff is capped', () => {
+  const retryAfter = value => getRetryAfterMs({ response: { headers: { 'retry-after': value } } });
+  assert.strictEqual(retryAfter('3'), 3000);
+  assert.strictEqual(retryAfter(new Date(5000).toUTCString()), 5000);
+  assert.strictEqual(retryAfter('soon'), null);
+  assert.strictEqual(getRetryAfterMs(new Error('ECONNRESET')), null);
+  
+  assert.strictEqual(getBackoffDelay(0, { baseDelay: 1000, maxDelay: 30000 }), 500);
+  assert.strictEqual(getBackoffDelay(3, { baseDelay: 1000, maxDelay: 30000 }), 4000);
+  assert.strictEqual(getBackoffDelay(10, { baseDelay: 1000, maxDelay: 30000 }), 15000);
+});
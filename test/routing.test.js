@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesRoute, formatCompactSignal, createSignalRouter } = require('../lib/routing');
+const { getStrategy } = require('../lib/strategies');
+
+const poolData = {
+  poolAddress: 'PoolGood1111',
+  baseToken: { address: 'MintGood1111', symbol: 'GOOD', name: 'Good Token' },
+  ageData: { ageString: '1h 30m', ageInHours: 1.5 },
+  pricing: { fdvUsd: 2000000, reserveUsd: 50000, priceChange24h: 12.5 }
+};
+
+const strategy = getStrategy('meteoraPumpGraduate');
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// ==============================
+// ROUTING RULES
+// ==============================
+test('a route matches only when every rule it sets holds', () => {
+  const cases = [
+    [undefined, true],
+    [{}, true],
+    [{ minMarketCap: 2000000 }, true],
+    [{ minMarketCap: 2000001 }, false],
+    [{ maxMarketCap: 2000000 }, true],
+    [{ maxMarketCap: 1999999 }, false],
+    [{ minLiquidity: 50000 }, true],
+    [{ minLiquidity: 50001 }, false],
+    [{ maxAgeHours: 1.5 }, true],
+    [{ maxAgeHours: 1 }, false],
+    [{ minPriceChange24h: 12.5 }, true],
+    [{ minPriceChange24h: 20 }, false],
+    [{ minPriceChange24h: -10 }, true],
+    [{ minMarketCap: 1000000, maxMarketCap: 5000000, minLiquidity: 10000 }, true],
+    [{ minMarketCap: 1000000, maxMarketCap: 5000000, maxAgeHours: 1 }, false]
+  ];
+  
+  for (const [when, expected] of cases) {
+    assert.strictEqual(matchesRoute(poolData, when), expected, JSON.stringify(when));
+  }
+});
+
+// ==============================
+// SIGNAL ROUTER
+// ==============================
+// Telegram destinations on a queue that records what it was given and
+// rejects for chats listed in `failing`
+function createRouter(destinations, failing = []) {
+  const jobs = [];
+  const queue = {
+    enqueue: async (chat, message, options, meta) => {
+      if (failing.includes(chat)) throw new Error(`${chat} is down`);
+      jobs.push({ chat, message, options, meta });
+    }
+  };
+  const rateLimit = { requestsPerMinute: 60000, burst: 100 };
+  const router = createSignalRouter({
+    queue,
+    destinations: destinations.map(destination => ({ type: 'telegram', template: 'compact', parseMode: 'HTML', rateLimit, ...destination })),
+    templates: { compact: (data, context, format) => formatCompactSignal(data, strategy.title, format) },
+    botId: 'pump-graduates',
+    strategy
+  });
+  return { router, jobs };
+}
+
+test('signals go to every destination whose rule they match', async () => {
+  const { router, jobs } = createRouter([
+    { name: 'all', chat: '@all', when: {} },
+    { name: 'big', chat: '@big', when: { minMarketCap: 10000000 } },
+    { name: 'pumping', chat: '@pumping', when: { minPriceChange24h: 10 }, topic: 7 }
+  ]);
+  
+  assert.deepStrictEqual(await router.route(poolData), ['all', 'pumping']);
+  assert.deepStrictEqual(jobs.map(job => job.chat), ['@all', '@pumping']);
+  assert.strictEqual(jobs[1].options.message_thread_id, 7);
+  assert.strictEqual(jobs[0].options.parse_mode, 'HTML');
+  assert.match(jobs[0].message, /<b>METEORA PUMP GRADUATE<\/b>: Good Token \(GOOD\)/);
+  assert.deepStrictEqual(jobs[0].meta, { signalOf: 'pump-graduates', poolAddress: 'PoolGood1111' });
+
+  // A signal no rule matches is not an error
+  assert.deepStrictEqual(await router.route({ ...poolData, pricing: { ...poolData.pricing, priceChange24h: -5 } }), ['all']);
+});
+
+test('one failing destination does not stop the others; all failing throws', async () => {
+  const { router, jobs } = createRouter([
+    { name: 'main', chat: '@main', when: {} },
+    { name: 'backup', chat: '@backup', when: {} }
+  ], ['@main']);
+  assert.deepStrictEqual(await router.route(poolData), ['backup']);
+  assert.deepStrictEqual(jobs.map(job => job.chat), ['@backup']);
+  
+  const { router: broken } = createRouter([{ name: 'main', chat: '@main', when: {} }], ['@main']);
+  await assert.rejects(broken.route(poolData), /GOOD signal reached none of its destinations \(main\)/);
+});
+
+test('Telegram destinations are left out without a bot, unknown templates are refused', () => {
+  const router = createSignalRouter({
+    queue: null,
+    destinations: [{ name: 'channel', type: 'telegram', chat: '@c', template: 'compact', rateLimit: { requestsPerMinute: 60, burst: 1 } }],
+    templates: {},
+    botId: 'pump-graduates',
+    strategy
+  });
+  assert.strictEqual(router.describe(), 'none');
+  
+  assert.throws(() => createRouter([{ name: 'channel', chat: '@c', template: 'fancy', when: {} }]), /Destination channel uses unknown template "fancy"/);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const records = require('./fixtures/performance-records.json');
+const { createMemoryRedis } = require('./helpers/memoryRedis');
+const { loadConfig } = require('../lib/config');
+const { createSignalRouter } = require('../lib/routing');
+const { getStrategy } = require('../lib/strategies');
+const { compareShadowRun, formatShadowComparison } = require('../lib/shadow');
+
+const SHADOW_CHAT = '-1001234567890';
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+});
+
+// ==============================
+// SHADOW MODE CONFIG
+// ==============================
+test('a shadow run gets its own key prefix and channel and none of the live destinations', () => {
+  const live = loadConfig({ env: {} }).bots;
+  const { bots } = loadConfig({ env: { PUMP_GRADUATES_SHADOW: 'true', PUMP_GRADUATES_SHADOW_CHAT: SHADOW_CHAT } });
+  const bot = bots['pump-graduates'];
+  const liveBot = live['pump-graduates'];
+  
+  assert.strictEqual(bot.redis.keyPrefix, `${liveBot.redis.keyPrefix}:shadow`);
+  assert.strictEqual(bot.channel, SHADOW_CHAT);
+  assert.deepStrictEqual(bot.shadow.live, { keyPrefix: liveBot.redis.keyPrefix, channel: liveBot.channel });
+  assert.deepStrictEqual(bot.destinations.map(({ name, type, chat, path: file }) => ({ name, type, chat, file })), [
+    { name: 'shadow-file', type: 'file', chat: undefined, file: 'shadow/pump-graduates.jsonl' },
+    { name: 'shadow-chat', type: 'telegram', chat: SHADOW_CHAT, file: undefined }
+  ]);
+  
+  const liveTargets = liveBot.destinations.map(destination => destination.chat || destination.url).filter(Boolean);
+  assert.ok(liveTargets.length > 0);
+  for (const destination of bot.destinations) {
+    assert.ok(!liveTargets.includes(destination.chat), destination.name);
+  }
+
+  // The other bots run live as configured
+  for (const botId of Object.keys(live).filter(id => id !== 'pump-graduates')) {
+    assert.deepStrictEqual(bots[botId], live[botId], botId);
+  }
+});
+
+test('without a shadow chat the shadow run posts nowhere but its file', () => {
+  const bot = loadConfig({ env: { PUMP_GRADUATES_SHADOW: 'true' } }).bots['pump-graduates'];
+  assert.strictEqual(bot.channel, null);
+  assert.deepStrictEqual(bot.destinations.map(destination => destination.name), ['shadow-file']);
+  
+  assert.strictEqual(loadConfig({ env: {} }).bots['pump-graduates'].shadow.live, undefined);
+});
+
+test('a shadow signal reaches the shadow file and chat only', async () => {
+  const bot = loadConfig({ env: { PUMP_GRADUATES_SHADOW: 'true', PUMP_GRADUATES_SHADOW_CHAT: SHADOW_CHAT } }).bots['pump-graduates'];
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'shadow-')), 'signals.jsonl');
+  const chats = [];
+  
+  const router = createSignalRouter({
+    queue: { enqueue: async chat => chats.push(chat) },
+    destinations: bot.destinations.map(destination => (destination.type === 'file' ? { ...destination, path: file } : destination)),
+    templates: { full: () => 'signal' },
+    botId: 'pump-graduates',
+    strategy: getStrategy(bot.strategy)
+  });
+  const poolData = {
+    poolAddress: 'PoolGood1111',
+    baseToken: { address: 'MintGood1111', symbol: 'GOOD' },
+    ageData: { ageInHours: 1 },
+    pricing: { fdvUsd: 2000000, reserveUsd: 50000, priceChange24h: 25 }
+  };
+  
+  assert.deepStrictEqual(await router.route(poolData), ['shadow-file', 'shadow-chat']);
+  assert.deepStrictEqual(chats, [SHADOW_CHAT]);
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).poolData.poolAddress, 'PoolGood1111');
+  fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+// ==============================
+// LIVE VS SHADOW COMPARISON
+// ==============================
+async function storeRecords(redisClient, keyPrefix, botId, stored) {
+  for (const record of stored) {
+    await redisClient.zAdd(`${keyPrefix}:performance_signals:${botId}`, { score: Date.parse(record.signaledAt), value: record.poolAddress });
+    await redisClient.hSet(`${keyPrefix}:performance:${botId}`, record.poolAddress, JSON.stringify(record));
+  }
+}
+
+test('compareShadowRun sets the live and shadow signals of a window side by side', async () => {
+  const redisClient = createMemoryRedis();
+  const byTime = [...records].sort((a, b) => Date.parse(a.signaledAt) - Date.parse(b.signaledAt));
+  await storeRecords(redisClient, 'meteora', 'pump-graduates', byTime.slice(0, 4));
+  await storeRecords(redisClient, 'meteora:shadow', 'pump-graduates', byTime.slice(2));
+  
+  const since = Date.parse(byTime[0].signaledAt);
+  const until = Date.parse(byTime[byTime.length - 1].signaledAt) + 1;
+  const comparison = await compareShadowRun(redisClient, {
+    botId: 'pump-graduates',
+    liveKeyPrefix: 'meteora',
+    shadowKeyPrefix: 'meteora:shadow',
+    since,
+    until
+  });
+  
+  assert.strictEqual(comparison.live.count, 4);
+  assert.strictEqual(comparison.shadow.count, 4);
+  assert.strictEqual(comparison.both, 2);
+  assert.strictEqual(comparison.onlyLive.count, 2);
+  assert.strictEqual(comparison.onlyShadow.count, 2);
+  
+  const text = formatShadowComparison(comparison, { botId: 'pump-graduates' });
+  assert.match(text, /^🕶️ {2}pump-graduates: live vs shadow, /);
+  assert.match(text, /📡 Only live: 2 signals/);
+  assert.match(text, /🧪 Only shadow: 2 signals/);
+  assert.match(text, /🤝 Signaled by both: 2$/);
+
+  // Signals outside the window are left out
+  const earlier = await compareShadowRun(redisClient, { botId: 'pump-graduates', liveKeyPrefix: 'meteora', shadowKeyPrefix: 'meteora:shadow', since: 0, until: since });
+  assert.deepStrictEqual([earlier.live.count, earlier.shadow.count, earlier.both], [0, 0, 0]);
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startFakeApis } = require('./helpers/fakeApis');
+const { createMemoryRedis } = require('./helpers/memoryRedis');
+
+// ==============================
+// SIGNAL BUTTONS, OFFLINE
+// ==============================
+// Button presses are handed to the registered callback_query handler as
+// Telegram would deliver them; "Refresh stats" re-fetches the pool from the
+// recordings. lib/ is required once the fake server is up, as in cycle.test.js.
+let fake;
+let lib;
+let strategy;
+
+test.before(async () => {
+  fake = await startFakeApis();
+  process.env.GECKOTERMINAL_API_URL = `${fake.url}/api/v2/networks/solana`;
+  process.env.DEXSCREENER_API_URL = fake.url;
+  lib = require('../lib');
+  lib.configureRateLimits({ default: { requestsPerMinute: 60000, burst: 100 }, telegram: { requestsPerMinute: 60000, burst: 100 } });
+  strategy = lib.getStrategy('meteoraPumpGraduate');
+});
+
+test.after(async () => {
+  await fake.close();
+});
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+const CHANNEL = { id: -1001234567890, type: 'channel', username: 'test_channel' };
+const PRIVATE = { id: 4242, type: 'private' };
+
+const poolData = {
+  poolAddress: 'PoolGood1111',
+  baseToken: { address: 'MintGood1111', symbol: 'GOOD', name: 'GOOD' }
+};
+
+// A bot recording its edits and answers (editMessageText fails with
+// `editError` if given), with the buttons registered
+function createButtons({ redisClient = createMemoryRedis(), buttonStrategy = strategy, editError = null } = {}) {
+  const handlers = {};
+  const calls = { edits: [], markups: [], answers: [] };
+  const bot = {
+    on: (event, handler) => {
+      handlers[event] = handler;
+    },
+    async editMessageText(text, options) {
+      if (editError) throw editError;
+      calls.edits.push({ text, options });
+      return true;
+    },
+    async editMessageReplyMarkup(replyMarkup, options) {
+      calls.markups.push({ replyMarkup, options });
+      return true;
+    },
+    async answerCallbackQuery(id, { text }) {
+      calls.answers.push(text);
+      return true;
+    }
+  };
+  
+  const subscriptions = lib.createSubscriptionStore(redisClient, { keyPrefix: 'test' });
+  const compact = (data, context, format) => lib.formatCompactSignal(data, strategy.title, format);
+  const buttons = lib.createSignalButtons({
+    bot,
+    redisClient,
+    keyPrefix: 'test',
+    strategy: buttonStrategy,
+    templates: { full: compact, compact },
+    destinations: [{ name: 'channel', type: 'telegram', chat: '@test_channel', template: 'compact', parseMode: 'HTML' }],
+    subscriptions
+  });
+  buttons.register();
+
+  // Resolves to the answer the press got
+  async function press(data, chat, replyMarkup) {
+    const before = calls.answers.length;
+    await handlers.callback_query({ id: 'query', data, message: { chat, message_id: 7, reply_markup: replyMarkup } });
+    return calls.answers[before];
+  }
+  
+  return { buttons, calls, subscriptions, press };
+}
+
+test('links come two per row, then the callback buttons', () => {
+  const links = lib.buildSignalKeyboard(poolData, strategy.links);
+  assert.deepStrictEqual(links.inline_keyboard.map(row => row.map(button => button.text)), [
+    ['📊 DexScreener', '🌐 Meteora'],
+    ['📈 GeckoTerminal']
+  ]);
+  assert.ok(links.inline_keyboard.flat().every(button => button.url && !button.callback_data));
+  
+  const full = lib.buildSignalKeyboard(poolData, strategy.links, { refresh: true, mute: true });
+  assert.deepStrictEqual(full.inline_keyboard[2], [
+    { text: '🔄 Refresh stats', callback_data: 'refresh:PoolGood1111' },
+    { text: '🔕 Mute token', callback_data: 'mute:MintGood1111' }
+  ]);
+  assert.ok(full.inline_keyboard.flat().every(button => Buffer.byteLength(button.callback_data || '') <= 64));
+});
+
+test('refresh edits the signal in its chat layout, once per cooldown', async () => {
+  const { buttons, calls, press } = createButtons();
+  await buttons.remember(poolData, {});
+  
+  assert.strictEqual(await press('refresh:PoolGood1111', CHANNEL), '✅ Stats refreshed');
+  const [edit] = calls.edits;
+  assert.strictEqual(edit.options.chat_id, CHANNEL.id);
+  assert.strictEqual(edit.options.message_id, 7);
+  assert.strictEqual(edit.options.parse_mode, 'HTML');
+  assert.match(edit.text, /🔄 Updated \d\d:\d\d UTC$/);
+  
+  assert.strictEqual(await press('refresh:PoolGood1111', CHANNEL), '⏳ Refreshed moments ago, try again shortly');
+  assert.strictEqual(calls.edits.length, 1);
+});
+
+test('refresh needs the signal context of the same strategy', async () => {
+  const redisClient = createMemoryRedis();
+  const { press } = createButtons({ redisClient });
+  assert.strictEqual(await press('refresh:PoolGood1111', CHANNEL), 'ℹ️ This signal is too old to refresh');
+
+  // Sent by another bot on the same Redis prefix
+  const sender = createButtons({ redisClient, buttonStrategy: lib.getStrategy('meteoraRaydiumGraduate') });
+  await sender.buttons.remember(poolData, {});
+  assert.strictEqual(await press('refresh:PoolGood1111', PRIVATE), 'ℹ️ Only the bot that sent this signal can refresh it');
+});
+
+test('mute and unmute work in private chats only', async () => {
+  const { calls, subscriptions, press } = createButtons();
+  const keyboard = lib.buildSignalKeyboard(poolData, strategy.links, { refresh: true, mute: true });
+  
+  assert.strictEqual(await press('mute:MintGood1111', PRIVATE, keyboard), '🔕 Muted, no more signals for this token');
+  assert.strictEqual(await subscriptions.isMuted(PRIVATE.id, 'MintGood1111'), true);
+  const [{ replyMarkup }] = calls.markups;
+  assert.ok(replyMarkup.inline_keyboard.flat().some(button => button.callback_data === 'unmute:MintGood1111'));
+  
+  assert.strictEqual(await press('unmute:MintGood1111', PRIVATE, replyMarkup), '🔔 Unmuted');
+  assert.strictEqual(await subscriptions.isMuted(PRIVATE.id, 'MintGood1111'), false);
+  
+  assert.strictEqual(await press('mute:MintGood1111', CHANNEL, keyboard), 'ℹ️ Tokens can only be muted in a private chat with the bot');
+});
+
+test('every press is answered, also when the refresh fails', async () => {
+  const unknown = { ...poolData, poolAddress: 'PoolUnknown1' };
+  const { buttons, calls, press } = createButtons();
+  await buttons.remember(unknown, {});
+  assert.strictEqual(await press('refresh:PoolUnknown1', CHANNEL), '❌ GeckoTerminal has no data for this pool right now');
+  assert.strictEqual(calls.edits.length, 0);
+  
+  const unchanged = createButtons({ editError: new Error('ETELEGRAM: 400 Bad Request: message is not modified') });
+  await unchanged.buttons.remember(poolData, {});
+  assert.strictEqual(await unchanged.press('refresh:PoolGood1111', CHANNEL), 'ℹ️ Nothing changed since the last update');
+  
+  const failing = createButtons({ editError: new Error('ETELEGRAM: 400 Bad Request: message to edit not found') });
+  await failing.buttons.remember(poolData, {});
+  assert.strictEqual(await failing.press('refresh:PoolGood1111', CHANNEL), '❌ That did not work, please try again later');
+});
@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { MintLayout, MINT_SIZE, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('@solana/spl-token');
+const { createPipeline } = require('../lib/pipeline');
+const { METEORA_DAMM_V1_PROGRAM_ID } = require('../lib/lpSafety');
+
+// ==============================
+// ON-CHAIN STAGES
+// ==============================
+// A connection answering the web3.js calls the stages make from `accounts`
+// (address -> { owner, data }), `tokenAccounts` (address -> { mint, owner,
+// amount }) and `supplies` (mint -> raw supply). `failing` makes every call
+// throw, as an RPC outage would.
+const address = seed => Keypair.fromSeed(new Uint8Array(32).fill(seed)).publicKey.toBase58();
+
+function createFakeConnection({ accounts = {}, tokenAccounts = {}, supplies = {}, failing = null } = {}) {
+  const answer = respond => async (...args) => {
+    if (failing) throw new Error(failing);
+    return respond(...args);
+  };
+  
+  return {
+    getAccountInfo: answer(key => accounts[key.toBase58()] || null),
+    getMultipleAccountsInfo: answer(keys => keys.map(key => accounts[key.toBase58()] || null)),
+    getTokenSupply: answer(mint => ({ value: { amount: String(supplies[mint.toBase58()]), decimals: 6 } })),
+    // Largest first, like the RPC (which returns up to 20)
+    getTokenLargestAccounts: answer(mint => ({
+      value: Object.entries(tokenAccounts)
+        .filter(([, account]) => account.mint === mint.toBase58())
+        .sort(([, a], [, b]) => b.amount - a.amount)
+        .slice(0, 20)
+        .map(([key, account]) => ({ address: new PublicKey(key), amount: String(account.amount) }))
+    })),
+    getMultipleParsedAccounts: answer(keys => ({
+      value: keys.map(key => {
+        const account = tokenAccounts[key.toBase58()];
+        return account ? { data: { parsed: { info: { owner: account.owner } } } } : null;
+      })
+    }))
+  };
+}
+
+function mintAccount({ mintAuthority = null, freezeAuthority = null, supply = 1000000000n, decimals = 6, programId = TOKEN_PROGRAM_ID }) {
+  const data = Buffer.alloc(MINT_SIZE);
+  MintLayout.encode({
+    mintAuthorityOption: mintAuthority ? 1 : 0,
+    mintAuthority: new PublicKey(mintAuthority || PublicKey.default),
+    supply,
+    decimals,
+    isInitialized: true,
+    freezeAuthorityOption: freezeAuthority ? 1 : 0,
+    freezeAuthority: new PublicKey(freezeAuthority || PublicKey.default)
+  }, data);
+  return { owner: programId, data, lamports: 1461600, executable: false };
+}
+
+const MINT = address(1);
+const POOL = address(2);
+const AUTHORITY = address(3);
+const poolData = { poolAddress: POOL, baseTokenAddress: MINT, baseToken: { symbol: 'TEST' } };
+
+const runStage = (spec, connection) => createPipeline([spec]).run(poolData, { connection });
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('mintSafety passes revoked authorities and rejects active ones', async () => {
+  const check = (mint, params = {}) => runStage({ stage: 'mintSafety', params }, createFakeConnection({ accounts: { [MINT]: mintAccount(mint) } }));
+  
+  const revoked = await check({});
+  assert.strictEqual(revoked.passed, true);
+  assert.deepStrictEqual(revoked.context.tokenSafety, {
+    mintAddress: MINT,
+    tokenProgram: 'spl-token',
+    mintAuthority: null,
+    freezeAuthority: null,
+    supply: '1000000000',
+    uiSupply: 1000,
+    decimals: 6,
+    hasMintAuthority: false,
+    hasFreezeAuthority: false
+  });
+  
+  const mintable = await check({ mintAuthority: AUTHORITY });
+  assert.strictEqual(mintable.passed, false);
+  assert.strictEqual(mintable.reason, `mint authority still active (${AUTHORITY})`);
+  
+  const freezable = await check({ freezeAuthority: AUTHORITY, programId: TOKEN_2022_PROGRAM_ID });
+  assert.strictEqual(freezable.reason, `freeze authority still active (${AUTHORITY})`);
+  assert.strictEqual(freezable.context.tokenSafety.tokenProgram, 'token-2022');
+
+  // With the flags off active authorities are only reported
+  const flagged = await check({ mintAuthority: AUTHORITY, freezeAuthority: AUTHORITY }, { rejectMintAuthority: false, rejectFreezeAuthority: false });
+  assert.strictEqual(flagged.passed, true);
+  assert.strictEqual(flagged.context.tokenSafety.mintAuthority, AUTHORITY);
+});
+
+test('mintSafety leaves a token it could not read for a later cycle', async () => {
+  const outage = await runStage('mintSafety', createFakeConnection({ failing: 'fetch failed' }));
+  assert.strictEqual(outage.passed, false);
+  assert.strictEqual(outage.error, true);
+  assert.strictEqual(outage.reason, `stage error: could not read mint ${MINT}: fetch failed`);
+  
+  const missing = await runStage('mintSafety', createFakeConnection());
+  assert.strictEqual(missing.error, true);
+  assert.match(missing.reason, /Mint account .* not found/);
+  
+  const unchecked = await runStage({ stage: 'mintSafety', params: { rejectMintAuthority: false, rejectFreezeAuthority: false } }, createFakeConnection({ failing: 'fetch failed' }));
+  assert.strictEqual(unchecked.passed, true);
+  assert.deepStrictEqual(unchecked.context.tokenSafety, { error: 'fetch failed' });
+  
+  const unconfigured = await createPipeline(['mintSafety']).run(poolData, {});
+  assert.strictEqual(unconfigured.reason, 'stage error: no Solana RPC connection configured');
+});
+
+// 1,000,000 tokens: the pool's vault, a DAMM v2 vault, burned tokens, the
+// PumpSwap pair found by pumpGraduate and twelve wallets
+const DAMM_V2_AUTHORITY = 'HLnpSz9h2S4hiLQ43rnSD9XkcUThA7B8hQMKmDaiTLcC';
+const PUMPSWAP_PAIR = address(4);
+const WALLET_AMOUNTS = [60000, 50000, 40000, 30000, 20000, 10000, 10000, 10000, 10000, 10000, 10000, 10000];
+
+const holderAccounts = () => {
+  const tokenAccounts = {
+    [address(20)]: { mint: MINT, owner: POOL, amount: 400000 },
+    [address(21)]: { mint: MINT, owner: DAMM_V2_AUTHORITY, amount: 100000 },
+    [address(22)]: { mint: MINT, owner: '1nc1nerator11111111111111111111111111111111', amount: 100000 },
+    [address(23)]: { mint: MINT, owner: PUMPSWAP_PAIR, amount: 50000 }
+  };
+  WALLET_AMOUNTS.forEach((amount, i) => {
+    tokenAccounts[address(30 + i)] = { mint: MINT, owner: address(60 + i), amount };
+  });
+  return { tokenAccounts, supplies: { [MINT]: 1000000 } };
+};
+
+const pumpPools = { allPairs: [{ pairAddress: PUMPSWAP_PAIR }] };
+
+test('holderConcentration counts the top 10 wallets, not pool vaults or burned tokens', async () => {
+  const connection = createFakeConnection(holderAccounts());
+  
+  const result = await createPipeline(['holderConcentration']).run(poolData, { connection, pumpPools });
+  assert.strictEqual(result.passed, true);
+  const { holderConcentration } = result.context;
+  assert.strictEqual(holderConcentration.holderCount, 10);
+  assert.strictEqual(holderConcentration.top10Percent, 25);
+  assert.strictEqual(holderConcentration.topHolderPercent, 6);
+  assert.strictEqual(holderConcentration.excludedPercent, 65);
+  assert.deepStrictEqual(holderConcentration.topHolders[0], { address: address(30), owner: address(60), percent: 6 });
+  
+  const strict = await createPipeline([{ stage: 'holderConcentration', params: { maxTop10HolderPercent: 20 } }]).run(poolData, { connection, pumpPools });
+  assert.strictEqual(strict.passed, false);
+  assert.strictEqual(strict.reason, 'top 10 holders own 25.00% (> 20%)');
+  
+  // Without the pair from the DexScreener stages its vault counts as the largest holder
+  const unpaired = await createPipeline(['holderConcentration']).run(poolData, { connection });
+  assert.strictEqual(unpaired.context.holderConcentration.top10Percent, 29);
+});
+
+test('holderConcentration leaves a token it could not read for a later cycle', async () => {
+  const outage = await runStage('holderConcentration', createFakeConnection({ failing: 'fetch failed' }));
+  assert.strictEqual(outage.passed, false);
+  assert.strictEqual(outage.error, true);
+  assert.strictEqual(outage.reason, `stage error: could not read holders of ${MINT}: fetch failed`);
+  
+  const unchecked = await runStage({ stage: 'holderConcentration', params: { maxTop10HolderPercent: 100 } }, createFakeConnection({ failing: 'fetch failed' }));
+  assert.strictEqual(unchecked.passed, true);
+  assert.deepStrictEqual(unchecked.context.holderConcentration, { error: 'fetch failed' });
+});
+
+// A DAMM v1 pool whose 1,000,000 LP are 60% burned, 25% in a lock escrow
+// (an account of the DAMM program) and 15% in a wallet
+const LP_MINT = address(5);
+const LOCK_ESCROW = address(6);
+const LP_WALLET = address(7);
+
+function lpAccounts(poolProgram = METEORA_DAMM_V1_PROGRAM_ID) {
+  const data = Buffer.alloc(8 + 32 + 200);
+  new PublicKey(LP_MINT).toBuffer().copy(data, 8);
+  return {
+    accounts: {
+      [POOL]: { owner: new PublicKey(poolProgram), data },
+      [LOCK_ESCROW]: { owner: new PublicKey(METEORA_DAMM_V1_PROGRAM_ID), data: Buffer.alloc(0) },
+      [LP_WALLET]: { owner: new PublicKey('11111111111111111111111111111111'), data: Buffer.alloc(0) }
+    },
+    tokenAccounts: {
+      [address(40)]: { mint: LP_MINT, owner: '1nc1nerator11111111111111111111111111111111', amount: 600000 },
+      [address(41)]: { mint: LP_MINT, owner: LOCK_ESCROW, amount: 250000 },
+      [address(42)]: { mint: LP_MINT, owner: LP_WALLET, amount: 150000 }
+    },
+    supplies: { [LP_MINT]: 1000000 }
+  };
+}
+
+const lpStage = minLpBurnedPercent => ({ stage: 'lpSafety', params: { minLpBurnedPercent } });
+
+test('lpSafety reports burned and locked LP and enforces the minimum', async () => {
+  const connection = createFakeConnection(lpAccounts());
+  
+  const result = await runStage(lpStage(80), connection);
+  assert.strictEqual(result.passed, true);
+  assert.deepStrictEqual(result.context.lpSafety, {
+    poolAddress: POOL,
+    supported: true,
+    poolProgram: METEORA_DAMM_V1_PROGRAM_ID,
+    lpMint: LP_MINT,
+    burnedPercent: 60,
+    lockedPercent: 25,
+    freePercent: 15
+  });
+  
+  const strict = await runStage(lpStage(90), connection);
+  assert.strictEqual(strict.passed, false);
+  assert.strictEqual(strict.reason, 'only 85.00% of LP burned/locked (< 90%)');
+});
+
+test('lpSafety reports position-based pools, and rejects them once a minimum is set', async () => {
+  const connection = createFakeConnection(lpAccounts('cpamdpZCGKUy5JxQXB4dcpGPiikHawvSWAd6mEn1sGG'));
+  
+  const reported = await runStage(lpStage(0), connection);
+  assert.strictEqual(reported.passed, true);
+  assert.strictEqual(reported.context.lpSafety.supported, false);
+  
+  const rejected = await runStage(lpStage(50), connection);
+  assert.strictEqual(rejected.passed, false);
+  assert.strictEqual(rejected.error, false);
+  assert.strictEqual(rejected.reason, 'position-based pool has no LP to burn or lock (minimum 50%)');
+});
+
+test('lpSafety leaves a pool it could not read for a later cycle once a minimum is set', async () => {
+  const outage = await runStage(lpStage(50), createFakeConnection({ failing: 'fetch failed' }));
+  assert.strictEqual(outage.passed, false);
+  assert.strictEqual(outage.error, true);
+  assert.strictEqual(outage.reason, `stage error: could not read LP holders of ${POOL}: fetch failed`);
+  
+  const reportOnly = await runStage(lpStage(0), createFakeConnection({ failing: 'fetch failed' }));
+  assert.strictEqual(reportOnly.passed, true);
+  assert.deepStrictEqual(reportOnly.context.lpSafety, { error: 'fetch failed' });
+});
@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createProcessedStore } = require('../lib/store');
+const { processPool } = require('../lib/processor');
+const { createPipeline } = require('../lib/pipeline');
+const { getStoreKeys } = require('../lib/config');
+const { createMemoryRedis } = require('./helpers/memoryRedis');
+
+const keys = getStoreKeys({ keyPrefix: 'test' }, 'token');
+const createStore = (redisClient = createMemoryRedis()) => ({ redisClient, store: createProcessedStore(redisClient, { keys }) });
+
+const poolData = {
+  poolAddress: 'PoolGood1111',
+  baseTokenAddress: 'MintGood1111',
+  baseToken: { address: 'MintGood1111', symbol: 'GOOD', name: 'GOOD' },
+  ageData: { ageString: '1h', ageInHours: 1 },
+  pricing: { fdvUsd: 2000000, reserveUsd: 50000, priceChange24h: 25 }
+};
+const strategy = { name: 'meteoraPumpGraduate', dedupBy: 'token' };
+const pipeline = createPipeline(['maxPoolAge', 'maxMarketCap']);
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('checkAndMarkAsProcessed lets an address through once', async () => {
+  const { redisClient, store } = createStore();
+  
+  assert.strictEqual(await store.isProcessed('MintGood1111'), false);
+  assert.strictEqual(await store.checkAndMarkAsProcessed('MintGood1111', { symbol: 'GOOD' }), false);
+  assert.strictEqual(await store.isProcessed('MintGood1111'), true);
+  assert.strictEqual(await store.getProcessedCount(), 1);
+
+  // Locked while the first caller is still signaling
+  assert.strictEqual(await store.checkAndMarkAsProcessed('MintGood1111'), true);
+
+  // Processed once the lock is gone, and the lock is not left behind
+  await store.releaseLock('MintGood1111');
+  assert.strictEqual(await store.checkAndMarkAsProcessed('MintGood1111'), true);
+  assert.strictEqual(await redisClient.get(`${keys.LOCKS}:MintGood1111`), null);
+  
+  const metadata = await redisClient.hGetAll(`${keys.METADATA}:MintGood1111`);
+  assert.strictEqual(metadata.address, 'MintGood1111');
+  assert.strictEqual(metadata.symbol, 'GOOD');
+});
+
+test('concurrent checks hand the address to exactly one caller', async () => {
+  const { store } = createStore();
+  const results = await Promise.all([1, 2, 3].map(() => store.checkAndMarkAsProcessed('MintGood1111')));
+  assert.strictEqual(results.filter(skip => !skip).length, 1);
+});
+
+test('an expired lock no longer blocks the address', async () => {
+  const redisClient = createMemoryRedis();
+  const store = createProcessedStore(redisClient, { keys, lockTtlSeconds: 0.05 });
+  
+  await store.checkAndMarkAsProcessed('MintGood1111');
+  await store.unmarkProcessed('MintGood1111');
+  assert.strictEqual(await store.checkAndMarkAsProcessed('MintGood1111'), true);
+  
+  await new Promise(resolve => setTimeout(resolve, 80));
+  assert.strictEqual(await store.checkAndMarkAsProcessed('MintGood1111'), false);
+});
+
+test('unmarkProcessed puts the address back up for processing', async () => {
+  const { redisClient, store } = createStore();
+  
+  await store.checkAndMarkAsProcessed('MintGood1111');
+  await store.releaseLock('MintGood1111');
+  assert.strictEqual(await store.unmarkProcessed('MintGood1111'), true);
+  assert.strictEqual(await store.isProcessed('MintGood1111'), false);
+  assert.strictEqual(await redisClient.hGet(`${keys.METADATA}:MintGood1111`, 'status'), 'send_failed');
+  assert.strictEqual(await store.checkAndMarkAsProcessed('MintGood1111'), false);
+});
+
+test('cleanupLocks removes only locks', async () => {
+  const { redisClient, store } = createStore();
+  
+  await store.checkAndMarkAsProcessed('MintGood1111');
+  await store.checkAndMarkAsProcessed('MintOther111');
+  await store.cleanupLocks();
+  
+  assert.deepStrictEqual(await redisClient.keys(`${keys.LOCKS}:*`), []);
+  assert.strictEqual(await store.getProcessedCount(), 2);
+});
+
+test('without a ready Redis everything is treated as unprocessed', async () => {
+  const redisClient = createMemoryRedis();
+  redisClient.isReady = false;
+  const { store } = createStore(redisClient);
+  
+  assert.strictEqual(await store.checkAndMarkAsProcessed('MintGood1111'), false);
+  assert.strictEqual(await store.checkAndMarkAsProcessed('MintGood1111'), false);
+  assert.strictEqual(await store.isProcessed('MintGood1111'), false);
+});
+
+test('processPool signals once, records the outcome and releases the lock', async () => {
+  const { redisClient, store } = createStore();
+  const notified = [];
+  const options = { strategy, pipeline, store, notify: async data => notified.push(data.baseToken.symbol) };
+  
+  assert.strictEqual((await processPool(poolData, options)).status, 'signaled');
+  assert.strictEqual((await processPool({ ...poolData, poolAddress: 'PoolGood2222' }, options)).status, 'skipped');
+  assert.deepStrictEqual(notified, ['GOOD']);
+  
+  assert.strictEqual(await redisClient.hGet(`${keys.METADATA}:MintGood1111`, 'status'), 'signal_sent');
+  assert.strictEqual(await redisClient.get(`${keys.LOCKS}:MintGood1111`), null);
+});
+
+test('processPool records why a token was rejected', async () => {
+  const { redisClient, store } = createStore();
+  const whale = { ...poolData, pricing: { ...poolData.pricing, fdvUsd: 40000000 } };
+  
+  const { status } = await processPool(whale, { strategy, pipeline, store, notify: async () => assert.fail('rejected tokens are not signaled') });
+  assert.strictEqual(status, 'rejected');
+  
+  const metadata = await redisClient.hGetAll(`${keys.METADATA}:MintGood1111`);
+  assert.strictEqual(metadata.status, 'rejected');
+  assert.strictEqual(metadata.rejectedStage, 'maxMarketCap');
+  assert.strictEqual(await store.isProcessed('MintGood1111'), true);
+});
+
+test('processPool unmarks the token when the signal could not be sent', async () => {
+  const { redisClient, store } = createStore();
+  const notify = async () => {
+    throw new Error('no destination took it');
+  };
+  
+  await assert.rejects(processPool(poolData, { strategy, pipeline, store, notify }), /no destination took it/);
+  assert.strictEqual(await store.isProcessed('MintGood1111'), false);
+  assert.strictEqual(await redisClient.get(`${keys.LOCKS}:MintGood1111`), null);
+
+  // The next cycle gets to signal it
+  const { status } = await processPool(poolData, { strategy, pipeline, store, notify: async () => {} });
+  assert.strictEqual(status, 'signaled');
+});
+
+test('processPool unmarks the token when a stage could not check it', async () => {
+  const { redisClient, store } = createStore();
+  const outage = createPipeline(['maxPoolAge', { stage: 'lpSafety', params: { minLpBurnedPercent: 50 } }]);
+  const connection = { getAccountInfo: async () => { throw new Error('fetch failed'); } };
+  const notify = async () => assert.fail('unchecked tokens are not signaled');
+  const pool = { ...poolData, poolAddress: 'C1R3ac1GHZD5paBNvktusxop2ZJ4utEKePWbYmmWwJrY' };
+  
+  const { status } = await processPool(pool, { strategy, pipeline: outage, store, notify, context: { connection } });
+  assert.strictEqual(status, 'failed');
+  assert.strictEqual(await store.isProcessed('MintGood1111'), false);
+  assert.strictEqual(await redisClient.get(`${keys.LOCKS}:MintGood1111`), null);
+  
+  const metadata = await redisClient.hGetAll(`${keys.METADATA}:MintGood1111`);
+  assert.strictEqual(metadata.status, 'check_failed');
+  assert.strictEqual(metadata.rejectedStage, 'lpSafety');
+  assert.match(metadata.rejectReason, /^stage error: could not read LP holders of C1R3ac1GHZD5paBNvktusxop2ZJ4utEKePWbYmmWwJrY: fetch failed$/);
+});
+
+test('pool strategies deduplicate by pool address', async () => {
+  const { store } = createStore();
+  const options = { strategy: { name: 'meteoraDammV2', dedupBy: 'pool' }, pipeline, store, notify: async () => {} };
+  
+  assert.strictEqual((await processPool(poolData, options)).status, 'signaled');
+  assert.strictEqual((await processPool({ ...poolData, poolAddress: 'PoolGood2222' }, options)).status, 'signaled');
+  assert.strictEqual((await processPool(poolData, options)).status, 'skipped');
+});
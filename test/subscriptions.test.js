@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryRedis } = require('./helpers/memoryRedis');
+const {
+  createSubscriptionStore,
+  matchesProfile,
+  deliverToSubscribers,
+  unsubscribeBlockedUsers,
+  registerSubscriptionCommands
+} = require('../lib/subscriptions');
+
+const poolData = {
+  baseToken: { address: 'MintGood1111', symbol: 'GOOD' },
+  ageData: { ageInHours: 1.5 },
+  pricing: { fdvUsd: 2000000, reserveUsd: 50000 }
+};
+
+const PRIVATE = { id: 1001, type: 'private' };
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+// ==============================
+// PROFILE FILTERS
+// ==============================
+test('a profile only lets through signals inside every filter it sets', () => {
+  const cases = [
+    [{}, true],
+    [{ minLiquidity: 50000 }, true],
+    [{ minLiquidity: 50001 }, false],
+    [{ maxMarketCap: 2000000 }, true],
+    [{ maxMarketCap: 1999999 }, false],
+    [{ maxAgeHours: 1.5 }, true],
+    [{ maxAgeHours: 1 }, false],
+    [{ minLiquidity: 0, maxMarketCap: 0 }, false],
+    [{ minLiquidity: 10000, maxMarketCap: 5000000, maxAgeHours: 2 }, true],
+    [{ minLiquidity: 10000, maxMarketCap: 5000000, maxAgeHours: 1 }, false]
+  ];
+  
+  for (const [profile, expected] of cases) {
+    assert.strictEqual(matchesProfile(poolData, profile), expected, JSON.stringify(profile));
+  }
+});
+
+// A bot that records its answers and runs commands like Telegram would
+function createCommandBot(store) {
+  const commands = [];
+  const answers = [];
+  const bot = {
+    onText: (pattern, handler) => commands.push({ pattern, handler }),
+    sendMessage: async (chatId, text) => {
+      answers.push({ chatId, text });
+      return {};
+    }
+  };
+  registerSubscriptionCommands(bot, { store, linkedBots: [{ id: 'pump-graduates', strategy: 'meteoraPumpGraduate' }] });
+
+  // Resolves to the answer the message got
+  async function say(text, chat = PRIVATE) {
+    for (const { pattern, handler } of commands) {
+      const match = pattern.exec(text);
+      if (match) await handler({ chat, text }, match);
+    }
+    return answers[answers.length - 1].text;
+  }
+  
+  return { say };
+}
+
+test('/profile sets, validates, clears and resets personal filters', async () => {
+  const store = createSubscriptionStore(createMemoryRedis(), { keyPrefix: 'test' });
+  const { say } = createCommandBot(store);
+  
+  const steps = [
+    ['/profile minLiquidity 25000', /^✅ minLiquidity set to 25000\./, { minLiquidity: 25000 }],
+    ['/profile maxMarketCap 1e6', /^✅ maxMarketCap set to 1000000\./, { minLiquidity: 25000, maxMarketCap: 1000000 }],
+    ['/profile maxAgeHours -1', /^❌ maxAgeHours must be ≥ 0 \(got -1\)$/, { minLiquidity: 25000, maxMarketCap: 1000000 }],
+    ['/profile maxAgeHours soon', /^❌ maxAgeHours must be a number/, { minLiquidity: 25000, maxMarketCap: 1000000 }],
+    ['/profile minVolume 5', /^Use \/profile <minLiquidity\|maxMarketCap\|maxAgeHours> <value\|off>$/, { minLiquidity: 25000, maxMarketCap: 1000000 }],
+    ['/profile maxAgeHours', /^Use \/profile /, { minLiquidity: 25000, maxMarketCap: 1000000 }],
+    ['/profile minLiquidity off', /^✅ minLiquidity now follows the bot default\.$/, { maxMarketCap: 1000000 }],
+    ['/profile', /Max market cap: \$1,000,000/, { maxMarketCap: 1000000 }],
+    ['/profile reset', /^✅ Filters reset/, {}]
+  ];
+  
+  for (const [text, reply, profile] of steps) {
+    assert.match(await say(text), reply, text);
+    assert.deepStrictEqual(await store.getProfile(PRIVATE.id), profile, text);
+  }
+  
+  assert.match(await say('/profile minLiquidity 1', { id: -100, type: 'supergroup' }), /private chat/);
+  assert.deepStrictEqual(await store.getProfile(-100), {});
+});
+
+// ==============================
+// FAN-OUT
+// ==============================
+test('subscribers get the signal unless their profile filters it or they muted the token', async () => {
+  const store = createSubscriptionStore(createMemoryRedis(), { keyPrefix: 'test' });
+  const jobs = [];
+  const queue = { enqueue: async (chatId, message, options, meta) => jobs.push({ chatId, message, meta }) };
+  
+  for (const chatId of ['1', '2', '3', '4']) {
+    await store.subscribe('pump-graduates', chatId);
+  }
+  await store.setProfileValue('2', 'minLiquidity', 100000);
+  await store.setProfileValue('3', 'maxMarketCap', 5000000);
+  await store.muteToken('4', 'MintGood1111');
+  await store.subscribe('other-bot', '5');
+  
+  const queued = await deliverToSubscribers({ queue, store, botId: 'pump-graduates', poolData, message: 'signal' });
+  assert.strictEqual(queued, 2);
+  assert.deepStrictEqual(jobs.map(job => job.chatId).sort(), ['1', '3']);
+  assert.deepStrictEqual(jobs[0].meta, { subscriberOf: 'pump-graduates' });
+});
+
+test('users who blocked the bot are unsubscribed, other failures are not', async () => {
+  const store = createSubscriptionStore(createMemoryRedis(), { keyPrefix: 'test' });
+  await store.subscribe('pump-graduates', '1');
+  const onDeadLetter = unsubscribeBlockedUsers(store);
+  const failure = statusCode => ({ response: { statusCode } });
+  
+  await onDeadLetter({ chatId: '1', meta: { subscriberOf: 'pump-graduates' } }, failure(429));
+  await onDeadLetter({ chatId: '1' }, failure(403));
+  assert.strictEqual(await store.isSubscribed('pump-graduates', '1'), true);
+  
+  await onDeadLetter({ chatId: '1', meta: { subscriberOf: 'pump-graduates' } }, failure(403));
+  assert.strictEqual(await store.isSubscribed('pump-graduates', '1'), false);
+});
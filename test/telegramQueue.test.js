@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTelegramQueue } = require('../lib/telegramQueue');
+const { createMemoryRedis } = require('./helpers/memoryRedis');
+
+const FAST = { chatInterval: 5, privateChatInterval: 5, pollInterval: 5, baseDelay: 10, maxDelay: 40 };
+
+const waitFor = async (condition, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+// node-telegram-bot-api's error shape for a failed call
+const telegramError = (status, retryAfter) => Object.assign(new Error(`ETELEGRAM: ${status}`), {
+  response: { statusCode: status, body: { ok: false, error_code: status, parameters: retryAfter ? { retry_after: retryAfter } : undefined } }
+});
+
+// A bot whose sendMessage fails with the scripted errors first, then succeeds
+function createBot(failures = []) {
+  const sent = [];
+  return {
+    sent,
+    attempts: 0,
+    async sendMessage(chatId, text) {
+      this.attempts++;
+      const failure = failures.shift();
+      if (failure) throw failure;
+      sent.push({ chatId, text, at: Date.now() });
+      return { message_id: sent.length, chat: { id: chatId }, text };
+    }
+  };
+}
+
+async function runUntil(queue, condition) {
+  queue.start();
+  try {
+    await waitFor(condition);
+  } finally {
+    queue.stop();
+  }
+}
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('a queued message is sent and reported to onSent', async () => {
+  const bot = createBot();
+  const delivered = [];
+  const queue = createTelegramQueue({
+    bot,
+    redisClient: createMemoryRedis(),
+    keyPrefix: 'test',
+    botId: 'a',
+    onSent: (job, message) => delivered.push([job.meta, message.message_id]),
+    ...FAST
+  });
+  
+  await queue.enqueue('@channel', 'hello', {}, { signalOf: 'a', poolAddress: 'Pool1' });
+  await runUntil(queue, () => bot.sent.length === 1);
+  await waitFor(() => delivered.length === 1);
+  
+  assert.deepStrictEqual(delivered, [[{ signalOf: 'a', poolAddress: 'Pool1' }, 1]]);
+  assert.deepStrictEqual(await queue.getStats(), { sent: 1, retried: 0, throttled: 0, deadLettered: 0, queued: 0, dead: 0 });
+});
+
+test('a 429 waits for retry_after without using up an attempt', async () => {
+  const bot = createBot([telegramError(429, 0.2)]);
+  const queue = createTelegramQueue({ bot, redisClient: createMemoryRedis(), keyPrefix: 'test', botId: 'a', maxAttempts: 1, ...FAST });
+  
+  const queuedAt = Date.now();
+  await queue.enqueue('@channel', 'throttled');
+  await runUntil(queue, () => bot.sent.length === 1);
+  
+  assert.ok(bot.sent[0].at - queuedAt >= 200, 'sent before retry_after');
+  const stats = await queue.getStats();
+  assert.strictEqual(stats.throttled, 1);
+  assert.strictEqual(stats.deadLettered, 0);
+});
+
+test('timeouts and 5xx are retried with backoff until maxAttempts', async () => {
+  const bot = createBot([telegramError(502), new Error('Message timeout')]);
+  const queue = createTelegramQueue({ bot, redisClient: createMemoryRedis(), keyPrefix: 'test', botId: 'a', ...FAST });
+  
+  await queue.enqueue('@channel', 'flaky');
+  await runUntil(queue, () => bot.sent.length === 1);
+  assert.strictEqual((await queue.getStats()).retried, 2);
+  
+  const dead = [];
+  const failing = createBot([1, 2, 3].map(() => telegramError(500)));
+  const limited = createTelegramQueue({
+    bot: failing,
+    redisClient: createMemoryRedis(),
+    keyPrefix: 'test',
+    botId: 'a',
+    maxAttempts: 3,
+    onDeadLetter: job => dead.push(job),
+    ...FAST
+  });
+  await limited.enqueue('@channel', 'never');
+  await runUntil(limited, () => dead.length === 1);
+  
+  assert.strictEqual(failing.attempts, 3);
+  assert.strictEqual(dead[0].attempts, 3);
+  assert.strictEqual(dead[0].error, 'ETELEGRAM: 500');
+});
+
+test('other 4xx errors are dead-lettered at once and can be retried', async () => {
+  const redisClient = createMemoryRedis();
+  const bot = createBot([telegramError(403)]);
+  const dead = [];
+  const queue = createTelegramQueue({ bot, redisClient, keyPrefix: 'test', botId: 'a', onDeadLetter: job => dead.push(job), ...FAST });
+  
+  await queue.enqueue('12345', 'blocked');
+  await runUntil(queue, () => dead.length === 1);
+  assert.strictEqual(bot.attempts, 1);
+  assert.strictEqual(dead[0].chatId, '12345');
+  assert.strictEqual(await redisClient.lLen('test:a:telegram_dead'), 1);
+  
+  assert.strictEqual(await queue.retryDeadLetters(), 1);
+  await runUntil(queue, () => bot.sent.length === 1);
+  assert.strictEqual(await redisClient.lLen('test:a:telegram_dead'), 0);
+});
+
+test('messages to one chat are paced by chatInterval', async () => {
+  const bot = createBot();
+  const queue = createTelegramQueue({ bot, redisClient: createMemoryRedis(), keyPrefix: 'test', botId: 'a', ...FAST, chatInterval: 100 });
+  
+  const queuedAt = Date.now();
+  await queue.enqueue('@channel', 'first');
+  await queue.enqueue('@channel', 'second');
+  await runUntil(queue, () => bot.sent.length === 2);
+  
+  // The interval runs from the first send's slot, taken just before sending
+  assert.ok(bot.sent[1].at - queuedAt >= 100, 'second message sent within chatInterval');
+});
+
+test('bots sharing a key prefix keep their own queues', async () => {
+  const redisClient = createMemoryRedis();
+  const botA = createBot();
+  const botB = createBot();
+  const queueA = createTelegramQueue({ bot: botA, redisClient, keyPrefix: 'shared', botId: 'a', ...FAST });
+  const queueB = createTelegramQueue({ bot: botB, redisClient, keyPrefix: 'shared', botId: 'b', ...FAST });
+  
+  await queueA.enqueue('@channel_a', 'from a');
+  await queueB.enqueue('@channel_b', 'from b');
+  await runUntil(queueA, () => botA.sent.length === 1);
+  
+  assert.deepStrictEqual(botA.sent.map(message => message.text), ['from a']);
+  assert.strictEqual((await queueB.getStats()).queued, 1);
+  
+  await runUntil(queueB, () => botB.sent.length === 1);
+  assert.deepStrictEqual(botB.sent.map(message => message.text), ['from b']);
+});
+
+test('on start, unfinished jobs of this bot only are requeued', async () => {
+  const redisClient = createMemoryRedis();
+  const orphan = (id, text) => JSON.stringify({ id, chatId: '@channel', text, options: {}, attempts: 0 });
+
+  // A claimed job (in the jobs hash, off the queue) of this bot and of its neighbour
+  await redisClient.hSet('shared:a:telegram_jobs', 'job-a', orphan('job-a', 'recovered'));
+  await redisClient.hSet('shared:b:telegram_jobs', 'job-b', orphan('job-b', 'not ours'));
+  
+  const bot = createBot();
+  const queue = createTelegramQueue({ bot, redisClient, keyPrefix: 'shared', botId: 'a', ...FAST });
+  await runUntil(queue, () => bot.sent.length === 1);
+  
+  assert.deepStrictEqual(bot.sent.map(message => message.text), ['recovered']);
+  assert.strictEqual(await redisClient.zScore('shared:b:telegram_queue', 'job-b'), null);
+  assert.ok(await redisClient.hGet('shared:b:telegram_jobs', 'job-b'));
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// ==============================
+// TOKEN CHECK
+// ==============================
+// A local GeckoTerminal answering /tokens/<mint>/pools from `tokens` (404 for
+// unknown mints). The base URL is read when lib/ loads, so it is required
+// once the server is up. DexScreener answers come from the context instead.
+let server;
+let lib;
+let strategy;
+let pipeline;
+
+const NOW = Date.now();
+const MINT = 'C1R3ac1GHZD5paBNvktusxop2ZJ4utEKePWbYmmWwJrY';
+const WHALE = '5EsyjWDYdhABsc1aWRk2TBrA2NW6jPrLeE8pg1CoNUyC';
+const UNLISTED = '6VtvyuuZL9RXKMJaEm9X6vMpqmSqoFfnMHPTUNjfs9Jx';
+const ADMIN = { id: 42 };
+
+async function startGeckoTerminal() {
+  const tokens = new Map(); // mint -> pools
+  const failures = [];
+  const api = http.createServer((req, res) => {
+    const [, mint] = req.url.match(/^\/tokens\/(\w+)\/pools/) || [];
+    const status = failures.shift() || (tokens.has(mint) ? 200 : 404);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status === 200 ? { data: tokens.get(mint) } : { errors: [{ status: String(status) }] }));
+  });
+  await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${api.address().port}`,
+    tokens,
+    failNext: status => failures.push(status),
+    close: () => new Promise(resolve => api.close(() => resolve()))
+  };
+}
+
+// A GeckoTerminal pool of `mint` against SOL
+function geckoPool(address, mint, { dex, ageHours, fdv = 2000000, liquidity = 50000, change = 25 }) {
+  return {
+    id: `solana_${address}`,
+    type: 'pool',
+    attributes: {
+      address,
+      name: 'TOKEN / SOL',
+      pool_created_at: new Date(NOW - ageHours * 3600000).toISOString(),
+      base_token_price_usd: '0.001',
+      fdv_usd: String(fdv),
+      market_cap_usd: null,
+      reserve_in_usd: String(liquidity),
+      price_change_percentage: { h1: '1', h24: String(change) },
+      volume_usd: { h1: '100', h24: '1000' },
+      transactions: { h24: { buys: 10, sells: 5, buyers: 8, sellers: 4 } }
+    },
+    relationships: {
+      base_token: { data: { id: `solana_${mint}`, type: 'token' } },
+      quote_token: { data: { id: 'solana_So11111111111111111111111111111111111111112', type: 'token' } },
+      dex: { data: { id: dex, type: 'dex' } }
+    }
+  };
+}
+
+// Graduated from PumpFun three hours ago, per DexScreener
+const dexscreener = {
+  getTokenPairs: async () => [{ dexId: 'pumpswap', pairCreatedAt: NOW - 3 * 3600000 }]
+};
+
+test.before(async () => {
+  server = await startGeckoTerminal();
+  process.env.GECKOTERMINAL_API_URL = server.url;
+  lib = require('../lib');
+  lib.configureRateLimits({ default: { requestsPerMinute: 60000, burst: 100 } });
+  
+  strategy = lib.getStrategy('meteoraPumpGraduate');
+  pipeline = lib.createPipeline(strategy.stages.filter(spec => !lib.resolveStage(spec).usesRpc));
+  
+  server.tokens.set(MINT, [
+    geckoPool('PoolPump', MINT, { dex: 'pumpswap', ageHours: 3 }),
+    geckoPool('PoolOlder', MINT, { dex: 'meteora', ageHours: 2 }),
+    geckoPool('PoolNewest', MINT, { dex: 'meteora-damm-v2', ageHours: 1 })
+  ]);
+  server.tokens.set(WHALE, [
+    geckoPool('PoolWhale', WHALE, { dex: 'raydium', ageHours: 1, fdv: 40000000, liquidity: 3000 })
+  ]);
+});
+
+test.after(async () => {
+  await server.close();
+});
+
+test.beforeEach(t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+});
+
+test('only real Solana addresses count as mints', () => {
+  const cases = [
+    [MINT, true],
+    ['So11111111111111111111111111111111111111112', true],
+    ['MintGood1111', false],
+    [`${MINT.slice(0, -1)}0`, false],
+    ['1'.repeat(44), false],
+    ['', false]
+  ];
+  for (const [text, expected] of cases) {
+    assert.strictEqual(lib.isMintAddress(text), expected, text);
+  }
+});
+
+// A store that answers isProcessed and fails any write
+const readOnlyStore = processed => ({
+  isProcessed: async address => processed.includes(address),
+  checkAndMarkAsProcessed: async () => assert.fail('a check must not mark the token'),
+  recordMetadata: async () => assert.fail('a check must not write metadata')
+});
+
+test('checkToken runs every stage on the newest pool of the strategy\'s dexes', async () => {
+  const report = await lib.checkToken(MINT, { strategy, pipeline, store: readOnlyStore([MINT]), context: { dexscreener } });
+  
+  assert.strictEqual(report.found, true);
+  assert.strictEqual(report.poolCount, 3);
+  assert.strictEqual(report.matchesStrategy, true);
+  assert.strictEqual(report.poolData.poolAddress, 'PoolNewest');
+  assert.strictEqual(report.alreadyProcessed, true);
+  assert.strictEqual(report.result.passed, true);
+  assert.strictEqual(report.result.results.length, pipeline.stages.length);
+  
+  assert.deepStrictEqual(await lib.checkToken(UNLISTED, { strategy, pipeline, context: { dexscreener } }), { mint: UNLISTED, found: false });
+});
+
+test('a token without the strategy\'s pools is checked on its top pool, reporting every failure', async () => {
+  const report = await lib.checkToken(WHALE, { strategy, pipeline, store: readOnlyStore([]), context: { dexscreener } });
+  assert.strictEqual(report.matchesStrategy, false);
+  assert.strictEqual(report.alreadyProcessed, false);
+  assert.deepStrictEqual(report.result.results.filter(entry => !entry.passed).map(entry => entry.stage), ['maxMarketCap', 'minLiquidity']);
+  
+  const text = lib.formatCheckReport(report, { strategy, pipeline });
+  assert.match(text, /^🔎 TOKEN\nMint: 5Esy/);
+  assert.match(text, /Pool: TOKEN \/ SOL on raydium \(1 pool found\)/);
+  assert.match(text, /⚠️ No meteora\/meteora-damm-v2 pool yet, checked the top pool instead/);
+  assert.match(text, /❌ .*market cap too high \(\$40,000,000 > \$15,000,000\)/);
+  assert.match(text, /❌ .*liquidity too low \(\$3,000 < \$10,000\)/);
+  assert.match(text, /🚫 Verdict: rejected by .* \(2 failed\)/);
+  assert.match(text, /💾 Not processed yet \(this check does not mark it\)$/);
+  
+  assert.match(lib.formatCheckReport({ mint: UNLISTED, found: false }, { strategy, pipeline }), /GeckoTerminal has no pools for this token/);
+});
+
+// ==============================
+// /check COMMAND
+// ==============================
+function createCheckBot(botConfig) {
+  const handlers = { text: [], message: [] };
+  const answers = [];
+  const bot = {
+    onText: (pattern, handler) => handlers.text.push({ pattern, handler }),
+    on: (event, handler) => handlers[event].push(handler),
+    sendMessage: async (chatId, text) => {
+      answers.push(text);
+      return {};
+    }
+  };
+  lib.registerCheckCommand(bot, { botConfig, strategy, pipeline, store: readOnlyStore([]), context: { dexscreener } });
+
+  // Delivers a message like Telegram would; resolves to the answers it got
+  async function send(text, from = ADMIN) {
+    const before = answers.length;
+    const msg = { chat: { id: 7 }, from, text };
+    for (const { pattern, handler } of handlers.text) {
+      const match = pattern.exec(text);
+      if (match) await handler(msg, match);
+    }
+    for (const handler of handlers.message) {
+      await handler(msg);
+    }
+    return answers.slice(before);
+  }
+  
+  return { send };
+}
+
+test('/check answers admins with the report and everyone else with a refusal', async () => {
+  const { send } = createCheckBot({ admins: [ADMIN.id] });
+  
+  const [report] = await send(`/check ${MINT}`);
+  assert.match(report, /🎯 Verdict: passes every filter/);
+  assert.match((await send(`/check@signal_bot ${MINT}`))[0], /Pool address: PoolNewest/);
+  assert.deepStrictEqual(await send('/check'), ['Usage: /check <mint address>']);
+  assert.deepStrictEqual(await send('/check MintGood1111'), ['❌ MintGood1111 is not a Solana address.']);
+  assert.deepStrictEqual(await send(`/check ${MINT}`, { id: 99 }), ['⛔ This command is restricted to bot admins.']);
+
+  // A bare address is checked for admins and ignored from anyone else
+  assert.match((await send(MINT))[0], /^🔎 TOKEN/);
+  assert.deepStrictEqual(await send(MINT, { id: 99 }), []);
+  
+  server.failNext(400);
+  assert.deepStrictEqual(await send(`/check ${MINT}`), [`❌ Check failed for ${MINT}: Request failed with status code 400`]);
+});
+
+test('publicCheck opens /check to everyone', async () => {
+  const { send } = createCheckBot({ admins: [], publicCheck: true });
+  assert.match((await send(`/check ${WHALE}`, { id: 99 }))[0], /🚫 Verdict: rejected/);
+  assert.match((await send(UNLISTED, { id: 99 }))[0], /GeckoTerminal has no pools/);
+});